@@ -1,5 +1,5 @@
 /*!
- * Hype Drag Controller v1.4.2
+ * Hype Drag Controller v1.24.0
  * Copyright (2024) Max Ziebell, MIT License
  */
 
@@ -22,10 +22,53 @@
  *          Enhanced to accept drag names, automatic data-attribute constraint loading, and array support for batch operations.
  * 1.4.1   Added auto-snap functionality to automatically snap elements to their constraints.
  * 1.4.2   Added event metrics (factor/midpoint/percent) to callbacks.
+ * 1.5.0   Added declarative drop acceptance (data-drag-group, data-drop-accept, interaction map accept)
+ *          with automatic snapTo/snapBack and event.accepted in onDrop.
+ * 1.5.1   Added hover tracking during move with onDragEnter/onDragOver/onDragLeave callbacks
+ *          per draggable and per drop target (setTargetMap), plus an active target CSS class.
+ * 1.5.2   Added pluggable drop detection ('overlap', 'pointer', 'center', minRatio) as default,
+ *          interaction map override and data-drop-detection attributes.
+ * 1.6.0   Added transform-aware geometry (rotation, scale, nested groups) for hit-testing,
+ *          within-region bounds and snapTo alignment.
+ * 1.6.1   Added snap constraint (grid with origin or explicit points, live or on release)
+ *          with data-drag-snap-* attributes and step indices in event metrics.
+ * 1.6.2   Added inertia constraint to throw elements with friction and optional bounce,
+ *          resolving the drop once the element has come to rest.
+ * 1.7.0   Added keyboard dragging (Space/Enter, arrow keys, Tab through drop targets, Escape)
+ *          with ARIA live region announcements.
+ * 1.8.0   Added multi-select group dragging (select/deselect/clearSelection/getSelection and
+ *          data-drag-group-move) with per-member and whole-group clamping.
+ * 1.9.0   Added saveState/restoreState snapshots and opt-in localStorage persistence per document and scene.
+ * 1.9.1   Added undo/redo history for completed drags, including snapTo, snapBack and lock state.
+ * 1.10.0  Added drop target capacity with reject, replace and swap policies, and the
+ *          getOccupants/getTargetOf occupancy registry.
+ * 1.11.0  Added sortable groups (data-drag-sortable) that reflow siblings while dragging
+ *          and report the committed order to onSort.
+ * 1.12.0  Added answer checking (data-drag-answer, setAnswers, check) with scoring,
+ *          correct/incorrect marks, locking and onComplete.
+ * 1.13.0  Added clone-on-drag palette sources (data-drag-clone, data-drag-clone-max)
+ *          and getClones.
+ * 1.14.0  Added drag previews (data-drag-ghost) and drag handles (data-drag-handle).
+ * 1.15.0  Added declarative timeline and scene feedback and timeline scrubbing
+ *          (interaction map and data-drag-on-* attributes).
+ * 1.16.0  Added on/off subscriptions with wildcards and bubbling hypedrag:* CustomEvents.
+ * 1.17.0  Added xAPI and SCORM 1.2/2004 reporting with pluggable transports.
+ * 1.18.0  Added recording and replay of drag sessions.
+ * 1.19.0  Added magnetic drop targets (data-drop-magnet) and drop anchors (data-drop-anchor).
+ * 1.20.0  Added auto-scrolling of scrollable containers and the window while dragging,
+ *          with scroll-aware geometry.
+ * 1.21.0  Added path constraints (circle, arc, polyline, SVG shape), the constrain hook
+ *          and progress along paths in the event metrics.
+ * 1.22.0  Added obstacles (data-drag-obstacle) that block and slide dragged elements,
+ *          optional collision between draggables and onCollide.
+ * 1.23.0  Added an opt-in multi-touch pointer backend (multiTouch) running one drag session
+ *          per pointer, with pointer capture and cancellation.
+ * 1.24.0  Added connector lines (data-drag-connect-source) with connection rules,
+ *          click to remove, getConnections and disconnect.
  */
 
 if ("HypeDragController" in window === false) window['HypeDragController'] = (function() {
-    const _version = "1.4.2";
+    const _version = "1.24.0";
 
     let _default = {
         bringToFront: true,
@@ -34,7 +77,45 @@ if ("HypeDragController" in window === false) window['HypeDragController'] = (fu
         snapToDuration: 0.3,
         snapToTiming: 'easeout',
         resetOnSceneUnload: false,
-        autoSnap: false
+        autoSnap: false,
+        autoResolveDrop: true,
+        lockOnAccept: false,
+        dropTargetActiveClass: 'hypeDropTargetActive',
+        dropDetection: 'overlap',
+        dropAnchor: 'top-left',
+        magnetRadius: 0,
+        magnetStrength: 0.5,
+        autoScroll: false,
+        autoScrollEdge: 40,
+        autoScrollSpeed: 10,
+        collideDraggables: false,
+        inertiaFriction: 0.95,
+        inertiaBounce: 0,
+        inertiaMinVelocity: 0.02,
+        sortDuration: 0.2,
+        sortTiming: 'easeinout',
+        ghostOpacity: 0.5,
+        connectRule: 'one-to-one',
+        connectRemoveOnClick: true,
+        cloneRemoveDuration: 0.2,
+        cloneRemoveTiming: 'easeout',
+        answerCorrectClass: 'hypeDragCorrect',
+        answerIncorrectClass: 'hypeDragIncorrect',
+        persist: false,
+        history: false,
+        historyLimit: 50,
+        multiTouch: false,
+        keyboard: true,
+        keyboardStep: 10,
+        ariaMessages: {
+            pickUp: 'Picked up {item}. Use the arrow keys to move, Tab to cycle drop targets, Space to drop, Escape to cancel.',
+            over: '{item} is over {target}.',
+            leave: '{item} is not over a drop target.',
+            drop: 'Dropped {item} on {target}.',
+            reject: '{target} does not accept {item}. {item} returned.',
+            dropNone: 'Dropped {item}.',
+            cancel: 'Cancelled. {item} returned to its starting position.'
+        }
     };
 
     /**
@@ -71,7 +152,12 @@ if ("HypeDragController" in window === false) window['HypeDragController'] = (fu
         if (document.getElementById('HypeDragControllerStyles')) return;
         const style = document.createElement('style');
         style.id = 'HypeDragControllerStyles';
-        style.innerHTML = '.hypeDragElementLocked, .hypeDragElementLocked * { pointer-events: none !important; }';
+        style.innerHTML = '.hypeDragElementLocked, .hypeDragElementLocked * { pointer-events: none !important; }' +
+            '.hypeDragLiveRegion { position: absolute !important; width: 1px; height: 1px; margin: -1px; padding: 0; border: 0; overflow: hidden; clip: rect(0 0 0 0); white-space: nowrap; }' +
+            '.hypeDragElementGrabbed { outline: 2px dashed currentColor; outline-offset: 2px; }' +
+            '.hypeDragConnectors { position: absolute; left: 0; top: 0; width: 100%; height: 100%; overflow: visible; pointer-events: none; z-index: 100000; }' +
+            '.hypeDragConnector { stroke: currentColor; stroke-width: 3; stroke-linecap: round; pointer-events: stroke; cursor: pointer; }' +
+            '.hypeDragConnectorActive { stroke-dasharray: 6 6; pointer-events: none; }';
         document.head.appendChild(style);
     }
 
@@ -84,56 +170,373 @@ if ("HypeDragController" in window === false) window['HypeDragController'] = (fu
     function _getDocRegistry(hypeDocument) {
         const docId = hypeDocument.documentId();
         if (!_documents[docId]) {
-            _documents[docId] = { dragData: {}, interactionMap: {}, constraints: {}, zCounter: 10000 };
+            _documents[docId] = { dragData: {}, interactionMap: {}, targetMap: {}, constraints: {}, selection: [], snappedTo: {}, snapOrigins: {}, history: { undo: [], redo: [], open: null }, answers: {}, checkOptions: {}, checkComplete: false, cloneGestures: {}, cloneCounter: 0, connections: [], connecting: {}, listeners: {}, reporter: null, recording: null, replay: null, zCounter: 10000 };
         }
         return _documents[docId];
     }
 
     /**
-     * Finds the drop target element with the largest overlap area with the dragged element.
+     * Finds the closest Hype group containing an element, or null if the element sits directly in the scene.
+     * @private
+     * @param {HypeDocument} hypeDocument - The Hype document object.
+     * @param {HTMLElement} element - The element to start from.
+     * @returns {HTMLElement|null} The parent Hype element, or null.
+     */
+    function _getParentHypeElement(hypeDocument, element) {
+        const sceneEl = hypeDocument.getElementById(hypeDocument.currentSceneId());
+        const parent = element.parentElement ? element.parentElement.closest('.HYPE_element') : null;
+        if (!parent || parent === sceneEl || !sceneEl.contains(parent)) return null;
+        return parent;
+    }
+
+    /**
+     * Parses one transform-origin component into pixels. Defaults to the center as used by Hype.
+     * @private
+     * @param {string} value - The CSS transform-origin component.
+     * @param {number} size - The width or height of the element.
+     * @returns {number} The origin offset in pixels.
+     */
+    function _parseOrigin(value, size) {
+        if (!value) return size / 2;
+        if (value === 'left' || value === 'top') return 0;
+        if (value === 'right' || value === 'bottom') return size;
+        if (value === 'center') return size / 2;
+        const number = parseFloat(value);
+        if (isNaN(number)) return size / 2;
+        return value.indexOf('%') !== -1 ? size * number / 100 : number;
+    }
+
+    /**
+     * Maps a point from an element's local space into its parent's space, applying
+     * the element's position, scale and rotation around its transform origin.
+     * @private
+     * @param {HypeDocument} hypeDocument - The Hype document object.
+     * @param {HTMLElement} element - The element whose transform is applied.
+     * @param {number} x - Local x coordinate.
+     * @param {number} y - Local y coordinate.
+     * @returns {{x:number, y:number}} The point in the parent's coordinate space.
+     */
+    function _localToParent(hypeDocument, element, x, y) {
+        const left = hypeDocument.getElementProperty(element, 'left') || 0;
+        const top = hypeDocument.getElementProperty(element, 'top') || 0;
+        const width = hypeDocument.getElementProperty(element, 'width') || 0;
+        const height = hypeDocument.getElementProperty(element, 'height') || 0;
+        const rotation = parseFloat(hypeDocument.getElementProperty(element, 'rotateZ')) || 0;
+        let scaleX = parseFloat(hypeDocument.getElementProperty(element, 'scaleX'));
+        let scaleY = parseFloat(hypeDocument.getElementProperty(element, 'scaleY'));
+        if (isNaN(scaleX)) scaleX = 1;
+        if (isNaN(scaleY)) scaleY = 1;
+
+        if (!rotation && scaleX === 1 && scaleY === 1) {
+            return { x: left + x, y: top + y };
+        }
+
+        const origin = (element.style.transformOrigin || '').split(' ');
+        const originX = _parseOrigin(origin[0], width);
+        const originY = _parseOrigin(origin[1], height);
+        const radians = rotation * Math.PI / 180;
+        const cos = Math.cos(radians);
+        const sin = Math.sin(radians);
+        const dx = (x - originX) * scaleX;
+        const dy = (y - originY) * scaleY;
+        return {
+            x: left + originX + dx * cos - dy * sin,
+            y: top + originY + dx * sin + dy * cos
+        };
+    }
+
+    /**
+     * Maps a point from an element's local space into scene coordinates, walking up through nested groups.
+     * @private
+     * @param {HypeDocument} hypeDocument - The Hype document object.
+     * @param {HTMLElement} element - The element whose local space the point is in.
+     * @param {number} x - Local x coordinate.
+     * @param {number} y - Local y coordinate.
+     * @returns {{x:number, y:number}} The point in scene coordinates.
+     */
+    function _localToScene(hypeDocument, element, x, y) {
+        let point = { x: x, y: y };
+        let current = element;
+        while (current) {
+            point = _localToParent(hypeDocument, current, point.x, point.y);
+            current = _getParentHypeElement(hypeDocument, current);
+            // Content of a scrolled group is shifted by its scroll offset
+            if (current) {
+                point.x -= current.scrollLeft || 0;
+                point.y -= current.scrollTop || 0;
+            }
+        }
+        return point;
+    }
+
+    /**
+     * Maps a point from an element's parent space back into its local space, the inverse of _localToParent.
+     * @private
+     * @param {HypeDocument} hypeDocument - The Hype document object.
+     * @param {HTMLElement} element - The element whose transform is inverted.
+     * @param {number} x - Parent x coordinate.
+     * @param {number} y - Parent y coordinate.
+     * @returns {{x:number, y:number}} The point in the element's local space.
+     */
+    function _parentToLocal(hypeDocument, element, x, y) {
+        const left = hypeDocument.getElementProperty(element, 'left') || 0;
+        const top = hypeDocument.getElementProperty(element, 'top') || 0;
+        const width = hypeDocument.getElementProperty(element, 'width') || 0;
+        const height = hypeDocument.getElementProperty(element, 'height') || 0;
+        const rotation = parseFloat(hypeDocument.getElementProperty(element, 'rotateZ')) || 0;
+        let scaleX = parseFloat(hypeDocument.getElementProperty(element, 'scaleX'));
+        let scaleY = parseFloat(hypeDocument.getElementProperty(element, 'scaleY'));
+        if (isNaN(scaleX)) scaleX = 1;
+        if (isNaN(scaleY)) scaleY = 1;
+
+        if (!rotation && scaleX === 1 && scaleY === 1) {
+            return { x: x - left, y: y - top };
+        }
+
+        const origin = (element.style.transformOrigin || '').split(' ');
+        const originX = _parseOrigin(origin[0], width);
+        const originY = _parseOrigin(origin[1], height);
+        const radians = rotation * Math.PI / 180;
+        const cos = Math.cos(radians);
+        const sin = Math.sin(radians);
+        const px = x - left - originX;
+        const py = y - top - originY;
+        // A collapsed scale has no inverse, the point lands on the origin
+        return {
+            x: originX + (scaleX ? (px * cos + py * sin) / scaleX : 0),
+            y: originY + (scaleY ? (py * cos - px * sin) / scaleY : 0)
+        };
+    }
+
+    /**
+     * Maps a point from scene coordinates into the space an element's left/top are expressed in,
+     * inverting the transforms and scroll offsets of all parent groups.
+     * @private
+     * @param {HypeDocument} hypeDocument - The Hype document object.
+     * @param {HTMLElement} element - The positioned element.
+     * @param {number} x - Scene x coordinate.
+     * @param {number} y - Scene y coordinate.
+     * @returns {{x:number, y:number}} The point in the element's left/top space.
+     */
+    function _sceneToParent(hypeDocument, element, x, y) {
+        const groups = [];
+        let current = _getParentHypeElement(hypeDocument, element);
+        while (current) {
+            groups.unshift(current);
+            current = _getParentHypeElement(hypeDocument, current);
+        }
+        let point = { x: x, y: y };
+        groups.forEach(group => {
+            point = _parentToLocal(hypeDocument, group, point.x, point.y);
+            // Content of a scrolled group is shifted by its scroll offset
+            point.x += group.scrollLeft || 0;
+            point.y += group.scrollTop || 0;
+        });
+        return point;
+    }
+
+    /**
+     * Computes the bounding box of another element's visual quad in the left/top space of an element.
+     * @private
+     * @param {HypeDocument} hypeDocument - The Hype document object.
+     * @param {HTMLElement} element - The positioned element.
+     * @param {HTMLElement} other - The element to measure.
+     * @returns {{left:number, top:number, width:number, height:number}}
+     */
+    function _getRectInParent(hypeDocument, element, other) {
+        return _getBoundingRect(_getElementQuad(hypeDocument, other).map(point => _sceneToParent(hypeDocument, element, point.x, point.y)));
+    }
+
+    /**
+     * Computes the four visual corners of an element in scene coordinates,
+     * taking rotation, scale and parent group offsets into account.
+     * @private
+     * @param {HypeDocument} hypeDocument - The Hype document object.
+     * @param {HTMLElement} element - The element to measure.
+     * @returns {Array<{x:number, y:number}>} Corners in order top-left, top-right, bottom-right, bottom-left.
+     */
+    function _getElementQuad(hypeDocument, element) {
+        const width = hypeDocument.getElementProperty(element, 'width') || 0;
+        const height = hypeDocument.getElementProperty(element, 'height') || 0;
+        return [
+            _localToScene(hypeDocument, element, 0, 0),
+            _localToScene(hypeDocument, element, width, 0),
+            _localToScene(hypeDocument, element, width, height),
+            _localToScene(hypeDocument, element, 0, height)
+        ];
+    }
+
+    /**
+     * Computes the axis-aligned bounding box of a list of points.
+     * @private
+     * @param {Array<{x:number, y:number}>} points - The points to enclose.
+     * @returns {{left:number, top:number, width:number, height:number}}
+     */
+    function _getBoundingRect(points) {
+        const xs = points.map(point => point.x);
+        const ys = points.map(point => point.y);
+        const left = Math.min.apply(null, xs);
+        const top = Math.min.apply(null, ys);
+        return { left: left, top: top, width: Math.max.apply(null, xs) - left, height: Math.max.apply(null, ys) - top };
+    }
+
+    /**
+     * Reads the visual rectangle of an element in scene coordinates, as the user sees it.
+     * This is the single source of geometry for hit-testing, within-regions and snapping.
+     * @private
+     * @param {HypeDocument} hypeDocument - The Hype document object.
+     * @param {HTMLElement} element - The element to measure.
+     * @returns {{left:number, top:number, width:number, height:number}}
+     */
+    function _getElementRect(hypeDocument, element) {
+        return _getBoundingRect(_getElementQuad(hypeDocument, element));
+    }
+
+    /**
+     * Tests whether a point lies inside a convex quad.
+     * @private
+     * @param {{x:number, y:number}} point - The point to test.
+     * @param {Array<{x:number, y:number}>} quad - The quad corners in order.
+     * @returns {boolean}
+     */
+    function _isPointInQuad(point, quad) {
+        let sign = 0;
+        for (let i = 0; i < quad.length; i++) {
+            const a = quad[i];
+            const b = quad[(i + 1) % quad.length];
+            const cross = (b.x - a.x) * (point.y - a.y) - (b.y - a.y) * (point.x - a.x);
+            if (cross === 0) continue;
+            if (sign === 0) sign = cross > 0 ? 1 : -1;
+            else if ((cross > 0 ? 1 : -1) !== sign) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Measures how far an element's visual rectangle is offset from its left/top position.
+     * Rotation and scale move the visible box away from the layout box.
+     * @private
+     * @param {HypeDocument} hypeDocument - The Hype document object.
+     * @param {HTMLElement} element - The element to measure.
+     * @returns {{x:number, y:number, width:number, height:number}} Offset and size of the visual box in parent space.
+     */
+    function _getVisualOffset(hypeDocument, element) {
+        const width = hypeDocument.getElementProperty(element, 'width') || 0;
+        const height = hypeDocument.getElementProperty(element, 'height') || 0;
+        const rect = _getBoundingRect([
+            _localToParent(hypeDocument, element, 0, 0),
+            _localToParent(hypeDocument, element, width, 0),
+            _localToParent(hypeDocument, element, width, height),
+            _localToParent(hypeDocument, element, 0, height)
+        ]);
+        return {
+            x: rect.left - (hypeDocument.getElementProperty(element, 'left') || 0),
+            y: rect.top - (hypeDocument.getElementProperty(element, 'top') || 0),
+            width: rect.width,
+            height: rect.height
+        };
+    }
+
+    /**
+     * Resolves the drop detection strategy for a draggable element.
+     * Precedence: interaction map 'dropDetection', data-drop-detection attributes, then the global default.
+     * @private
+     * @param {HypeDocument} hypeDocument - The Hype document object.
+     * @param {HTMLElement} element - The element being dragged.
+     * @returns {{mode:string, minRatio:number}} The normalized detection strategy.
+     */
+    function _getDropDetection(hypeDocument, element) {
+        const interaction = _getDocRegistry(hypeDocument).interactionMap?.[element.dataset.dragName];
+        let detection = interaction && interaction.dropDetection !== undefined ? interaction.dropDetection : undefined;
+
+        if (detection === undefined && element.hasAttribute('data-drop-detection')) {
+            detection = { mode: element.getAttribute('data-drop-detection') };
+            if (element.hasAttribute('data-drop-min-ratio')) {
+                detection.minRatio = parseFloat(element.getAttribute('data-drop-min-ratio'));
+            }
+        }
+        // Connection sources stay in place, so their line ends where the pointer is
+        if (detection === undefined && element.hasAttribute('data-drag-connect-source')) detection = 'pointer';
+        if (detection === undefined) detection = getDefault('dropDetection');
+        if (typeof detection === 'string') detection = { mode: detection };
+
+        const mode = detection && ['overlap', 'pointer', 'center'].indexOf(detection.mode) !== -1 ? detection.mode : 'overlap';
+        const minRatio = detection && typeof detection.minRatio === 'number' && !isNaN(detection.minRatio) ? detection.minRatio : 0;
+        return { mode: mode, minRatio: minRatio };
+    }
+
+    /**
+     * Finds the drop target element for the dragged element using its drop detection strategy.
+     * 'overlap' picks the target with the largest overlap area (optionally requiring minRatio of the
+     * smaller of both areas), 'pointer' and 'center' pick the smallest target containing the gesture
+     * position or the element's midpoint. 'pointer' uses the midpoint when no gesture position is given.
      * @private
      * @param {HTMLElement} element - The element being dragged.
      * @param {HypeDocument} hypeDocument - The Hype document object.
-     * @returns {HTMLElement|null} The drop target element with largest overlap or null if no target is found.
+     * @param {{x:number, y:number}} [pointer] - The gesture position in scene coordinates, used by 'pointer'.
+     * @param {HTMLElement} [ghost] - The ghost moving in place of the element, used for the geometry.
+     * @returns {HTMLElement|null} The best matching drop target or null if no target is found.
      */
-    function _getDropTarget(element, hypeDocument) {
+    function _getDropTarget(element, hypeDocument, pointer, ghost) {
         const sceneEl = hypeDocument.getElementById(hypeDocument.currentSceneId());
         const targetElements = sceneEl.querySelectorAll('[data-drop-target]');
-        const dragLeft = hypeDocument.getElementProperty(element, 'left');
-        const dragTop = hypeDocument.getElementProperty(element, 'top');
-        const dragWidth = hypeDocument.getElementProperty(element, 'width');
-        const dragHeight = hypeDocument.getElementProperty(element, 'height');
+        const detection = _getDropDetection(hypeDocument, element);
+        const drag = _getElementRect(hypeDocument, ghost || element);
+
+        // Without a gesture position (glides, members, check) 'pointer' falls back to the midpoint
+        let point = null;
+        if (detection.mode === 'pointer' && pointer) {
+            point = pointer;
+        } else if (detection.mode === 'center' || detection.mode === 'pointer') {
+            point = { x: drag.left + drag.width / 2, y: drag.top + drag.height / 2 };
+        }
 
         let bestTarget = null;
-        let maxOverlapArea = 0;
+        let bestScore = 0;
 
         for (let i = 0; i < targetElements.length; i++) {
             const targetEl = targetElements[i];
             if (targetEl === element) continue;
-            
-            const targetLeft = hypeDocument.getElementProperty(targetEl, 'left');
-            const targetTop = hypeDocument.getElementProperty(targetEl, 'top');
-            const targetWidth = hypeDocument.getElementProperty(targetEl, 'width');
-            const targetHeight = hypeDocument.getElementProperty(targetEl, 'height');
+
+            const targetQuad = _getElementQuad(hypeDocument, targetEl);
+            const target = _getBoundingRect(targetQuad);
+
+            // Point based detection prefers the smallest (most specific) containing target
+            if (point) {
+                if (_isPointInQuad(point, targetQuad)) {
+                    const score = 1 / Math.max(1, target.width * target.height);
+                    if (score > bestScore) {
+                        bestScore = score;
+                        bestTarget = targetEl;
+                    }
+                }
+                continue;
+            }
 
             // Check if there's any intersection
-            if (dragLeft < targetLeft + targetWidth &&
-                dragLeft + dragWidth > targetLeft &&
-                dragTop < targetTop + targetHeight &&
-                dragTop + dragHeight > targetTop) {
-                
+            if (drag.left < target.left + target.width &&
+                drag.left + drag.width > target.left &&
+                drag.top < target.top + target.height &&
+                drag.top + drag.height > target.top) {
+
                 // Calculate overlap area
-                const overlapLeft = Math.max(dragLeft, targetLeft);
-                const overlapTop = Math.max(dragTop, targetTop);
-                const overlapRight = Math.min(dragLeft + dragWidth, targetLeft + targetWidth);
-                const overlapBottom = Math.min(dragTop + dragHeight, targetTop + targetHeight);
+                const overlapLeft = Math.max(drag.left, target.left);
+                const overlapTop = Math.max(drag.top, target.top);
+                const overlapRight = Math.min(drag.left + drag.width, target.left + target.width);
+                const overlapBottom = Math.min(drag.top + drag.height, target.top + target.height);
                 const overlapWidth = Math.max(0, overlapRight - overlapLeft);
                 const overlapHeight = Math.max(0, overlapBottom - overlapTop);
                 const overlapArea = overlapWidth * overlapHeight;
-                
+
+                // Enforce the minimum overlap ratio relative to the smaller of both areas
+                if (detection.minRatio > 0) {
+                    const smallerArea = Math.min(drag.width * drag.height, target.width * target.height);
+                    if (!(smallerArea > 0) || overlapArea / smallerArea < detection.minRatio) continue;
+                }
+
                 // Keep track of the target with the largest overlap
-                if (overlapArea > maxOverlapArea) {
-                    maxOverlapArea = overlapArea;
+                if (overlapArea > bestScore) {
+                    bestScore = overlapArea;
                     bestTarget = targetEl;
                 }
             }
@@ -141,6 +544,242 @@ if ("HypeDragController" in window === false) window['HypeDragController'] = (fu
         return bestTarget;
     }
 
+    /**
+     * Parses a drop anchor into fractions of the width and height. Accepts the keywords top-left,
+     * top, top-right, left, center, right, bottom-left, bottom and bottom-right, or "x,y" fractions.
+     * @private
+     * @param {string} value - The anchor.
+     * @returns {{x:number, y:number}}
+     */
+    function _parseAnchor(value) {
+        const keywords = {
+            'top-left': [0, 0], 'top': [0.5, 0], 'top-right': [1, 0],
+            'left': [0, 0.5], 'center': [0.5, 0.5], 'right': [1, 0.5],
+            'bottom-left': [0, 1], 'bottom': [0.5, 1], 'bottom-right': [1, 1]
+        };
+        const fractions = keywords[value] || _parseList(value).map(parseFloat);
+        if (fractions.length !== 2 || isNaN(fractions[0]) || isNaN(fractions[1])) return { x: 0, y: 0 };
+        return { x: fractions[0], y: fractions[1] };
+    }
+
+    /**
+     * Computes the position that aligns the anchor point of an element with the same anchor point
+     * of a destination (data-drop-anchor, or the dropAnchor default), in the element's parent space.
+     * @private
+     * @param {HypeDocument} hypeDocument - The Hype document object.
+     * @param {HTMLElement} element - The element to position.
+     * @param {HTMLElement} destination - The destination element.
+     * @returns {{left:number, top:number}}
+     */
+    function _getAnchoredPosition(hypeDocument, element, destination) {
+        const anchor = _parseAnchor(destination.getAttribute('data-drop-anchor') || getDefault('dropAnchor'));
+        const destRect = _getElementRect(hypeDocument, destination);
+        const rect = _getElementRect(hypeDocument, element);
+        // Move the element's anchor onto the destination's, measured in the element's left/top space
+        const from = _sceneToParent(hypeDocument, element, rect.left + anchor.x * rect.width, rect.top + anchor.y * rect.height);
+        const to = _sceneToParent(hypeDocument, element, destRect.left + anchor.x * destRect.width, destRect.top + anchor.y * destRect.height);
+        return {
+            left: (hypeDocument.getElementProperty(element, 'left') || 0) + to.x - from.x,
+            top: (hypeDocument.getElementProperty(element, 'top') || 0) + to.y - from.y
+        };
+    }
+
+    /**
+     * Finds the closest magnetic drop target within its magnet radius (data-drop-magnet, or the
+     * magnetRadius default). Targets that reject the element are ignored.
+     * @private
+     * @param {HypeDocument} hypeDocument - The Hype document object.
+     * @param {object} doc - The document registry.
+     * @param {HTMLElement} element - The dragged element.
+     * @param {HTMLElement} [ghost] - The ghost moving in place of the element.
+     * @returns {{target:HTMLElement, distance:number, radius:number, strength:number, left:number, top:number}|null}
+     *     The target with its distance, pull strength and the anchored position of the moving element.
+     */
+    function _getMagnetTarget(hypeDocument, doc, element, ghost) {
+        const sceneEl = hypeDocument.getElementById(hypeDocument.currentSceneId());
+        const moving = ghost || element;
+        const drag = _getElementRect(hypeDocument, moving);
+        const interaction = doc.interactionMap?.[element.dataset.dragName];
+        const defaultRadius = getDefault('magnetRadius');
+        let best = null;
+
+        sceneEl.querySelectorAll('[data-drop-target]').forEach(target => {
+            if (target === element || target === moving) return;
+            const radius = target.hasAttribute('data-drop-magnet') ? parseFloat(target.getAttribute('data-drop-magnet')) : defaultRadius;
+            if (!(radius > 0)) return;
+            if (_resolveAcceptance(hypeDocument, element, target, interaction) === false) return;
+
+            // Distance between the closest edges, zero if both overlap
+            const rect = _getElementRect(hypeDocument, target);
+            const dx = Math.max(0, rect.left - (drag.left + drag.width), drag.left - (rect.left + rect.width));
+            const dy = Math.max(0, rect.top - (drag.top + drag.height), drag.top - (rect.top + rect.height));
+            const distance = Math.sqrt(dx * dx + dy * dy);
+            if (distance > radius || (best && distance >= best.distance)) return;
+            best = { target: target, distance: distance, radius: radius };
+        });
+        if (!best) return null;
+
+        const strength = best.target.hasAttribute('data-drop-magnet-strength') ? parseFloat(best.target.getAttribute('data-drop-magnet-strength')) : getDefault('magnetStrength');
+        const position = _getAnchoredPosition(hypeDocument, moving, best.target);
+        return Object.assign(best, { strength: Math.max(0, Math.min(1, strength)), left: position.left, top: position.top });
+    }
+
+    /**
+     * Converts a viewport (client) position into scene coordinates, undoing the scene's offset and scale.
+     * @private
+     * @param {HypeDocument} hypeDocument - The Hype document object.
+     * @param {number} clientX - The horizontal viewport position.
+     * @param {number} clientY - The vertical viewport position.
+     * @returns {{x:number, y:number}}
+     */
+    function _clientToScene(hypeDocument, clientX, clientY) {
+        const sceneEl = hypeDocument.getElementById(hypeDocument.currentSceneId());
+        const rect = sceneEl.getBoundingClientRect();
+        const scale = sceneEl.offsetWidth ? rect.width / sceneEl.offsetWidth : 1;
+        return { x: (clientX - rect.left) / scale, y: (clientY - rect.top) / scale };
+    }
+
+    /**
+     * Extracts the gesture position from a Hype drag event.
+     * @private
+     * @param {object} event - The Hype drag event object.
+     * @returns {{x:number, y:number}|null}
+     */
+    function _getGesturePoint(event) {
+        if (typeof event.hypeGestureXPosition !== 'number' || typeof event.hypeGestureYPosition !== 'number') return null;
+        return { x: event.hypeGestureXPosition, y: event.hypeGestureYPosition };
+    }
+
+    /**
+     * Splits a comma-separated attribute value into a list of trimmed, non-empty entries.
+     * @private
+     * @param {string|Array|null} value - The raw value or an already split array.
+     * @returns {string[]} The list of entries.
+     */
+    function _parseList(value) {
+        if (Array.isArray(value)) return value.map(String);
+        if (value === undefined || value === null) return [];
+        return String(value).split(',').map(entry => entry.trim()).filter(entry => entry.length > 0);
+    }
+
+    /**
+     * Resolves whether a drop target accepts a dragged element.
+     * The interaction map 'accept' rule takes precedence over data-drop-accept on the target.
+     * @private
+     * @param {HypeDocument} hypeDocument - The Hype document object.
+     * @param {HTMLElement} element - The element being dropped.
+     * @param {HTMLElement|null} dropTarget - The drop target found for the element.
+     * @param {object} [interaction] - The interaction map entry for the element.
+     * @returns {boolean|null} True or false if acceptance rules apply, null if none are declared.
+     */
+    function _resolveAcceptance(hypeDocument, element, dropTarget, interaction) {
+        const accept = interaction ? interaction.accept : undefined;
+        const groups = _parseList(interaction && interaction.group !== undefined ? interaction.group : element.getAttribute('data-drag-group'));
+        const targetAccept = dropTarget ? dropTarget.getAttribute('data-drop-accept') : null;
+
+        // No rules declared anywhere keeps the manual onDrop workflow untouched
+        if (accept === undefined && !groups.length && targetAccept === null) return null;
+        if (!dropTarget) return false;
+
+        // Interaction map rule: function, or list of accepted drop target names
+        if (accept !== undefined) {
+            if (typeof accept === 'function') return !!accept(hypeDocument, element, dropTarget);
+            const names = _parseList(accept);
+            return names.indexOf('*') !== -1 || names.indexOf(dropTarget.dataset.dropTarget) !== -1;
+        }
+
+        // Targets without data-drop-accept take any group
+        if (targetAccept === null) return true;
+        const accepted = _parseList(targetAccept);
+        if (accepted.indexOf('*') !== -1) return true;
+        return groups.some(group => accepted.indexOf(group) !== -1);
+    }
+
+    /**
+     * Calls a hover callback on the draggable's interaction entry and on the target's target map entry.
+     * Draggable callbacks receive the dragged element, target callbacks receive the target element.
+     * @private
+     * @param {HypeDocument} hypeDocument - The Hype document object.
+     * @param {object} doc - The document registry.
+     * @param {string} type - The callback name ('onDragEnter', 'onDragOver' or 'onDragLeave').
+     * @param {HTMLElement} element - The element being dragged.
+     * @param {HTMLElement} target - The hovered drop target.
+     * @param {object} event - The Hype drag event object.
+     */
+    function _fireHoverCallbacks(hypeDocument, doc, type, element, target, event) {
+        const interaction = doc.interactionMap?.[element.dataset.dragName];
+        const targetEntry = doc.targetMap?.[target.dataset.dropTarget];
+        event.dropTarget = target;
+        event.draggedElement = element;
+        event.accepted = _resolveAcceptance(hypeDocument, element, target, interaction);
+        if (interaction && typeof interaction[type] === 'function') {
+            interaction[type](hypeDocument, element, event);
+        }
+        if (targetEntry && typeof targetEntry[type] === 'function') {
+            targetEntry[type](hypeDocument, target, event);
+        }
+        _emit(hypeDocument, type.slice(6).toLowerCase(), element, event);
+    }
+
+    /**
+     * Tracks the hovered drop target of an active drag, toggling the active class and firing
+     * enter, over and leave callbacks as the best target changes.
+     * @private
+     * @param {HypeDocument} hypeDocument - The Hype document object.
+     * @param {object} doc - The document registry.
+     * @param {HTMLElement} element - The element being dragged.
+     * @param {object} data - The drag data of the current session.
+     * @param {HTMLElement|null} target - The current best target, or null to leave the hovered one.
+     * @param {object} event - The Hype drag event object.
+     */
+    function _updateHoverTarget(hypeDocument, doc, element, data, target, event) {
+        const activeClass = getDefault('dropTargetActiveClass');
+        const previous = data.hoverTarget || null;
+        if (previous !== target) {
+            if (previous) {
+                if (activeClass) previous.classList.remove(activeClass);
+                _fireHoverCallbacks(hypeDocument, doc, 'onDragLeave', element, previous, event);
+                _runFeedback(hypeDocument, doc, element, 'leave');
+            }
+            data.hoverTarget = target;
+            if (target) {
+                if (activeClass) target.classList.add(activeClass);
+                _fireHoverCallbacks(hypeDocument, doc, 'onDragEnter', element, target, event);
+                _runFeedback(hypeDocument, doc, element, 'enter');
+            }
+        }
+        if (target) {
+            _fireHoverCallbacks(hypeDocument, doc, 'onDragOver', element, target, event);
+        } else {
+            event.dropTarget = null;
+        }
+    }
+
+    /**
+     * Tracks the obstacles an active drag rests against and fires onCollide and the collide event
+     * for every obstacle that was not blocking the previous move.
+     * @private
+     * @param {HypeDocument} hypeDocument - The Hype document object.
+     * @param {object} doc - The document registry.
+     * @param {HTMLElement} element - The element being dragged.
+     * @param {object} data - The drag data of the current session.
+     * @param {HTMLElement[]} collisions - The obstacles blocking the current move.
+     * @param {object} event - The Hype drag event object.
+     */
+    function _updateCollisions(hypeDocument, doc, element, data, collisions, event) {
+        const previous = data.collisions || [];
+        data.collisions = collisions;
+        const interaction = doc.interactionMap?.[element.dataset.dragName];
+        collisions.filter(obstacle => previous.indexOf(obstacle) === -1).forEach(obstacle => {
+            event.obstacle = obstacle;
+            event.obstacles = collisions;
+            if (interaction && typeof interaction.onCollide === 'function') {
+                interaction.onCollide(hypeDocument, element, event);
+            }
+            _emit(hypeDocument, 'collide', element, event);
+        });
+    }
+
     /**
      * Calculates the bounding rectangle for a within-region element.
      * @private
@@ -170,95 +809,462 @@ if ("HypeDragController" in window === false) window['HypeDragController'] = (fu
             return null;
         }
 
-        const containerWidth = hypeDocument.getElementProperty(container, 'width');
-        const containerHeight = hypeDocument.getElementProperty(container, 'height');
-        const elementWidth = hypeDocument.getElementProperty(element, 'width');
-        const elementHeight = hypeDocument.getElementProperty(element, 'height');
+        // Bounds are expressed in the element's left/top space and keep its visual box inside the region
+        const offset = _getVisualOffset(hypeDocument, element);
 
         // For parent region, bounds are relative to parent (0,0 origin)
-        // For selector region, bounds are absolute scene coordinates
+        // For selector region, the container's visual box is converted from scene coordinates into the parent's space
         if (within === 'parent') {
+            // A scrollable parent offers its whole content area
+            const containerWidth = Math.max(hypeDocument.getElementProperty(container, 'width'), container.scrollWidth || 0);
+            const containerHeight = Math.max(hypeDocument.getElementProperty(container, 'height'), container.scrollHeight || 0);
             return {
-                minX: 0,
-                maxX: containerWidth - elementWidth,
-                minY: 0,
-                maxY: containerHeight - elementHeight
+                minX: -offset.x,
+                maxX: containerWidth - offset.x - offset.width,
+                minY: -offset.y,
+                maxY: containerHeight - offset.y - offset.height
             };
         } else {
-            const containerLeft = hypeDocument.getElementProperty(container, 'left');
-            const containerTop = hypeDocument.getElementProperty(container, 'top');
+            const rect = _getRectInParent(hypeDocument, element, container);
             return {
-                minX: containerLeft,
-                maxX: containerLeft + containerWidth - elementWidth,
-                minY: containerTop,
-                maxY: containerTop + containerHeight - elementHeight
+                minX: rect.left - offset.x,
+                maxX: rect.left + rect.width - offset.x - offset.width,
+                minY: rect.top - offset.y,
+                maxY: rect.top + rect.height - offset.y - offset.height
             };
         }
     }
 
 
     /**
-     * Computes a constrained position given proposed left/top and a baseline for axis locks.
-     * Centralizes boundary, axis and within-region calculations used during drag and auto snap.
+     * Normalizes a snap constraint into grid spacing, origin, explicit points and mode.
+     * Accepts numbers or {x, y} objects or [x, y] arrays for grid and origin, and points as {x, y} or [x, y].
      * @private
-     * @param {HypeDocument} hypeDocument
-     * @param {HTMLElement} element
-     * @param {object} constraints
-     * @param {number} proposedLeft
-     * @param {number} proposedTop
-     * @param {number} axisBaselineLeft - The reference left used when axis === 'y'
-     * @param {number} axisBaselineTop - The reference top used when axis === 'x'
-     * @returns {{left:number, top:number}}
+     * @param {object} snap - The snap constraint.
+     * @returns {object|null} The normalized snap configuration, or null if it defines nothing to snap to.
      */
-    function _computeConstrainedPosition(hypeDocument, element, constraints, proposedLeft, proposedTop, axisBaselineLeft, axisBaselineTop) {
-        let newLeft = proposedLeft;
-        let newTop = proposedTop;
+    function _normalizeSnap(snap) {
+        if (!snap || typeof snap !== 'object') return null;
+        function pair(value, fallback) {
+            if (typeof value === 'number') return { x: value, y: value };
+            if (Array.isArray(value)) return { x: parseFloat(value[0]), y: parseFloat(value[1] !== undefined ? value[1] : value[0]) };
+            if (value && typeof value === 'object') return { x: value.x, y: value.y };
+            return fallback;
+        }
+        const grid = pair(snap.grid, null);
+        const origin = pair(snap.origin, { x: 0, y: 0 });
+        const points = Array.isArray(snap.points) ? snap.points.map(point => pair(point, null)).filter(point => point && typeof point.x === 'number' && typeof point.y === 'number') : [];
+        const gridX = grid && grid.x > 0 ? grid.x : null;
+        const gridY = grid && grid.y > 0 ? grid.y : null;
+        if (!gridX && !gridY && !points.length) return null;
+        return {
+            gridX: gridX,
+            gridY: gridY,
+            originX: origin.x || 0,
+            originY: origin.y || 0,
+            points: points,
+            mode: snap.mode === 'live' ? 'live' : 'release'
+        };
+    }
 
-        if (!constraints) {
-            return { left: newLeft, top: newTop };
+    /**
+     * Computes the step indices of a position on a snap grid or list of snap points.
+     * @private
+     * @param {object} snap - The normalized snap configuration.
+     * @param {object} constraints - The constraints, used for the axis.
+     * @param {number} left
+     * @param {number} top
+     * @returns {{stepX:number|null, stepY:number|null, stepIndex:number|null}}
+     */
+    function _computeSnapStep(snap, constraints, left, top) {
+        const result = { stepX: null, stepY: null, stepIndex: null };
+        if (!snap) return result;
+        if (snap.points.length) {
+            let bestDistance = Infinity;
+            snap.points.forEach((point, index) => {
+                const dx = constraints.axis === 'y' ? 0 : point.x - left;
+                const dy = constraints.axis === 'x' ? 0 : point.y - top;
+                const distance = dx * dx + dy * dy;
+                if (distance < bestDistance) {
+                    bestDistance = distance;
+                    result.stepIndex = index;
+                }
+            });
+            return result;
         }
+        if (snap.gridX) result.stepX = Math.round((left - snap.originX) / snap.gridX);
+        if (snap.gridY) result.stepY = Math.round((top - snap.originY) / snap.gridY);
+        if (constraints.axis === 'x') result.stepIndex = result.stepX;
+        if (constraints.axis === 'y') result.stepIndex = result.stepY;
+        return result;
+    }
 
-        // Boundary constraints
-        if (constraints.minX !== undefined) newLeft = Math.max(newLeft, constraints.minX);
-        if (constraints.maxX !== undefined) newLeft = Math.min(newLeft, constraints.maxX);
-        if (constraints.minY !== undefined) newTop = Math.max(newTop, constraints.minY);
-        if (constraints.maxY !== undefined) newTop = Math.min(newTop, constraints.maxY);
+    /**
+     * Normalizes a path constraint into a circle or a polyline of element center positions
+     * in the element's parent space. Accepts a circle or arc ({center, radius, startAngle, endAngle}),
+     * a polyline (an array of points or {points, closed}) and an SVG or vector shape element
+     * (an element, a selector, or {element, samples}), which is sampled into a polyline.
+     * @private
+     * @param {HypeDocument} hypeDocument - The Hype document object.
+     * @param {HTMLElement} element - The constrained element.
+     * @param {object|Array|string|HTMLElement} path - The path constraint.
+     * @returns {object|null} {type: 'circle', cx, cy, radius, start, sweep} or {type: 'polyline', points, lengths, total}.
+     */
+    function _normalizePath(hypeDocument, element, path) {
+        if (!path) return null;
+        const toPoint = point => Array.isArray(point) ? { x: point[0], y: point[1] } : { x: point.x, y: point.y };
 
-        // Axis constraints
-        if (constraints.axis === 'x') newTop = axisBaselineTop;
-        if (constraints.axis === 'y') newLeft = axisBaselineLeft;
+        if (typeof path === 'object' && typeof path.radius === 'number') {
+            const center = toPoint(path.center || [0, 0]);
+            const hasArc = typeof path.startAngle === 'number' && typeof path.endAngle === 'number';
+            const sweep = hasArc ? ((path.endAngle - path.startAngle) % 360 + 360) % 360 : 360;
+            return { type: 'circle', cx: center.x, cy: center.y, radius: path.radius, start: hasArc ? path.startAngle : 0, sweep: sweep || 360 };
+        }
 
-        // Within-region constraints
-        if (constraints.within) {
-            const bounds = _getWithinBounds(element, constraints.within, hypeDocument);
-            if (bounds) {
-                newLeft = Math.max(bounds.minX, Math.min(newLeft, bounds.maxX));
-                newTop = Math.max(bounds.minY, Math.min(newTop, bounds.maxY));
+        let points;
+        let closed = !!path.closed;
+        if (Array.isArray(path) || Array.isArray(path.points)) {
+            points = (Array.isArray(path) ? path : path.points).map(toPoint);
+        } else {
+            const reference = typeof path === 'string' || path.nodeType ? path : path.element;
+            const shapeHost = typeof reference === 'string' ? hypeDocument.getElementById(hypeDocument.currentSceneId()).querySelector(reference) : reference;
+            points = shapeHost ? _samplePathElement(hypeDocument, element, shapeHost, path.samples || 64) : null;
+            if (!points) {
+                console.warn('HypeDragController: Path element "' + reference + '" was not found or has no SVG geometry.', element);
+                return null;
             }
+            closed = false;
         }
+        if (closed && points.length > 2) points.push(points[0]);
+        if (!points.length) return null;
 
-        return { left: newLeft, top: newTop };
+        const lengths = [0];
+        for (let i = 1; i < points.length; i++) {
+            lengths.push(lengths[i - 1] + Math.hypot(points[i].x - points[i - 1].x, points[i].y - points[i - 1].y));
+        }
+        return { type: 'polyline', points: points, lengths: lengths, total: lengths[lengths.length - 1] };
     }
 
+    /**
+     * Finds the drag session an element moves in: its own, or the one of the element it is the ghost of.
+     * @private
+     * @param {object} doc - The document registry.
+     * @param {HTMLElement} element - The moving element.
+     * @returns {object|null} The drag data of the session.
+     */
+    function _getDragSession(doc, element) {
+        const dragName = element.dataset.dragName;
+        if (dragName && doc.dragData[dragName]) return doc.dragData[dragName];
+        const owner = Object.keys(doc.dragData).find(name => doc.dragData[name].ghost === element);
+        return owner ? doc.dragData[owner] : null;
+    }
 
     /**
-     * Computes event metrics (factor, midpoint, percent) based on effective bounds.
-     * factor: 0..1 within bounds; midpoint: -1..1 centered; percent: 0..100.
-     * Returns nulls when bounds for an axis are not computable.
+     * Returns the normalized path constraint of an element. During a drag the result is cached
+     * on the session, so SVG shapes are sampled once per drag instead of on every move.
      * @private
-     * @param {HypeDocument} hypeDocument
-     * @param {HTMLElement} element
-     * @param {object} constraints
-     * @param {number} left
-     * @param {number} top
-     * @returns {{factor:{x:number|null,y:number|null}, midpoint:{x:number|null,y:number|null}, percent:{x:number|null,y:number|null}}}
+     * @param {HypeDocument} hypeDocument - The Hype document object.
+     * @param {HTMLElement} element - The constrained element.
+     * @param {object|Array|string|HTMLElement} path - The path constraint.
+     * @returns {object|null} The normalized path.
      */
-    function _computeEventMetrics(hypeDocument, element, constraints, left, top) {
-        let minX, maxX, minY, maxY;
-        if (constraints) {
-            if (typeof constraints.minX === 'number' && typeof constraints.maxX === 'number') {
-                minX = constraints.minX; maxX = constraints.maxX;
-            }
+    function _getPath(hypeDocument, element, path) {
+        if (!path) return null;
+        const session = _getDragSession(_getDocRegistry(hypeDocument), element);
+        if (session && session.pathSource === path) return session.path;
+        const normalized = _normalizePath(hypeDocument, element, path);
+        if (session) {
+            session.pathSource = path;
+            session.path = normalized;
+        }
+        return normalized;
+    }
+
+    /**
+     * Samples the SVG geometry of a vector shape or SVG element into points, converted into the
+     * parent space of the constrained element.
+     * @private
+     * @param {HypeDocument} hypeDocument - The Hype document object.
+     * @param {HTMLElement} element - The constrained element.
+     * @param {Element} shapeHost - An SVG geometry element or an element containing one.
+     * @param {number} samples - Number of segments to sample.
+     * @returns {Array<{x:number, y:number}>|null}
+     */
+    function _samplePathElement(hypeDocument, element, shapeHost, samples) {
+        const shape = typeof shapeHost.getTotalLength === 'function' ? shapeHost : shapeHost.querySelector('path, polyline, polygon, line, circle, ellipse, rect');
+        if (!shape || typeof shape.getTotalLength !== 'function') return null;
+        const host = shape.closest('.HYPE_element');
+        const matrix = typeof shape.getCTM === 'function' ? shape.getCTM() : null;
+        const total = shape.getTotalLength();
+        const points = [];
+        for (let i = 0; i <= samples; i++) {
+            let point = shape.getPointAtLength(total * i / samples);
+            if (matrix) point = point.matrixTransform(matrix);
+            const scenePoint = host ? _localToScene(hypeDocument, host, point.x, point.y) : point;
+            points.push(_sceneToParent(hypeDocument, element, scenePoint.x, scenePoint.y));
+        }
+        return points;
+    }
+
+    /**
+     * Projects a point onto the nearest point of a normalized path.
+     * @private
+     * @param {object} path - The normalized path.
+     * @param {number} x - The x coordinate.
+     * @param {number} y - The y coordinate.
+     * @returns {{x:number, y:number, factor:number, angle:number|null}} The projected point, the progress
+     *     along the path (0..1) and, for circles, the angle in degrees.
+     */
+    function _projectOntoPath(path, x, y) {
+        if (path.type === 'circle') {
+            const angle = Math.atan2(y - path.cy, x - path.cx) * 180 / Math.PI;
+            let offset = ((angle - path.start) % 360 + 360) % 360;
+            // Outside an arc, clamp to the closer end
+            if (offset > path.sweep) offset = offset - path.sweep < 360 - offset ? path.sweep : 0;
+            const clamped = (path.start + offset) * Math.PI / 180;
+            return {
+                x: path.cx + Math.cos(clamped) * path.radius,
+                y: path.cy + Math.sin(clamped) * path.radius,
+                factor: offset / path.sweep,
+                angle: ((path.start + offset) % 360 + 360) % 360
+            };
+        }
+
+        const points = path.points;
+        let best = { x: points[0].x, y: points[0].y, factor: 0, angle: null, distance: Infinity };
+        for (let i = 1; i < points.length; i++) {
+            const a = points[i - 1];
+            const b = points[i];
+            const dx = b.x - a.x;
+            const dy = b.y - a.y;
+            const lengthSquared = dx * dx + dy * dy;
+            const t = lengthSquared ? Math.max(0, Math.min(1, ((x - a.x) * dx + (y - a.y) * dy) / lengthSquared)) : 0;
+            const px = a.x + t * dx;
+            const py = a.y + t * dy;
+            const distance = Math.hypot(x - px, y - py);
+            if (distance < best.distance) {
+                const along = path.lengths[i - 1] + t * (path.lengths[i] - path.lengths[i - 1]);
+                best = { x: px, y: py, factor: path.total ? along / path.total : 0, angle: null, distance: distance };
+            }
+        }
+        if (points.length === 1) best.distance = 0;
+        return { x: best.x, y: best.y, factor: best.factor, angle: best.angle };
+    }
+
+    /**
+     * Stops an element at the edges of obstacles on its way from its current position to a new one.
+     * During a drag the way starts at the position the session last placed the element at.
+     * Each axis is resolved on its own, so an element blocked on one axis keeps sliding along the other.
+     * Obstacles are data-drag-obstacle elements and, if the element collides with draggables,
+     * all draggables that are not being dragged themselves.
+     * @private
+     * @param {HypeDocument} hypeDocument - The Hype document object.
+     * @param {HTMLElement} element - The moving element.
+     * @param {object} [constraints] - The constraints of the element.
+     * @param {number} left - The proposed left.
+     * @param {number} top - The proposed top.
+     * @returns {{left:number, top:number, collisions:HTMLElement[]}} The resolved position and the obstacles it rests against.
+     */
+    function _resolveObstacles(hypeDocument, element, constraints, left, top) {
+        const doc = _getDocRegistry(hypeDocument);
+        const collide = constraints && constraints.collide !== undefined ? constraints.collide : getDefault('collideDraggables');
+        const session = _getDragSession(doc, element);
+
+        // The obstacles are collected once per drag session, so scenes without any skip the sweep cheaply
+        let obstacles = session && session.obstacles && session.obstacles.element === element && session.obstacles.collide === collide ? session.obstacles.list : null;
+        if (!obstacles) {
+            const sceneEl = hypeDocument.getElementById(hypeDocument.currentSceneId());
+            // Elements moving in the same drag session (group members, the source of a ghost) never block each other
+            const sessionOf = node => {
+                const data = node.dataset.dragName ? doc.dragData[node.dataset.dragName] : null;
+                return data ? (data.groupLeader || node.dataset.dragName) : null;
+            };
+            const owner = Object.keys(doc.dragData).find(name => doc.dragData[name].ghost === element) || sessionOf(element);
+            obstacles = Array.prototype.filter.call(sceneEl.querySelectorAll(collide ? '[data-drag-obstacle], [data-drag-name]' : '[data-drag-obstacle]'), obstacle => {
+                if (obstacle === element || obstacle.contains(element) || element.contains(obstacle)) return false;
+                if (obstacle.getAttribute('data-drag-obstacle') === 'false') return false;
+                return !owner || sessionOf(obstacle) !== owner;
+            });
+            if (session) session.obstacles = { element: element, collide: collide, list: obstacles };
+        }
+        if (!obstacles.length) return { left: left, top: top, collisions: [] };
+
+        // Sweep from where the drag session last placed the element, which starts at its baseline
+        const placed = session && typeof session.placedLeft === 'number';
+        const fromLeft = placed ? session.placedLeft : hypeDocument.getElementProperty(element, 'left') || 0;
+        const fromTop = placed ? session.placedTop : hypeDocument.getElementProperty(element, 'top') || 0;
+        const offset = _getVisualOffset(hypeDocument, element);
+
+        // Obstacles grown by the element's visual box, in its left/top space: inside means overlapping
+        const boxes = obstacles.map(obstacle => {
+            const rect = _getRectInParent(hypeDocument, element, obstacle);
+            return {
+                element: obstacle,
+                minX: rect.left - offset.x - offset.width,
+                maxX: rect.left + rect.width - offset.x,
+                minY: rect.top - offset.y - offset.height,
+                maxY: rect.top + rect.height - offset.y
+            };
+        });
+
+        // Sweep horizontally at the current top, then vertically at the resolved left, so fast moves cannot tunnel
+        let newLeft = left;
+        boxes.forEach(box => {
+            if (fromTop <= box.minY || fromTop >= box.maxY) return;
+            if (newLeft > fromLeft && fromLeft <= box.minX + 0.5 && newLeft > box.minX) newLeft = box.minX;
+            if (newLeft < fromLeft && fromLeft >= box.maxX - 0.5 && newLeft < box.maxX) newLeft = box.maxX;
+        });
+        let newTop = top;
+        boxes.forEach(box => {
+            if (newLeft <= box.minX || newLeft >= box.maxX) return;
+            if (newTop > fromTop && fromTop <= box.minY + 0.5 && newTop > box.minY) newTop = box.minY;
+            if (newTop < fromTop && fromTop >= box.maxY - 0.5 && newTop < box.maxY) newTop = box.maxY;
+        });
+
+        const collisions = boxes.filter(box =>
+            (newLeft !== left && (newLeft === box.minX || newLeft === box.maxX) && fromTop > box.minY && fromTop < box.maxY) ||
+            (newTop !== top && (newTop === box.minY || newTop === box.maxY) && newLeft > box.minX && newLeft < box.maxX)
+        ).map(box => box.element);
+        return { left: newLeft, top: newTop, collisions: collisions };
+    }
+
+    /**
+     * Computes a constrained position given proposed left/top and a baseline for axis locks.
+     * Centralizes boundary, axis, within-region, snap and obstacle calculations used during drag and auto snap.
+     * Obstacles apply last and also to elements without constraints.
+     * @private
+     * @param {HypeDocument} hypeDocument
+     * @param {HTMLElement} element
+     * @param {object} constraints
+     * @param {number} proposedLeft
+     * @param {number} proposedTop
+     * @param {number} axisBaselineLeft - The reference left used when axis === 'y'
+     * @param {number} axisBaselineTop - The reference top used when axis === 'x'
+     * @param {boolean} [applySnap] - If true, snap the result to the snap grid or points, staying within bounds.
+     * @returns {{left:number, top:number, collisions:HTMLElement[]}}
+     */
+    function _computeConstrainedPosition(hypeDocument, element, constraints, proposedLeft, proposedTop, axisBaselineLeft, axisBaselineTop, applySnap) {
+        const result = constraints
+            ? _constrainPosition(hypeDocument, element, constraints, proposedLeft, proposedTop, axisBaselineLeft, axisBaselineTop, applySnap)
+            : { left: proposedLeft, top: proposedTop };
+        return _resolveObstacles(hypeDocument, element, constraints, result.left, result.top);
+    }
+
+    /**
+     * Applies the constraint rules of _computeConstrainedPosition, without obstacles.
+     * @private
+     * @param {HypeDocument} hypeDocument
+     * @param {HTMLElement} element
+     * @param {object} constraints
+     * @param {number} proposedLeft
+     * @param {number} proposedTop
+     * @param {number} axisBaselineLeft
+     * @param {number} axisBaselineTop
+     * @param {boolean} [applySnap]
+     * @returns {{left:number, top:number}}
+     */
+    function _constrainPosition(hypeDocument, element, constraints, proposedLeft, proposedTop, axisBaselineLeft, axisBaselineTop, applySnap) {
+        const bounds = constraints.within ? _getWithinBounds(element, constraints.within, hypeDocument) : null;
+        const path = _getPath(hypeDocument, element, constraints.path);
+        const halfWidth = (hypeDocument.getElementProperty(element, 'width') || 0) / 2;
+        const halfHeight = (hypeDocument.getElementProperty(element, 'height') || 0) / 2;
+
+        function constrain(left, top) {
+            let newLeft = left;
+            let newTop = top;
+
+            // Boundary constraints
+            if (constraints.minX !== undefined) newLeft = Math.max(newLeft, constraints.minX);
+            if (constraints.maxX !== undefined) newLeft = Math.min(newLeft, constraints.maxX);
+            if (constraints.minY !== undefined) newTop = Math.max(newTop, constraints.minY);
+            if (constraints.maxY !== undefined) newTop = Math.min(newTop, constraints.maxY);
+
+            // Axis constraints
+            if (constraints.axis === 'x') newTop = axisBaselineTop;
+            if (constraints.axis === 'y') newLeft = axisBaselineLeft;
+
+            // Within-region constraints
+            if (bounds) {
+                newLeft = Math.max(bounds.minX, Math.min(newLeft, bounds.maxX));
+                newTop = Math.max(bounds.minY, Math.min(newTop, bounds.maxY));
+            }
+
+            // Path constraints move the element's center onto the nearest point of the path
+            if (path) {
+                const projected = _projectOntoPath(path, newLeft + halfWidth, newTop + halfHeight);
+                newLeft = projected.x - halfWidth;
+                newTop = projected.y - halfHeight;
+            }
+
+            // Custom constraint hook gets the last word
+            if (typeof constraints.constrain === 'function') {
+                const custom = constraints.constrain(newLeft, newTop, {
+                    hypeDocument: hypeDocument,
+                    element: element,
+                    constraints: constraints,
+                    baselineLeft: axisBaselineLeft,
+                    baselineTop: axisBaselineTop
+                });
+                if (custom && typeof custom.left === 'number' && typeof custom.top === 'number') {
+                    newLeft = custom.left;
+                    newTop = custom.top;
+                }
+            }
+
+            return { left: newLeft, top: newTop };
+        }
+
+        const result = constrain(proposedLeft, proposedTop);
+        const snap = applySnap ? _normalizeSnap(constraints.snap) : null;
+        if (!snap) return result;
+
+        // Snap points: nearest point that lies within bounds, falling back to the clamped nearest point
+        if (snap.points.length) {
+            const inside = snap.points.filter(point => {
+                const clamped = constrain(point.x, point.y);
+                return (constraints.axis === 'y' || Math.abs(clamped.left - point.x) < 0.5) &&
+                    (constraints.axis === 'x' || Math.abs(clamped.top - point.y) < 0.5);
+            });
+            const candidates = inside.length ? inside : snap.points;
+            const nearest = candidates[_computeSnapStep({ points: candidates }, constraints, result.left, result.top).stepIndex];
+            return constrain(nearest.x, nearest.y);
+        }
+
+        // Grid: round to the nearest step, stepping back inside when rounding leaves the bounds
+        function snapAxis(value, size, origin, clampAxis) {
+            if (!size) return value;
+            const snapped = origin + Math.round((value - origin) / size) * size;
+            const clamped = clampAxis(snapped);
+            if (Math.abs(clamped - snapped) < 0.5) return snapped;
+            const inward = clamped > snapped ? snapped + size : snapped - size;
+            return Math.abs(clampAxis(inward) - inward) < 0.5 ? inward : clamped;
+        }
+        const left = constraints.axis === 'y' ? result.left : snapAxis(result.left, snap.gridX, snap.originX, value => constrain(value, result.top).left);
+        const top = constraints.axis === 'x' ? result.top : snapAxis(result.top, snap.gridY, snap.originY, value => constrain(result.left, value).top);
+        return constrain(left, top);
+    }
+
+
+    /**
+     * Computes event metrics (factor, midpoint, percent) based on effective bounds.
+     * factor: 0..1 within bounds; midpoint: -1..1 centered; percent: 0..100.
+     * Returns nulls when bounds for an axis are not computable.
+     * Step indices (stepX, stepY, stepIndex) are reported when a snap constraint is set.
+     * With a path constraint, factors report the progress along the path (pathFactor) and circles add the angle.
+     * @private
+     * @param {HypeDocument} hypeDocument
+     * @param {HTMLElement} element
+     * @param {object} constraints
+     * @param {number} left
+     * @param {number} top
+     * @returns {{factor:{x:number|null,y:number|null}, midpoint:{x:number|null,y:number|null}, percent:{x:number|null,y:number|null}}}
+     */
+    function _computeEventMetrics(hypeDocument, element, constraints, left, top) {
+        let minX, maxX, minY, maxY;
+        if (constraints) {
+            if (typeof constraints.minX === 'number' && typeof constraints.maxX === 'number') {
+                minX = constraints.minX; maxX = constraints.maxX;
+            }
             if (typeof constraints.minY === 'number' && typeof constraints.maxY === 'number') {
                 minY = constraints.minY; maxY = constraints.maxY;
             }
@@ -279,168 +1285,2724 @@ if ("HypeDragController" in window === false) window['HypeDragController'] = (fu
             return t;
         }
 
-        const fx = normalize(left, minX, maxX);
-        const fy = normalize(top, minY, maxY);
+        // Along a path, both factors report the progress along it
+        const path = constraints ? _getPath(hypeDocument, element, constraints.path) : null;
+        const projected = path ? _projectOntoPath(path, left + (hypeDocument.getElementProperty(element, 'width') || 0) / 2, top + (hypeDocument.getElementProperty(element, 'height') || 0) / 2) : null;
+        const fx = projected ? projected.factor : normalize(left, minX, maxX);
+        const fy = projected ? projected.factor : normalize(top, minY, maxY);
         const mx = fx == null ? null : (fx - 0.5) * 2;
         const my = fy == null ? null : (fy - 0.5) * 2;
         const px = fx == null ? null : fx * 100;
         const py = fy == null ? null : fy * 100;
 
+        const step = _computeSnapStep(constraints ? _normalizeSnap(constraints.snap) : null, constraints || {}, left, top);
+
         return {
             factorX: fx, factorY: fy,
             midpointX: mx, midpointY: my,
-            percentX: px, percentY: py
+            percentX: px, percentY: py,
+            stepX: step.stepX, stepY: step.stepY, stepIndex: step.stepIndex,
+            pathFactor: projected ? projected.factor : null,
+            angle: projected ? projected.angle : null
+        };
+    }
+
+
+    /**
+     * Resolves a list of elements, drag names or a mix of both into draggable elements of the current scene.
+     * @private
+     * @param {HypeDocument} hypeDocument - The Hype document object.
+     * @param {HTMLElement|string|Array} elements - The element(s) or drag name(s).
+     * @returns {HTMLElement[]} The resolved draggable elements.
+     */
+    function _resolveDraggables(hypeDocument, elements) {
+        const sceneEl = hypeDocument.getElementById(hypeDocument.currentSceneId());
+        const list = Array.isArray(elements) ? elements : (elements && typeof elements.length === 'number' && typeof elements !== 'string' ? Array.prototype.slice.call(elements) : [elements]);
+        return list.map(element => {
+            if (typeof element === 'string') return sceneEl.querySelector(`[data-drag-name="${element}"]`);
+            return element;
+        }).filter(element => element && element.dataset && element.dataset.dragName);
+    }
+
+    /**
+     * Finds the elements that move together with a dragged element: the other selected elements
+     * if it is selected, otherwise all elements sharing its data-drag-group-move value.
+     * @private
+     * @param {HypeDocument} hypeDocument - The Hype document object.
+     * @param {object} doc - The document registry.
+     * @param {HTMLElement} element - The dragged element.
+     * @returns {HTMLElement[]} The other members of the group, excluding locked elements.
+     */
+    function _getGroupMembers(hypeDocument, doc, element) {
+        const sceneEl = hypeDocument.getElementById(hypeDocument.currentSceneId());
+        let members = [];
+        if (doc.selection.indexOf(element) !== -1) {
+            members = doc.selection;
+        } else if (element.hasAttribute('data-drag-group-move')) {
+            const groupName = element.getAttribute('data-drag-group-move');
+            members = Array.prototype.filter.call(sceneEl.querySelectorAll('[data-drag-group-move]'), member => member.getAttribute('data-drag-group-move') === groupName);
+        }
+        return members.filter(member => member !== element && sceneEl.contains(member) && member.dataset.dragName && !member.classList.contains('hypeDragElementLocked'));
+    }
+
+    /**
+     * Limits a group movement so that no member leaves its constraints or runs into an obstacle.
+     * Axes a member is locked out of by its own axis constraint do not limit the group.
+     * @private
+     * @param {HypeDocument} hypeDocument - The Hype document object.
+     * @param {object} doc - The document registry.
+     * @param {Array<object>} members - The drag data of the group members.
+     * @param {number} dx - The proposed horizontal movement.
+     * @param {number} dy - The proposed vertical movement.
+     * @returns {{x:number, y:number}} The movement the whole group can make.
+     */
+    function _computeGroupDelta(hypeDocument, doc, members, dx, dy) {
+        let groupX = dx;
+        let groupY = dy;
+        members.forEach(member => {
+            // Members without constraints still stop at obstacles, as they do when the group is moved
+            const constraints = doc.constraints?.[member.element.dataset.dragName];
+            const axis = constraints ? constraints.axis : undefined;
+            const result = _computeConstrainedPosition(hypeDocument, member.element, constraints, member.initialLeft + dx, member.initialTop + dy, member.initialLeft, member.initialTop);
+            const memberX = result.left - member.initialLeft;
+            const memberY = result.top - member.initialTop;
+            if (axis !== 'y') groupX = dx >= 0 ? Math.max(0, Math.min(groupX, memberX)) : Math.min(0, Math.max(groupX, memberX));
+            if (axis !== 'x') groupY = dy >= 0 ? Math.max(0, Math.min(groupY, memberY)) : Math.min(0, Math.max(groupY, memberY));
+        });
+        return { x: groupX, y: groupY };
+    }
+
+    /**
+     * Positions all group members relative to their drag start, each clamped by its own constraints and obstacles.
+     * @private
+     * @param {HypeDocument} hypeDocument - The Hype document object.
+     * @param {object} doc - The document registry.
+     * @param {Array<object>} members - The drag data of the group members.
+     * @param {number} dx - Horizontal movement from the start positions.
+     * @param {number} dy - Vertical movement from the start positions.
+     * @param {number} [duration] - Optional animation duration.
+     * @param {string} [timing] - Optional timing function.
+     */
+    function _moveGroupMembers(hypeDocument, doc, members, dx, dy, duration, timing) {
+        members.forEach(member => {
+            const constraints = doc.constraints?.[member.element.dataset.dragName];
+            const result = _computeConstrainedPosition(hypeDocument, member.element, constraints, member.initialLeft + dx, member.initialTop + dy, member.initialLeft, member.initialTop);
+            hypeDocument.setElementProperty(member.element, 'left', result.left, duration, timing);
+            hypeDocument.setElementProperty(member.element, 'top', result.top, duration, timing);
+            member.placedLeft = result.left;
+            member.placedTop = result.top;
+            _updateHistoryEntry(hypeDocument, member.element, { left: result.left, top: result.top });
+        });
+    }
+
+    /**
+     * Starts a sort session if the dragged element is a child of a data-drag-sortable group.
+     * Slots are the children's positions at drag start, ordered along the sort direction.
+     * @private
+     * @param {HypeDocument} hypeDocument - The Hype document object.
+     * @param {HTMLElement} element - The dragged element.
+     * @returns {object|null} The sort session, or null if the element is not sortable.
+     */
+    function _beginSort(hypeDocument, element) {
+        const container = _getParentHypeElement(hypeDocument, element);
+        if (!container || !container.hasAttribute('data-drag-sortable')) return null;
+        const mode = container.getAttribute('data-drag-sortable') || 'vertical';
+
+        const items = Array.prototype.filter.call(container.querySelectorAll('[data-drag-name]'), item => _getParentHypeElement(hypeDocument, item) === container)
+            .map(item => ({ element: item, left: hypeDocument.getElementProperty(item, 'left'), top: hypeDocument.getElementProperty(item, 'top') }));
+        items.sort((a, b) => {
+            if (mode === 'horizontal') return a.left - b.left;
+            if (mode === 'grid' && a.top !== b.top) return a.top - b.top;
+            return mode === 'grid' ? a.left - b.left : a.top - b.top;
+        });
+
+        const order = items.map(item => item.element);
+        return {
+            container: container,
+            mode: mode,
+            slots: items.map(item => ({ left: item.left, top: item.top })),
+            initialOrder: order.slice(),
+            order: order,
+            index: order.indexOf(element)
         };
     }
 
-
     /**
-     * The main drag event handler. Manages start, move, and end phases of a drag.
-     * This function is intended to be called by Hype's "On Drag" event.
+     * Finds the slot closest to the dragged element's position along the sort direction.
+     * @private
+     * @param {object} sort - The sort session.
+     * @param {number} left
+     * @param {number} top
+     * @returns {number} The slot index.
+     */
+    function _getSortIndex(sort, left, top) {
+        let bestIndex = sort.index;
+        let bestDistance = Infinity;
+        sort.slots.forEach((slot, index) => {
+            const dx = sort.mode === 'vertical' ? 0 : slot.left - left;
+            const dy = sort.mode === 'horizontal' ? 0 : slot.top - top;
+            const distance = dx * dx + dy * dy;
+            if (distance < bestDistance) {
+                bestDistance = distance;
+                bestIndex = index;
+            }
+        });
+        return bestIndex;
+    }
+
+    /**
+     * Moves the dragged element to a new position in the order and animates its siblings into their new slots.
+     * @private
+     * @param {HypeDocument} hypeDocument - The Hype document object.
+     * @param {object} sort - The sort session.
+     * @param {HTMLElement} element - The dragged element.
+     * @param {number} left - The dragged element's current left.
+     * @param {number} top - The dragged element's current top.
+     */
+    function _updateSort(hypeDocument, sort, element, left, top) {
+        const index = _getSortIndex(sort, left, top);
+        if (index === sort.index) return;
+        sort.order.splice(sort.index, 1);
+        sort.order.splice(index, 0, element);
+        sort.index = index;
+
+        const opts = getDefault();
+        sort.order.forEach((item, slotIndex) => {
+            if (item === element) return;
+            hypeDocument.setElementProperty(item, 'left', sort.slots[slotIndex].left, opts.sortDuration, opts.sortTiming);
+            hypeDocument.setElementProperty(item, 'top', sort.slots[slotIndex].top, opts.sortDuration, opts.sortTiming);
+        });
+    }
+
+    /**
+     * Ends a sort session: commits the order by moving the dragged element into its slot,
+     * or restores the initial order when cancelled.
+     * @private
+     * @param {HypeDocument} hypeDocument - The Hype document object.
+     * @param {object} sort - The sort session.
+     * @param {boolean} cancel - True to restore the initial order.
+     */
+    function _endSort(hypeDocument, sort, cancel) {
+        const opts = getDefault();
+        if (cancel) sort.order = sort.initialOrder.slice();
+        sort.order.forEach((item, slotIndex) => {
+            const slot = sort.slots[slotIndex];
+            const initialSlot = sort.slots[sort.initialOrder.indexOf(item)];
+            _addHistoryItem(hypeDocument, item, { left: initialSlot.left, top: initialSlot.top });
+            hypeDocument.setElementProperty(item, 'left', slot.left, opts.snapToDuration, opts.snapToTiming);
+            hypeDocument.setElementProperty(item, 'top', slot.top, opts.snapToDuration, opts.snapToTiming);
+            _updateHistoryEntry(hypeDocument, item, { left: slot.left, top: slot.top });
+        });
+    }
+
+    /**
+     * Subscribes to drag lifecycle events of a Hype document. Types are start, move, enter, over,
+     * leave, drop, sort, snap, snapback, lock, unlock and complete. '*' matches every type and a
+     * trailing '*' matches a prefix.
+     * @param {HypeDocument} hypeDocument - The Hype document object.
+     * @param {string} type - The event type or wildcard pattern.
+     * @param {Function} fn - Called with (hypeDocument, element, detail).
+     */
+    function on(hypeDocument, type, fn) {
+        if (typeof fn !== 'function') return;
+        const listeners = _getDocRegistry(hypeDocument).listeners;
+        (listeners[type] = listeners[type] || []).push(fn);
+    }
+
+    /**
+     * Unsubscribes a listener, or all listeners of a type if no listener is given.
+     * @param {HypeDocument} hypeDocument - The Hype document object.
+     * @param {string} type - The event type or wildcard pattern used to subscribe.
+     * @param {Function} [fn] - The listener to remove.
+     */
+    function off(hypeDocument, type, fn) {
+        const listeners = _getDocRegistry(hypeDocument).listeners;
+        if (!listeners[type]) return;
+        listeners[type] = fn ? listeners[type].filter(listener => listener !== fn) : [];
+        if (!listeners[type].length) delete listeners[type];
+    }
+
+    /**
+     * Checks whether a subscribed type or wildcard pattern matches an event type.
+     * @private
+     * @param {string} pattern - The subscribed type.
+     * @param {string} type - The emitted type.
+     * @returns {boolean}
+     */
+    function _matchesEventType(pattern, type) {
+        if (pattern === '*' || pattern === type) return true;
+        return pattern.slice(-1) === '*' && type.indexOf(pattern.slice(0, -1)) === 0;
+    }
+
+    /**
+     * Notifies the subscribers of a drag lifecycle event and dispatches a bubbling
+     * 'hypedrag:<type>' CustomEvent on the element.
+     * @private
+     * @param {HypeDocument} hypeDocument - The Hype document object.
+     * @param {string} type - The event type.
+     * @param {HTMLElement} element - The element the event is about.
+     * @param {object} [data] - Event data, such as the augmented Hype drag event.
+     */
+    function _emit(hypeDocument, type, element, data) {
+        const doc = _getDocRegistry(hypeDocument);
+        const listeners = doc.listeners;
+        const detail = Object.assign({}, data, { type: type, dragName: element.dataset.dragName || null, hypeDocument: hypeDocument });
+        Object.keys(listeners).forEach(pattern => {
+            if (!_matchesEventType(pattern, type)) return;
+            listeners[pattern].slice().forEach(listener => {
+                // A failing listener must not break the drag or the listeners after it
+                try {
+                    listener(hypeDocument, element, detail);
+                } catch (error) {
+                    console.warn('HypeDragController: Listener for "' + pattern + '" failed on "' + type + '".', error);
+                }
+            });
+        });
+        // The reporter is not a listener, so off() cannot remove it
+        if (doc.reporter) {
+            try {
+                _report(hypeDocument, doc.reporter, element, detail);
+            } catch (error) {
+                console.warn('HypeDragController: Reporting failed on "' + type + '".', error);
+            }
+        }
+        element.dispatchEvent(new CustomEvent('hypedrag:' + type, { bubbles: true, detail: detail }));
+    }
+
+    /**
+     * Returns the object timeline actions run on: the symbol instance named by the interaction map
+     * ('symbol') or data-drag-symbol, or else the Hype document.
+     * @private
+     * @param {HypeDocument} hypeDocument - The Hype document object.
+     * @param {HTMLElement} element - The dragged element.
+     * @param {object} [interaction] - The interaction map entry of the element.
+     * @returns {object} An object with Hype's timeline API.
+     */
+    function _getTimelineApi(hypeDocument, element, interaction) {
+        const symbolId = interaction && interaction.symbol ? interaction.symbol : element.getAttribute('data-drag-symbol');
+        if (!symbolId) return hypeDocument;
+        const symbol = typeof hypeDocument.getSymbolInstanceById === 'function' ? hypeDocument.getSymbolInstanceById(symbolId) : null;
+        if (!symbol) {
+            console.warn('HypeDragController: Symbol instance "' + symbolId + '" was not found, using the document timelines.');
+            return hypeDocument;
+        }
+        return symbol;
+    }
+
+    /**
+     * Runs the declarative feedback of a drag moment ('start', 'enter', 'leave', 'drop', 'accept'
+     * or 'reject'): timelines from the interaction map ('timelines') or data-drag-on-<moment>-timeline,
+     * and a scene from 'scenes' or data-drag-on-<moment>-scene.
+     * Timeline entries are names, optionally prefixed with start:, continue:, reverse: or pause:.
+     * @private
+     * @param {HypeDocument} hypeDocument - The Hype document object.
+     * @param {object} doc - The document registry.
+     * @param {HTMLElement} element - The dragged element.
+     * @param {string} moment - The drag moment.
+     */
+    function _runFeedback(hypeDocument, doc, element, moment) {
+        const interaction = doc.interactionMap?.[element.dataset.dragName];
+        const timelines = interaction && interaction.timelines && interaction.timelines[moment] !== undefined
+            ? interaction.timelines[moment]
+            : element.getAttribute('data-drag-on-' + moment + '-timeline');
+        if (timelines) {
+            const api = _getTimelineApi(hypeDocument, element, interaction);
+            (Array.isArray(timelines) ? timelines : _parseList(timelines)).forEach(entry => {
+                const separator = entry.indexOf(':');
+                const action = separator !== -1 ? entry.slice(0, separator).trim() : 'start';
+                const name = separator !== -1 ? entry.slice(separator + 1).trim() : entry;
+                switch (action) {
+                    case 'start': api.startTimelineNamed(name, hypeDocument.kDirectionForward); break;
+                    case 'continue': api.continueTimelineNamed(name, hypeDocument.kDirectionForward); break;
+                    case 'reverse': api.continueTimelineNamed(name, hypeDocument.kDirectionReverse); break;
+                    case 'pause': api.pauseTimelineNamed(name); break;
+                    default: console.warn('HypeDragController: Unknown timeline action "' + action + '" for "' + name + '".');
+                }
+            });
+        }
+
+        const scene = interaction && interaction.scenes && interaction.scenes[moment] !== undefined
+            ? interaction.scenes[moment]
+            : element.getAttribute('data-drag-on-' + moment + '-scene');
+        if (scene) {
+            // Let the current drag resolve before the scene unloads
+            setTimeout(() => hypeDocument.showSceneNamed(scene), 0);
+        }
+    }
+
+    /**
+     * Maps the drag position onto the playhead of a timeline, turning the draggable into a scrub control.
+     * Declared as 'scrub' in the interaction map ({timeline, axis} or a timeline name) or with
+     * data-drag-scrub-timeline and data-drag-scrub-axis. Needs bounds on the scrubbed axis.
+     * @private
+     * @param {HypeDocument} hypeDocument - The Hype document object.
+     * @param {object} doc - The document registry.
+     * @param {HTMLElement} element - The dragged element.
+     * @param {number} left - The current left position.
+     * @param {number} top - The current top position.
+     */
+    function _updateScrub(hypeDocument, doc, element, left, top) {
+        const dragName = element.dataset.dragName;
+        const interaction = doc.interactionMap?.[dragName];
+        let scrub = interaction && interaction.scrub !== undefined ? interaction.scrub : element.getAttribute('data-drag-scrub-timeline');
+        if (!scrub) return;
+        if (typeof scrub === 'string') scrub = { timeline: scrub, axis: element.getAttribute('data-drag-scrub-axis') };
+
+        const metrics = _computeEventMetrics(hypeDocument, element, doc.constraints?.[dragName], left, top);
+        const axis = scrub.axis || (metrics.factorX === null ? 'y' : 'x');
+        const factor = axis === 'y' ? metrics.factorY : metrics.factorX;
+        if (factor === null) return;
+        const api = _getTimelineApi(hypeDocument, element, interaction);
+        api.goToTimeInTimelineNamed(factor * api.durationForTimelineNamed(scrub.timeline), scrub.timeline);
+    }
+
+    /**
+     * Checks whether a gesture starts inside the drag handle of an element (data-drag-handle).
+     * Gestures without a DOM target, such as keyboard drags, always pass.
+     * @private
+     * @param {HTMLElement} element - The draggable element.
+     * @param {object} event - The Hype drag event object.
+     * @returns {boolean} True if the drag may start.
+     */
+    function _isGestureOnHandle(element, event) {
+        const selector = element.getAttribute('data-drag-handle');
+        if (!selector || !event.target || typeof event.target.closest !== 'function') return true;
+        const handle = event.target.closest(selector);
+        return !!handle && element.contains(handle);
+    }
+
+    /**
+     * Creates the drag preview of an element (data-drag-ghost). 'true' creates a semi-transparent
+     * copy, any other value names the id of a Hype element to show and move instead.
+     * @private
+     * @param {HypeDocument} hypeDocument - The Hype document object.
+     * @param {object} doc - The document registry.
+     * @param {HTMLElement} element - The dragged element.
+     * @returns {HTMLElement|null} The ghost, or null if the named element was not found.
+     */
+    function _createGhost(hypeDocument, doc, element) {
+        const value = element.getAttribute('data-drag-ghost');
+        let ghost;
+        if (value === 'true') {
+            ghost = element.cloneNode(true);
+            // The copy must not be found as a draggable, a drop target or a duplicate id
+            [ghost].concat(Array.from(ghost.querySelectorAll('*'))).forEach(node => {
+                Array.from(node.attributes).forEach(attribute => {
+                    if (attribute.name === 'id' || attribute.name.indexOf('data-drag') === 0 || attribute.name.indexOf('data-drop') === 0) {
+                        node.removeAttribute(attribute.name);
+                    }
+                });
+            });
+            ['tabindex', 'role', 'aria-roledescription', 'aria-pressed'].forEach(name => ghost.removeAttribute(name));
+            ghost.style.pointerEvents = 'none';
+            element.parentNode.insertBefore(ghost, element.nextSibling);
+            hypeDocument.setElementProperty(ghost, 'opacity', getDefault('ghostOpacity'));
+        } else {
+            ghost = hypeDocument.getElementById(value);
+            if (!ghost) {
+                console.warn('HypeDragController: Ghost element "' + value + '" was not found.');
+                return null;
+            }
+            ghost.style.display = 'block';
+        }
+        ghost.classList.add('hypeDragGhost');
+        hypeDocument.setElementProperty(ghost, 'left', hypeDocument.getElementProperty(element, 'left'));
+        hypeDocument.setElementProperty(ghost, 'top', hypeDocument.getElementProperty(element, 'top'));
+        hypeDocument.setElementProperty(ghost, 'z-index', ++doc.zCounter);
+        return ghost;
+    }
+
+    /**
+     * Removes a ghost, or hides it again if it is a named Hype element.
+     * @private
+     * @param {HTMLElement} ghost - The ghost.
+     */
+    function _discardGhost(ghost) {
+        ghost.classList.remove('hypeDragGhost');
+        if (ghost.id) {
+            ghost.style.display = 'none';
+        } else {
+            ghost.remove();
+        }
+    }
+
+    /**
+     * Commits a ghost drag: the original takes the ghost's position and the ghost goes away.
+     * @private
+     * @param {HypeDocument} hypeDocument - The Hype document object.
+     * @param {HTMLElement} element - The dragged element.
+     * @param {object} data - The drag data holding the ghost.
+     */
+    function _commitGhost(hypeDocument, element, data) {
+        const ghost = data.ghost;
+        data.ghost = null;
+        const left = hypeDocument.getElementProperty(ghost, 'left');
+        const top = hypeDocument.getElementProperty(ghost, 'top');
+        hypeDocument.setElementProperty(element, 'left', left);
+        hypeDocument.setElementProperty(element, 'top', top);
+        _updateHistoryEntry(hypeDocument, element, { left: left, top: top });
+        _discardGhost(ghost);
+    }
+
+    /**
+     * Animates a ghost back onto the original, which never moved, and removes it.
+     * @private
+     * @param {HypeDocument} hypeDocument - The Hype document object.
+     * @param {object} data - The drag data holding the ghost.
+     * @param {number} duration - Animation duration.
+     * @param {string} timing - Animation timing function.
+     */
+    function _returnGhost(hypeDocument, data, duration, timing) {
+        const ghost = data.ghost;
+        data.ghost = null;
+        hypeDocument.setElementProperty(ghost, 'left', data.initialLeft, duration, timing);
+        hypeDocument.setElementProperty(ghost, 'top', data.initialTop, duration, timing);
+        setTimeout(() => _discardGhost(ghost), duration * 1000);
+    }
+
+    /**
+     * Hands the gesture of a palette source over to its copy. A new copy is created on 'start'
+     * unless the source reached its maximum number of copies.
+     * @private
+     * @param {HypeDocument} hypeDocument - The Hype document object.
+     * @param {object} doc - The document registry.
+     * @param {HTMLElement} source - The palette source receiving the gesture.
+     * @param {object} event - The Hype drag event object.
+     * @returns {HTMLElement|null} The copy to drag, or null if the gesture should be ignored.
+     */
+    function _resolveCloneGesture(hypeDocument, doc, source, event) {
+        const sourceName = source.dataset.dragName;
+        // Every pointer drags its own copy
+        const key = event.pointerId !== undefined ? sourceName + ':' + event.pointerId : sourceName;
+        if (event.hypeGesturePhase === 'start') {
+            delete doc.cloneGestures[key];
+            const max = parseInt(source.getAttribute('data-drag-clone-max'), 10);
+            if (!(max >= 0) || getClones(hypeDocument, sourceName).length < max) {
+                doc.cloneGestures[key] = _createClone(hypeDocument, doc, source);
+            }
+        }
+        const clone = doc.cloneGestures[key] || null;
+        if (event.hypeGesturePhase === 'end' || event.hypeGesturePhase === 'cancel') {
+            delete doc.cloneGestures[key];
+        }
+        return clone;
+    }
+
+    /**
+     * Creates a copy of a palette source on top of it. The copy gets a unique drag name,
+     * the constraints and interaction callbacks of the source and its own pointer gestures.
+     * @private
+     * @param {HypeDocument} hypeDocument - The Hype document object.
+     * @param {object} doc - The document registry.
+     * @param {HTMLElement} source - The palette source.
+     * @returns {HTMLElement} The copy.
+     */
+    function _createClone(hypeDocument, doc, source) {
+        const sourceName = source.dataset.dragName;
+        const sceneEl = hypeDocument.getElementById(hypeDocument.currentSceneId());
+        let cloneName;
+        do {
+            cloneName = sourceName + '-' + (++doc.cloneCounter);
+        } while (sceneEl.querySelector('[data-drag-name="' + cloneName + '"]'));
+
+        const clone = source.cloneNode(true);
+        // Element ids must stay unique
+        clone.removeAttribute('id');
+        clone.querySelectorAll('[id]').forEach(child => child.removeAttribute('id'));
+        ['data-drag-clone', 'data-drag-clone-max', 'data-initial-left', 'data-initial-top', 'aria-pressed'].forEach(name => clone.removeAttribute(name));
+        // Mark classes can be disabled with an empty name, which classList rejects
+        ['hypeDragElementGrabbed', getDefault('answerCorrectClass'), getDefault('answerIncorrectClass')].forEach(className => {
+            if (className) clone.classList.remove(className);
+        });
+        clone.setAttribute('data-drag-name', cloneName);
+        clone.setAttribute('data-drag-clone-of', sourceName);
+        source.parentNode.insertBefore(clone, source.nextSibling);
+
+        if (doc.constraints[sourceName]) doc.constraints[cloneName] = doc.constraints[sourceName];
+        if (doc.interactionMap && doc.interactionMap[sourceName] && !doc.interactionMap[cloneName]) {
+            doc.interactionMap[cloneName] = doc.interactionMap[sourceName];
+        }
+        _bindPointerGestures(hypeDocument, clone);
+        return clone;
+    }
+
+    /**
+     * Drives the handler from pointer events, for elements Hype has no "On Drag" action for.
+     * @private
+     * @param {HypeDocument} hypeDocument - The Hype document object.
+     * @param {HTMLElement} element - The draggable element.
+     */
+    function _bindPointerGestures(hypeDocument, element) {
+        element.style.touchAction = 'none';
+        element.addEventListener('pointerdown', function(e) {
+            // The multi-touch backend already tracks every pointer from the document container
+            if (getDefault('multiTouch')) return;
+            _trackPointer(hypeDocument, element, e);
+        });
+    }
+
+    /**
+     * Follows one pointer from pointerdown to its release and feeds its phases to the handler.
+     * Gesture positions are reported in scene coordinates and carry the pointerId,
+     * so several pointers can drag at the same time. A cancelled pointer or lost pointer capture cancels the drag.
+     * @private
+     * @param {HypeDocument} hypeDocument - The Hype document object.
+     * @param {HTMLElement} element - The draggable element.
+     * @param {PointerEvent} e - The pointerdown event.
+     */
+    function _trackPointer(hypeDocument, element, e) {
+        if (e.button !== 0) return;
+        e.preventDefault();
+        const gesture = (phase, pointerEvent) => {
+            const point = _clientToScene(hypeDocument, pointerEvent.clientX, pointerEvent.clientY);
+            return {
+                type: 'pointer',
+                target: pointerEvent.target,
+                pointerId: e.pointerId,
+                pointerType: e.pointerType,
+                hypeGesturePhase: phase,
+                hypeGestureXPosition: point.x,
+                hypeGestureYPosition: point.y
+            };
+        };
+        const move = pointerEvent => {
+            if (pointerEvent.pointerId === e.pointerId) handler(hypeDocument, element, gesture('move', pointerEvent));
+        };
+        const up = pointerEvent => {
+            if (pointerEvent.pointerId !== e.pointerId) return;
+            window.removeEventListener('pointermove', move);
+            window.removeEventListener('pointerup', up);
+            window.removeEventListener('pointercancel', up);
+            element.removeEventListener('lostpointercapture', up);
+            // Like Escape for keyboard drags, a cancelled pointer puts the element back where it was picked up
+            handler(hypeDocument, element, gesture(pointerEvent.type === 'pointerup' ? 'end' : 'cancel', pointerEvent));
+        };
+        window.addEventListener('pointermove', move);
+        window.addEventListener('pointerup', up);
+        window.addEventListener('pointercancel', up);
+        // Capture keeps the pointer's events coming when it leaves the element; losing it mid-drag cancels
+        if (typeof element.setPointerCapture === 'function') {
+            try {
+                element.setPointerCapture(e.pointerId);
+                element.addEventListener('lostpointercapture', up);
+            } catch (error) {
+                // The pointer is no longer active, its pointerup follows on the window
+            }
+        }
+        handler(hypeDocument, element, gesture('start', e));
+    }
+
+    /**
+     * Removes a copy created from a palette source, optionally fading it out first.
+     * @private
+     * @param {HypeDocument} hypeDocument - The Hype document object.
+     * @param {object} doc - The document registry.
+     * @param {HTMLElement} clone - The copy to remove.
+     * @param {boolean} [animate] - Fade out with the cloneRemove defaults before removing.
+     */
+    function _removeClone(hypeDocument, doc, clone, animate) {
+        const cloneName = clone.dataset.dragName;
+        const sourceName = clone.getAttribute('data-drag-clone-of');
+        clone.removeAttribute('data-drag-clone-of');
+        deselect(hypeDocument, clone);
+        delete doc.constraints[cloneName];
+        delete doc.snappedTo[cloneName];
+        delete doc.snapOrigins[cloneName];
+        if (doc.interactionMap && doc.interactionMap[cloneName] === doc.interactionMap[sourceName]) {
+            delete doc.interactionMap[cloneName];
+        }
+        if (!animate) {
+            clone.remove();
+            return;
+        }
+        const duration = getDefault('cloneRemoveDuration');
+        clone.style.pointerEvents = 'none';
+        hypeDocument.setElementProperty(clone, 'opacity', 0, duration, getDefault('cloneRemoveTiming'));
+        setTimeout(() => clone.remove(), duration * 1000);
+    }
+
+    /**
+     * Returns the copies of a palette source that exist in the current scene.
+     * @param {HypeDocument} hypeDocument - The Hype document object.
+     * @param {string|HTMLElement} source - The drag name of the source, or the source element.
+     * @returns {Array<HTMLElement>} The copies in creation order.
+     */
+    function getClones(hypeDocument, source) {
+        const sourceName = typeof source === 'string' ? source : source.dataset.dragName;
+        const sceneEl = hypeDocument.getElementById(hypeDocument.currentSceneId());
+        return Array.from(sceneEl.querySelectorAll('[data-drag-clone-of="' + sourceName + '"]'));
+    }
+
+    /**
+     * Resolves the connection rule of a connection source: the interaction map 'connect' entry,
+     * a rule given as data-drag-connect-source value, or the connectRule default.
+     * @private
+     * @param {object} doc - The document registry.
+     * @param {HTMLElement} source - The connection source.
+     * @returns {{sourceMax:number, targetMax:number}} How many lines a source and a target may have.
+     */
+    function _getConnectRule(doc, source) {
+        const rules = { 'one-to-one': [1, 1], 'one-to-many': [Infinity, 1], 'many-to-one': [1, Infinity], 'many': [Infinity, Infinity] };
+        const interaction = doc.interactionMap?.[source.dataset.dragName];
+        let rule = interaction && interaction.connect !== undefined ? interaction.connect : source.getAttribute('data-drag-connect-source');
+        if (!rules[rule]) rule = getDefault('connectRule');
+        const limits = rules[rule] || rules['one-to-one'];
+        return { sourceMax: limits[0], targetMax: limits[1] };
+    }
+
+    /**
+     * Returns the SVG layer connector lines are drawn in, creating it on top of the current scene if needed.
+     * @private
+     * @param {HypeDocument} hypeDocument - The Hype document object.
+     * @returns {SVGSVGElement}
+     */
+    function _getConnectorLayer(hypeDocument) {
+        const sceneEl = hypeDocument.getElementById(hypeDocument.currentSceneId());
+        let layer = Array.from(sceneEl.children).find(child => child.classList.contains('hypeDragConnectors'));
+        if (!layer) {
+            layer = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+            layer.setAttribute('class', 'hypeDragConnectors');
+            sceneEl.appendChild(layer);
+        }
+        return layer;
+    }
+
+    /**
+     * Returns the point a connector line attaches to, in scene coordinates: the data-drag-connect-anchor
+     * of the element (keyword or fractions), or its center.
+     * @private
+     * @param {HypeDocument} hypeDocument - The Hype document object.
+     * @param {HTMLElement} element - The connected element.
+     * @returns {{x:number, y:number}}
+     */
+    function _getConnectorPoint(hypeDocument, element) {
+        const anchor = _parseAnchor(element.getAttribute('data-drag-connect-anchor') || 'center');
+        const rect = _getElementRect(hypeDocument, element);
+        return { x: rect.left + rect.width * anchor.x, y: rect.top + rect.height * anchor.y };
+    }
+
+    /**
+     * Sets the end points of a connector line.
+     * @private
+     * @param {SVGLineElement} line - The line.
+     * @param {{x:number, y:number}} from - The start point in scene coordinates.
+     * @param {{x:number, y:number}} to - The end point in scene coordinates.
+     */
+    function _setConnectorLine(line, from, to) {
+        line.setAttribute('x1', from.x);
+        line.setAttribute('y1', from.y);
+        line.setAttribute('x2', to.x);
+        line.setAttribute('y2', to.y);
+    }
+
+    /**
+     * Redraws the persistent connector lines from the current positions of their sources and targets.
+     * Given the duration of a move that is still animating, the lines follow it frame by frame until it ends.
+     * @private
+     * @param {HypeDocument} hypeDocument - The Hype document object.
+     * @param {object} doc - The document registry.
+     * @param {number} [duration] - Duration of the running move animation in seconds.
+     */
+    function _updateConnectorLines(hypeDocument, doc, duration) {
+        if (!doc.connections.length) return;
+        doc.connections.forEach(connection => {
+            _setConnectorLine(connection.line, _getConnectorPoint(hypeDocument, connection.source), _getConnectorPoint(hypeDocument, connection.target));
+        });
+        if (!(duration > 0)) return;
+        doc.connectorUntil = Math.max(doc.connectorUntil || 0, performance.now() + duration * 1000);
+        if (doc.connectorFrame) return;
+        const step = () => {
+            doc.connectorFrame = null;
+            _updateConnectorLines(hypeDocument, doc);
+            if (performance.now() < doc.connectorUntil) doc.connectorFrame = requestAnimationFrame(step);
+        };
+        doc.connectorFrame = requestAnimationFrame(step);
+    }
+
+    /**
+     * Connects a source to a target with a persistent line. Connections over the limits of the
+     * source's rule are removed first, oldest first; an existing connection of the pair is kept.
+     * @private
+     * @param {HypeDocument} hypeDocument - The Hype document object.
+     * @param {object} doc - The document registry.
+     * @param {HTMLElement} source - The connection source.
+     * @param {HTMLElement} target - The drop target.
+     * @returns {{connection:object, disconnected:Array<object>}} The connection and the connections it replaced.
+     */
+    function _addConnection(hypeDocument, doc, source, target) {
+        const existing = doc.connections.find(connection => connection.source === source && connection.target === target);
+        if (existing) return { connection: existing, disconnected: [] };
+
+        const rule = _getConnectRule(doc, source);
+        const fromSource = doc.connections.filter(connection => connection.source === source);
+        const toTarget = doc.connections.filter(connection => connection.target === target);
+        const disconnected = fromSource.slice(0, Math.max(0, fromSource.length - rule.sourceMax + 1))
+            .concat(toTarget.slice(0, Math.max(0, toTarget.length - rule.targetMax + 1)))
+            .filter((connection, index, list) => list.indexOf(connection) === index);
+        disconnected.forEach(connection => _removeConnection(hypeDocument, doc, connection));
+
+        const line = document.createElementNS('http://www.w3.org/2000/svg', 'line');
+        line.setAttribute('class', 'hypeDragConnector');
+        const connection = { source: source, target: target, line: line };
+        _setConnectorLine(line, _getConnectorPoint(hypeDocument, source), _getConnectorPoint(hypeDocument, target));
+        if (getDefault('connectRemoveOnClick')) {
+            line.addEventListener('click', function() {
+                _removeConnection(hypeDocument, doc, connection);
+                _schedulePersist(hypeDocument);
+            });
+        } else {
+            line.style.pointerEvents = 'none';
+        }
+        _getConnectorLayer(hypeDocument).appendChild(line);
+        doc.connections.push(connection);
+        _emit(hypeDocument, 'connect', source, { source: source, target: target });
+        return { connection: connection, disconnected: disconnected };
+    }
+
+    /**
+     * Removes a connection and its line.
+     * @private
+     * @param {HypeDocument} hypeDocument - The Hype document object.
+     * @param {object} doc - The document registry.
+     * @param {object} connection - The connection to remove.
+     */
+    function _removeConnection(hypeDocument, doc, connection) {
+        const index = doc.connections.indexOf(connection);
+        if (index === -1) return;
+        doc.connections.splice(index, 1);
+        connection.line.remove();
+        _emit(hypeDocument, 'disconnect', connection.source, { source: connection.source, target: connection.target });
+    }
+
+    /**
+     * Drives a drag on a connection source (data-drag-connect-source). The source stays in place while a
+     * live line follows the pointer; releasing over a drop target that accepts the source connects both.
+     * Callbacks, hover feedback and the onDrop event work like for moving drags.
+     * @private
+     * @param {HypeDocument} hypeDocument - The Hype document object.
+     * @param {object} doc - The document registry.
+     * @param {HTMLElement} element - The connection source.
+     * @param {object} event - The Hype drag event object.
+     */
+    function _handleConnectGesture(hypeDocument, doc, element, event) {
+        const dragName = element.dataset.dragName;
+        const interaction = doc.interactionMap?.[dragName];
+        const point = _getGesturePoint(event);
+        let session = doc.connecting[dragName];
+
+        if (event.hypeGesturePhase === 'start') {
+            // Another pointer is already drawing from this source
+            if (session && session.pointerId !== event.pointerId) return;
+            // A start without an end for the previous gesture replaces its line
+            if (session) {
+                session.line.remove();
+                _updateHoverTarget(hypeDocument, doc, element, session, null, event);
+            }
+            const line = document.createElementNS('http://www.w3.org/2000/svg', 'line');
+            line.setAttribute('class', 'hypeDragConnector hypeDragConnectorActive');
+            _getConnectorLayer(hypeDocument).appendChild(line);
+            session = doc.connecting[dragName] = { source: element, line: line, pointerId: event.pointerId, hoverTarget: null };
+            _setConnectorLine(line, _getConnectorPoint(hypeDocument, element), point || _getConnectorPoint(hypeDocument, element));
+            if (interaction && typeof interaction.onStart === 'function') {
+                interaction.onStart(hypeDocument, element, event);
+            }
+            _runFeedback(hypeDocument, doc, element, 'start');
+            _emit(hypeDocument, 'start', element, event);
+            return;
+        }
+        if (!session || session.pointerId !== event.pointerId) return;
+
+        if (event.hypeGesturePhase === 'move') {
+            if (point) _setConnectorLine(session.line, _getConnectorPoint(hypeDocument, element), point);
+            if (interaction && typeof interaction.onProgress === 'function') {
+                interaction.onProgress(hypeDocument, element, event);
+            }
+            _emit(hypeDocument, 'move', element, event);
+            _updateHoverTarget(hypeDocument, doc, element, session, _getDropTarget(element, hypeDocument, point), event);
+            return;
+        }
+
+        if (event.hypeGesturePhase === 'end' || event.hypeGesturePhase === 'cancel') {
+            delete doc.connecting[dragName];
+            session.line.remove();
+            _updateHoverTarget(hypeDocument, doc, element, session, null, event);
+            if (_isCancelledGesture(event)) {
+                _emit(hypeDocument, 'cancel', element, event);
+                return;
+            }
+            const dropTarget = _getDropTarget(element, hypeDocument, point);
+
+            const accepted = _resolveAcceptance(hypeDocument, element, dropTarget, interaction);
+            const existed = doc.connections.some(connection => connection.source === element && connection.target === dropTarget);
+            const result = dropTarget && accepted !== false ? _addConnection(hypeDocument, doc, element, dropTarget) : null;
+            if (result && !existed) {
+                _recordConnectionHistory(doc, element, dropTarget, [result.connection], result.disconnected);
+                _schedulePersist(hypeDocument);
+            }
+            event.dropTarget = dropTarget;
+            event.accepted = accepted;
+            event.connection = result ? { source: element, target: dropTarget } : null;
+            event.disconnected = result ? result.disconnected.map(connection => ({ source: connection.source, target: connection.target })) : [];
+
+            if (interaction && typeof interaction.onDrop === 'function') {
+                interaction.onDrop(hypeDocument, element, event);
+            }
+            _emit(hypeDocument, 'drop', element, event);
+            _runFeedback(hypeDocument, doc, element, 'drop');
+            if (result) {
+                _runFeedback(hypeDocument, doc, element, 'accept');
+            } else if (accepted === false) {
+                _runFeedback(hypeDocument, doc, element, 'reject');
+            }
+
+            if (doc.checkOptions.autoCheck) {
+                check(hypeDocument);
+            }
+        }
+    }
+
+    /**
+     * Returns the connections drawn from connection sources in the current scene.
+     * @param {HypeDocument} hypeDocument - The Hype document object.
+     * @param {string|HTMLElement} [source] - Only return the connections of this source (drag name or element).
+     * @returns {Array<{source:HTMLElement, target:HTMLElement, sourceName:string, targetName:string}>}
+     */
+    function getConnections(hypeDocument, source) {
+        const doc = _getDocRegistry(hypeDocument);
+        const sceneEl = hypeDocument.getElementById(hypeDocument.currentSceneId());
+        return doc.connections.filter(connection => sceneEl.contains(connection.source) &&
+            (!source || connection.source === source || connection.source.dataset.dragName === source)
+        ).map(connection => ({
+            source: connection.source,
+            target: connection.target,
+            sourceName: connection.source.dataset.dragName,
+            targetName: connection.target.dataset.dropTarget
+        }));
+    }
+
+    /**
+     * Removes connections of a source, or only its connection to a target.
+     * @param {HypeDocument} hypeDocument - The Hype document object.
+     * @param {string|HTMLElement} source - The connection source (drag name or element).
+     * @param {HTMLElement|string} [target] - The drop target (element or data-drop-target name).
+     */
+    function disconnect(hypeDocument, source, target) {
+        const doc = _getDocRegistry(hypeDocument);
+        doc.connections.filter(connection =>
+            (connection.source === source || connection.source.dataset.dragName === source) &&
+            (!target || connection.target === target || connection.target.dataset.dropTarget === target)
+        ).forEach(connection => _removeConnection(hypeDocument, doc, connection));
+        _schedulePersist(hypeDocument);
+    }
+
+    /**
+     * Tests whether a gesture ends as cancelled. Only the pointer backend, keyboard drags and
+     * replays cancel; Hype's own 'cancel' phase resolves like 'end', as it always has.
+     * @private
+     * @param {object} event - The drag event object.
+     * @returns {boolean}
+     */
+    function _isCancelledGesture(event) {
+        return event.hypeGesturePhase === 'cancel' && ['pointer', 'keyboard', 'replay'].indexOf(event.type) !== -1;
+    }
+
+    /**
+     * Tests whether a draggable is moved by the drag session of another pointer,
+     * as the dragged element or as a member of its group.
+     * @private
+     * @param {object} doc - The document registry.
+     * @param {string} dragName - The drag name to test.
+     * @param {number} [pointerId] - The pointer asking, undefined for Hype, keyboard and replay gestures.
+     * @returns {boolean}
+     */
+    function _isClaimedByOtherPointer(doc, dragName, pointerId) {
+        const data = doc.dragData[dragName];
+        const session = data && data.groupLeader ? doc.dragData[data.groupLeader] : data;
+        return !!(session && session.isActive && session.pointerId !== pointerId);
+    }
+
+    /**
+     * The main drag event handler. Manages start, move, and end phases of a drag.
+     * This function is intended to be called by Hype's "On Drag" event.
+     * With the multiTouch default, Hype's gestures are ignored and pointer events drive it instead.
+     * Hype's gesture positions are converted from page to scene coordinates on entry.
+     * @param {HypeDocument} hypeDocument - The Hype document object.
+     * @param {HTMLElement} element - The element being dragged.
+     * @param {object} event - The Hype drag event object.
+     */
+    function handler(hypeDocument, element, event) {
+        const doc = _getDocRegistry(hypeDocument);
+        let dragName = element.dataset.dragName;
+        if (!dragName) {
+            console.warn('HypeDragController: Draggable element is missing a "data-drag-name" attribute.', element);
+            return;
+        }
+
+        // The multi-touch backend replaces Hype's single-gesture events with one gesture per pointer
+        if (getDefault('multiTouch') && ['pointer', 'keyboard', 'autoscroll', 'replay'].indexOf(event.type) === -1) {
+            return;
+        }
+
+        // Hype reports its own gestures in page coordinates, everything below works in scene coordinates
+        if (['pointer', 'keyboard', 'autoscroll', 'replay'].indexOf(event.type) === -1 && !event.hypeGestureInScene && _getGesturePoint(event)) {
+            const point = _clientToScene(hypeDocument, event.hypeGestureXPosition - window.pageXOffset, event.hypeGestureYPosition - window.pageYOffset);
+            event.hypeGestureXPosition = point.x;
+            event.hypeGestureYPosition = point.y;
+            event.hypeGestureInScene = true;
+        }
+
+        // Elements with a drag handle only start dragging from inside the handle
+        if (event.hypeGesturePhase === 'start' && !_isGestureOnHandle(element, event)) {
+            return;
+        }
+        _recordGesture(doc, dragName, event);
+
+        // Connection sources stay in place and draw a line to the pointer instead
+        if (element.hasAttribute('data-drag-connect-source')) {
+            _handleConnectGesture(hypeDocument, doc, element, event);
+            return;
+        }
+
+        // Palette sources stay in place and hand the gesture to a fresh copy
+        if (element.getAttribute('data-drag-clone') === 'true') {
+            element = _resolveCloneGesture(hypeDocument, doc, element, event);
+            if (!element) return;
+            dragName = element.dataset.dragName;
+        }
+        const finalOptions = getDefault();
+
+        // An element belongs to the pointer that picked it up, other pointers leave it alone
+        if (event.hypeGesturePhase === 'start' ? _isClaimedByOtherPointer(doc, dragName, event.pointerId) : doc.dragData[dragName] && doc.dragData[dragName].pointerId !== event.pointerId) {
+            return;
+        }
+
+        if (event.hypeGesturePhase === 'start') {
+            // Catch an element that is still gliding from a previous throw, its drop resolves where it was caught
+            const previous = doc.dragData[dragName];
+            if (previous && previous.glideFrame) {
+                cancelAnimationFrame(previous.glideFrame);
+                previous.glideFrame = null;
+                _finishDrag(hypeDocument, doc, element, previous, previous.glideEvent);
+            }
+
+            // Picking an element up clears its check marks
+            [finalOptions.answerCorrectClass, finalOptions.answerIncorrectClass].forEach(className => {
+                if (className) element.classList.remove(className);
+            });
+
+            // Picking an element up releases it from the element it was snapped to
+            const initialSnappedTo = doc.snappedTo[dragName] || null;
+            delete doc.snappedTo[dragName];
+
+            // Always take the current position as the new drag baseline to avoid offset on repeated drags
+            const initialLeft = hypeDocument.getElementProperty(element, 'left');
+            const initialTop = hypeDocument.getElementProperty(element, 'top');
+            // Refresh cached attributes so snapBack (which uses doc.dragData) stays correct for this session
+            element.setAttribute('data-initial-left', initialLeft);
+            element.setAttribute('data-initial-top', initialTop);
+
+            doc.dragData[dragName] = { initialLeft: initialLeft, initialTop: initialTop, placedLeft: initialLeft, placedTop: initialTop, initialZ: hypeDocument.getElementProperty(element, 'z-index'), startX: event.hypeGestureXPosition, startY: event.hypeGestureYPosition, isActive: true, samples: [], initialSnappedTo: initialSnappedTo, pointerId: event.pointerId };
+            if (finalOptions.bringToFront) { hypeDocument.setElementProperty(element, 'z-index', ++doc.zCounter); }
+
+            // Selected or grouped elements move along, each with its own session for snapBack
+            const members = _getGroupMembers(hypeDocument, doc, element).filter(member => !_isClaimedByOtherPointer(doc, member.dataset.dragName, event.pointerId));
+            if (members.length) {
+                doc.dragData[dragName].members = members.map(member => {
+                    const memberLeft = hypeDocument.getElementProperty(member, 'left');
+                    const memberTop = hypeDocument.getElementProperty(member, 'top');
+                    const memberData = {
+                        element: member,
+                        initialLeft: memberLeft,
+                        initialTop: memberTop,
+                        placedLeft: memberLeft,
+                        placedTop: memberTop,
+                        initialZ: hypeDocument.getElementProperty(member, 'z-index'),
+                        isActive: false,
+                        groupLeader: dragName,
+                        initialSnappedTo: doc.snappedTo[member.dataset.dragName] || null
+                    };
+                    doc.dragData[member.dataset.dragName] = memberData;
+                    delete doc.snappedTo[member.dataset.dragName];
+                    if (finalOptions.bringToFront) { hypeDocument.setElementProperty(member, 'z-index', ++doc.zCounter); }
+                    return memberData;
+                });
+            }
+            
+            // Children of sortable groups reflow their siblings while dragged
+            if (!members.length) {
+                doc.dragData[dragName].sort = _beginSort(hypeDocument, element);
+            }
+
+            // A ghost moves in place of the element, which stays put until the drop is accepted
+            if (!members.length && !doc.dragData[dragName].sort && element.hasAttribute('data-drag-ghost')) {
+                doc.dragData[dragName].ghost = _createGhost(hypeDocument, doc, element);
+            }
+
+            // Execute onStart callback if available
+            const interaction = doc.interactionMap?.[dragName];
+            Object.assign(event, _computeEventMetrics(hypeDocument, element, doc.constraints?.[dragName], initialLeft, initialTop));
+            if (interaction && typeof interaction.onStart === 'function') {
+                interaction.onStart(hypeDocument, element, event);
+            }
+            _runFeedback(hypeDocument, doc, element, 'start');
+            _emit(hypeDocument, 'start', element, event);
+        }
+
+        if (event.hypeGesturePhase === 'move' && doc.dragData[dragName]) {
+            const data = doc.dragData[dragName];
+            let newLeft = data.initialLeft + (event.hypeGestureXPosition - data.startX);
+            let newTop = data.initialTop + (event.hypeGestureYPosition - data.startY);
+
+            // Apply constraints and obstacles
+            const constraints = doc.constraints?.[dragName];
+            const result = _computeConstrainedPosition(
+                hypeDocument,
+                data.ghost || element,
+                constraints,
+                newLeft,
+                newTop,
+                /* axisBaselineLeft */ data.initialLeft,
+                /* axisBaselineTop  */ data.initialTop,
+                /* applySnap */ constraints ? _normalizeSnap(constraints.snap)?.mode === 'live' : false
+            );
+            newLeft = result.left;
+            newTop = result.top;
+            let collisions = result.collisions;
+
+            // Clamp the group as a whole, then move every member by the same amount
+            if (data.members) {
+                const delta = _computeGroupDelta(hypeDocument, doc, data.members, newLeft - data.initialLeft, newTop - data.initialTop);
+                newLeft = data.initialLeft + delta.x;
+                newTop = data.initialTop + delta.y;
+                _moveGroupMembers(hypeDocument, doc, data.members, delta.x, delta.y);
+            }
+
+            hypeDocument.setElementProperty(data.ghost || element, 'left', newLeft);
+            hypeDocument.setElementProperty(data.ghost || element, 'top', newTop);
+
+            // Pull toward a nearby magnetic target while no target is hit, closer means stronger
+            let hoverTarget = _getDropTarget(element, hypeDocument, _getGesturePoint(event), data.ghost);
+            if (!hoverTarget && !data.sort && !data.members) {
+                const magnet = _getMagnetTarget(hypeDocument, doc, element, data.ghost);
+                if (magnet) {
+                    hoverTarget = magnet.target;
+                    const pull = magnet.strength * (1 - magnet.distance / magnet.radius);
+                    newLeft += (magnet.left - newLeft) * pull;
+                    newTop += (magnet.top - newTop) * pull;
+                    const pulled = _computeConstrainedPosition(hypeDocument, data.ghost || element, constraints, newLeft, newTop, data.initialLeft, data.initialTop);
+                    newLeft = pulled.left;
+                    newTop = pulled.top;
+                    collisions = pulled.collisions;
+                    hypeDocument.setElementProperty(data.ghost || element, 'left', newLeft);
+                    hypeDocument.setElementProperty(data.ghost || element, 'top', newTop);
+                }
+            }
+
+            data.placedLeft = newLeft;
+            data.placedTop = newTop;
+
+            if (data.sort) {
+                _updateSort(hypeDocument, data.sort, element, newLeft, newTop);
+            }
+            _updateConnectorLines(hypeDocument, doc, data.sort ? getDefault('sortDuration') : 0);
+
+            // Keep recent positions to measure the release velocity
+            if (constraints && constraints.inertia) {
+                _recordVelocitySample(data, newLeft, newTop);
+            }
+
+            _updateScrub(hypeDocument, doc, element, newLeft, newTop);
+
+            // Execute onProgress callback if available
+            const interaction = doc.interactionMap?.[dragName];
+            Object.assign(event, _computeEventMetrics(hypeDocument, element, constraints, newLeft, newTop));
+            if (interaction && typeof interaction.onProgress === 'function') {
+                interaction.onProgress(hypeDocument, element, event);
+            }
+            _emit(hypeDocument, 'move', element, event);
+
+            // Report obstacles the element runs into
+            _updateCollisions(hypeDocument, doc, element, data, collisions, event);
+
+            // Track the hovered drop target
+            _updateHoverTarget(hypeDocument, doc, element, data, hoverTarget, event);
+
+            // Scroll toward the edge the element is dragged to; keyboard drags move in steps instead
+            data.lastX = event.hypeGestureXPosition;
+            data.lastY = event.hypeGestureYPosition;
+            if (event.type !== 'keyboard') {
+                _updateAutoScroll(hypeDocument, doc, element, data);
+            }
+        }
+
+        if ((event.hypeGesturePhase === 'end' || event.hypeGesturePhase === 'cancel') && doc.dragData[dragName] && doc.dragData[dragName].isActive) {
+            const data = doc.dragData[dragName];
+            data.isActive = false;
+            if (data.autoScrollFrame) {
+                cancelAnimationFrame(data.autoScrollFrame);
+                data.autoScrollFrame = null;
+            }
+
+            // A cancelled drag puts everything back, nothing is dropped
+            if (_isCancelledGesture(event)) {
+                _cancelDrag(hypeDocument, doc, element, data, event);
+                return;
+            }
+
+            // Let thrown elements glide to rest before the drop resolves
+            const constraints = doc.constraints?.[dragName];
+            const inertia = constraints ? _normalizeInertia(constraints.inertia) : null;
+            if (inertia && !data.members && !data.sort && !data.ghost) {
+                const velocity = _computeVelocity(data);
+                event.releaseVelocityX = velocity.x;
+                event.releaseVelocityY = velocity.y;
+                if (Math.sqrt(velocity.x * velocity.x + velocity.y * velocity.y) > inertia.minVelocity) {
+                    _glide(hypeDocument, doc, element, data, event, inertia, velocity);
+                    return;
+                }
+            }
+            _finishDrag(hypeDocument, doc, element, data, event);
+        }
+    }
+
+    /**
+     * Ends a cancelled drag: the element and its group members return to where they were picked up and
+     * onto the targets they occupied. There is no drop detection, onDrop, history entry or report;
+     * listeners get a 'cancel' event. Copies of palette sources are removed.
+     * @private
+     * @param {HypeDocument} hypeDocument - The Hype document object.
+     * @param {object} doc - The document registry.
+     * @param {HTMLElement} element - The dragged element.
+     * @param {object} data - The drag data of the cancelled session.
+     * @param {object} event - The Hype drag event object.
+     */
+    function _cancelDrag(hypeDocument, doc, element, data, event) {
+        const dragName = element.dataset.dragName;
+        const opts = getDefault();
+        const members = data.members || [];
+        _updateHoverTarget(hypeDocument, doc, element, data, null, event);
+        data.collisions = [];
+
+        if (data.sort) {
+            _endSort(hypeDocument, data.sort, true);
+        } else if (data.ghost) {
+            // The element itself never moved
+            _discardGhost(data.ghost);
+            data.ghost = null;
+        }
+        [Object.assign({ element: element }, data)].concat(members).forEach(session => {
+            const name = session.element.dataset.dragName;
+            if (!data.sort) {
+                hypeDocument.setElementProperty(session.element, 'left', session.initialLeft, opts.snapBackDuration, opts.snapBackTiming);
+                hypeDocument.setElementProperty(session.element, 'top', session.initialTop, opts.snapBackDuration, opts.snapBackTiming);
+            }
+            if (opts.bringToFront) hypeDocument.setElementProperty(session.element, 'z-index', session.initialZ);
+            if (session.initialSnappedTo) doc.snappedTo[name] = session.initialSnappedTo;
+        });
+        _updateScrub(hypeDocument, doc, element, data.initialLeft, data.initialTop);
+        _updateConnectorLines(hypeDocument, doc, data.sort ? opts.sortDuration : opts.snapBackDuration);
+
+        Object.assign(event, _computeEventMetrics(hypeDocument, element, doc.constraints?.[dragName], data.initialLeft, data.initialTop));
+        _emit(hypeDocument, 'cancel', element, event);
+
+        if (element.hasAttribute('data-drag-clone-of')) {
+            _removeClone(hypeDocument, doc, element, true);
+        }
+
+        setTimeout(() => {
+            if (doc.dragData[dragName] === data) delete doc.dragData[dragName];
+            members.forEach(member => {
+                const memberName = member.element.dataset.dragName;
+                if (doc.dragData[memberName] === member) delete doc.dragData[memberName];
+            });
+        }, 50);
+    }
+
+    /**
+     * Resolves the end of a drag: release snapping, drop target detection, acceptance rules and onDrop.
+     * Runs immediately on release, or once a thrown element has come to rest.
+     * @private
+     * @param {HypeDocument} hypeDocument - The Hype document object.
+     * @param {object} doc - The document registry.
+     * @param {HTMLElement} element - The dragged element.
+     * @param {object} data - The drag data of the finished session.
+     * @param {object} event - The Hype drag event object.
+     */
+    function _finishDrag(hypeDocument, doc, element, data, event) {
+        const dragName = element.dataset.dragName;
+        const finalOptions = getDefault();
+        const constraints = doc.constraints?.[dragName];
+        const moving = data.ghost || element;
+        let finalLeft = hypeDocument.getElementProperty(moving, 'left');
+        let finalTop = hypeDocument.getElementProperty(moving, 'top');
+        // A thrown element has left the release point behind, its midpoint stands in for the pointer
+        let dropTarget = _getDropTarget(element, hypeDocument, data.glideEvent ? null : _getGesturePoint(event), data.ghost);
+        const interaction = doc.interactionMap?.[dragName];
+
+        // A release close to a magnetic target counts as a drop on it, also once the pull has moved the element onto it
+        const nearest = !data.sort && !data.members ? _getMagnetTarget(hypeDocument, doc, element, data.ghost) : null;
+        const magnet = nearest && (!dropTarget || nearest.target === dropTarget) ? nearest : null;
+        if (magnet) dropTarget = magnet.target;
+        const members = data.members || [];
+        const memberTargets = members.map(member => _getDropTarget(member.element, hypeDocument));
+        _openHistoryEntry(hypeDocument, doc, element, data);
+
+        // Commit the order of a sortable group, which replaces snapping and acceptance handling
+        const sort = data.sort;
+        if (sort) {
+            _endSort(hypeDocument, sort, false);
+            finalLeft = sort.slots[sort.index].left;
+            finalTop = sort.slots[sort.index].top;
+        }
+
+        // Settle on the snap grid or nearest snap point when released
+        const snap = constraints && !sort ? _normalizeSnap(constraints.snap) : null;
+        if (snap && snap.mode === 'release') {
+            const snapped = _computeConstrainedPosition(hypeDocument, moving, constraints, finalLeft, finalTop, data.initialLeft, data.initialTop, true);
+            if (snapped.left !== finalLeft || snapped.top !== finalTop) {
+                hypeDocument.setElementProperty(moving, 'left', snapped.left, data.ghost ? 0 : finalOptions.snapToDuration, finalOptions.snapToTiming);
+                hypeDocument.setElementProperty(moving, 'top', snapped.top, data.ghost ? 0 : finalOptions.snapToDuration, finalOptions.snapToTiming);
+                if (!data.ghost) _updateHistoryEntry(hypeDocument, element, { left: snapped.left, top: snapped.top });
+                _moveGroupMembers(hypeDocument, doc, members, snapped.left - data.initialLeft, snapped.top - data.initialTop, finalOptions.snapToDuration, finalOptions.snapToTiming);
+                finalLeft = snapped.left;
+                finalTop = snapped.top;
+            }
+        }
+
+        // Leave the hovered target before the drop resolves
+        _updateHoverTarget(hypeDocument, doc, element, data, null, event);
+
+        // Add dropTarget to the event object to unify callback signatures
+        event.dropTarget = dropTarget;
+
+        // Report every member's drop target for group drags, the dragged element first
+        if (members.length) {
+            event.members = [{ element: element, dropTarget: dropTarget }].concat(members.map((member, index) => ({
+                element: member.element,
+                dropTarget: memberTargets[index],
+                accepted: _resolveAcceptance(hypeDocument, member.element, memberTargets[index], doc.interactionMap?.[member.element.dataset.dragName])
+            })));
+        }
+
+        // Resolve declarative acceptance rules and snap accordingly, members follow the dragged element
+        let accepted = _resolveAcceptance(hypeDocument, element, dropTarget, interaction);
+
+        // Enforce the target's capacity; a capacity makes the drop resolve automatically
+        const capacity = dropTarget && accepted !== false ? _resolveCapacity(hypeDocument, doc, element, dropTarget) : null;
+        event.displaced = null;
+        if (capacity) {
+            accepted = !(capacity.full && !capacity.displaced);
+            event.displaced = capacity.displaced;
+        }
+        event.accepted = accepted;
+        if (members.length) event.members[0].accepted = accepted;
+
+        // Copies dropped outside any target, or rejected, are removed instead of snapping back
+        const removeClone = !sort && !members.length && element.hasAttribute('data-drag-clone-of') && (!dropTarget || accepted === false);
+        event.removed = removeClone;
+
+        const autoResolve = !sort && !removeClone && (interaction && interaction.autoResolve !== undefined ? interaction.autoResolve : finalOptions.autoResolveDrop);
+        if ((accepted !== null || magnet) && autoResolve) {
+            if (accepted !== false) {
+                // Make room: 'replace' sends the previous occupant home, 'swap' moves it to where the element came from
+                if (capacity && capacity.displaced) {
+                    const displacedName = capacity.displaced.dataset.dragName;
+                    if (capacity.policy === 'swap') {
+                        _moveToPlace(hypeDocument, capacity.displaced, { left: data.initialLeft, top: data.initialTop, snappedTo: data.initialSnappedTo }, finalOptions.snapToDuration, finalOptions.snapToTiming);
+                    } else {
+                        _moveToPlace(hypeDocument, capacity.displaced, _getSnapOrigin(hypeDocument, doc, capacity.displaced), finalOptions.snapBackDuration, finalOptions.snapBackTiming);
+                    }
+                }
+                const position = snapTo(hypeDocument, element, dropTarget);
+                if (position) {
+                    _moveGroupMembers(hypeDocument, doc, members, position.left - data.initialLeft, position.top - data.initialTop, finalOptions.snapToDuration, finalOptions.snapToTiming);
+                }
+                const lockOnAccept = interaction && interaction.lockOnAccept !== undefined ? interaction.lockOnAccept : finalOptions.lockOnAccept;
+                if (lockOnAccept) {
+                    lock(hypeDocument, element);
+                    members.forEach(member => lock(hypeDocument, member.element));
+                }
+            } else {
+                snapBack(hypeDocument, element);
+                members.forEach(member => snapBack(hypeDocument, member.element));
+            }
+        }
+
+        // Report the committed order, as drag names and as the old index of every new position
+        if (sort) {
+            const initialNames = sort.initialOrder.map(item => item.dataset.dragName);
+            event.sortContainer = sort.container;
+            event.oldOrder = initialNames;
+            event.newOrder = sort.order.map(item => item.dataset.dragName);
+            event.oldIndex = sort.initialOrder.indexOf(element);
+            event.newIndex = sort.order.indexOf(element);
+            event.indices = sort.order.map(item => sort.initialOrder.indexOf(item));
+            if (event.oldIndex !== event.newIndex) {
+                if (interaction && typeof interaction.onSort === 'function') {
+                    interaction.onSort(hypeDocument, element, event);
+                }
+                _emit(hypeDocument, 'sort', element, event);
+            }
+        }
+
+        Object.assign(event, _computeEventMetrics(hypeDocument, element, constraints, finalLeft, finalTop));
+        if (interaction && typeof interaction.onDrop === 'function') {
+            interaction.onDrop(hypeDocument, element, event);
+        }
+        _emit(hypeDocument, 'drop', element, event);
+
+        // Declarative timeline and scene feedback
+        _runFeedback(hypeDocument, doc, element, 'drop');
+        if (dropTarget && accepted !== false && !removeClone) {
+            _runFeedback(hypeDocument, doc, element, 'accept');
+        } else if (accepted === false) {
+            _runFeedback(hypeDocument, doc, element, 'reject');
+        }
+
+        // A ghost nobody resolved commits on an accepted target and returns otherwise
+        if (data.ghost) {
+            if (dropTarget && accepted !== false && !removeClone) {
+                _commitGhost(hypeDocument, element, data);
+            } else {
+                _returnGhost(hypeDocument, data, finalOptions.snapBackDuration, finalOptions.snapBackTiming);
+            }
+        }
+
+        if (removeClone) {
+            // A removed copy has nothing left to undo
+            doc.history.open = null;
+            _removeClone(hypeDocument, doc, element, true);
+        }
+
+        _closeHistoryEntry(doc, dropTarget);
+        _schedulePersist(hypeDocument);
+        _updateConnectorLines(hypeDocument, doc, Math.max(finalOptions.snapToDuration, finalOptions.snapBackDuration, finalOptions.sortDuration));
+
+        // Re-check answers after every drop if requested
+        if (doc.checkOptions.autoCheck) {
+            check(hypeDocument);
+        }
+
+        // Only clear the session if no new drag has replaced it in the meantime
+        setTimeout(() => {
+            if (doc.dragData[dragName] === data) delete doc.dragData[dragName];
+            members.forEach(member => {
+                const memberName = member.element.dataset.dragName;
+                if (doc.dragData[memberName] === member) delete doc.dragData[memberName];
+            });
+        }, 50);
+    }
+
+    /**
+     * Normalizes an autoScroll constraint, falling back to the autoScroll default.
+     * Accepts true or an options object.
+     * @private
+     * @param {boolean|object} [autoScroll] - The autoScroll constraint.
+     * @returns {{edge:number, speed:number}|null} The normalized options, or null if disabled.
+     */
+    function _normalizeAutoScroll(autoScroll) {
+        if (autoScroll === undefined) autoScroll = getDefault('autoScroll');
+        if (!autoScroll) return null;
+        const options = typeof autoScroll === 'object' ? autoScroll : {};
+        return {
+            edge: typeof options.edge === 'number' ? options.edge : getDefault('autoScrollEdge'),
+            speed: typeof options.speed === 'number' ? options.speed : getDefault('autoScrollSpeed')
+        };
+    }
+
+    /**
+     * Finds the closest ancestor of an element that scrolls its overflow, or null for the window.
+     * @private
+     * @param {HTMLElement} element - The element to start from.
+     * @returns {HTMLElement|null}
+     */
+    function _getScrollContainer(element) {
+        let current = element.parentElement;
+        while (current && current !== document.body && current !== document.documentElement) {
+            const style = window.getComputedStyle(current);
+            if ((/(auto|scroll)/.test(style.overflow + style.overflowX) && current.scrollWidth > current.clientWidth) ||
+                (/(auto|scroll)/.test(style.overflow + style.overflowY) && current.scrollHeight > current.clientHeight)) {
+                return current;
+            }
+            current = current.parentElement;
+        }
+        return null;
+    }
+
+    /**
+     * Keeps scrolling the nearest scrollable container, or the window, while the dragged element
+     * is within the edge threshold of its visible area. Each frame replays the last gesture
+     * position through the handler, so constraints, hover and drop detection stay current.
+     * @private
+     * @param {HypeDocument} hypeDocument - The Hype document object.
+     * @param {object} doc - The document registry.
+     * @param {HTMLElement} element - The dragged element.
+     * @param {object} data - The drag data of the current session.
+     */
+    function _updateAutoScroll(hypeDocument, doc, element, data) {
+        const options = _normalizeAutoScroll(doc.constraints?.[element.dataset.dragName]?.autoScroll);
+        if (!options || data.autoScrollFrame) return;
+
+        data.autoScrollFrame = requestAnimationFrame(() => {
+            data.autoScrollFrame = null;
+            if (!data.isActive) return;
+
+            const container = _getScrollContainer(data.ghost || element);
+            const scroller = container || document.scrollingElement || document.documentElement;
+            const view = container ? container.getBoundingClientRect() : { left: 0, top: 0, right: window.innerWidth, bottom: window.innerHeight };
+            const rect = (data.ghost || element).getBoundingClientRect();
+            const velocity = (before, after) => {
+                if (before > 0) return -options.speed * Math.min(1, before / options.edge);
+                if (after > 0) return options.speed * Math.min(1, after / options.edge);
+                return 0;
+            };
+            const vx = velocity(view.left + options.edge - rect.left, rect.right - (view.right - options.edge));
+            const vy = velocity(view.top + options.edge - rect.top, rect.bottom - (view.bottom - options.edge));
+            if (!vx && !vy) return;
+
+            const scrollLeft = scroller.scrollLeft;
+            const scrollTop = scroller.scrollTop;
+            scroller.scrollLeft += vx;
+            scroller.scrollTop += vy;
+            const sceneEl = hypeDocument.getElementById(hypeDocument.currentSceneId());
+            const scale = sceneEl.offsetWidth ? sceneEl.getBoundingClientRect().width / sceneEl.offsetWidth : 1;
+            const dx = (scroller.scrollLeft - scrollLeft) / scale;
+            const dy = (scroller.scrollTop - scrollTop) / scale;
+            if (!dx && !dy) return;
+
+            if (container) {
+                // The content moved under the resting pointer, the element follows by shifting its drag origin
+                data.startX -= dx;
+                data.startY -= dy;
+            } else {
+                // The scene moved under the resting pointer, which now points further into it
+                data.lastX += dx;
+                data.lastY += dy;
+            }
+            handler(hypeDocument, element, { type: 'autoscroll', autoScroll: true, pointerId: data.pointerId, hypeGesturePhase: 'move', hypeGestureXPosition: data.lastX, hypeGestureYPosition: data.lastY });
+        });
+    }
+
+    /**
+     * Normalizes an inertia constraint. Accepts true or an options object.
+     * @private
+     * @param {boolean|object} inertia - The inertia constraint.
+     * @returns {{friction:number, bounce:number, minVelocity:number}|null} The normalized options, or null if disabled.
+     */
+    function _normalizeInertia(inertia) {
+        if (!inertia) return null;
+        const options = typeof inertia === 'object' ? inertia : {};
+        return {
+            friction: typeof options.friction === 'number' ? options.friction : getDefault('inertiaFriction'),
+            bounce: typeof options.bounce === 'number' ? options.bounce : getDefault('inertiaBounce'),
+            minVelocity: typeof options.minVelocity === 'number' ? options.minVelocity : getDefault('inertiaMinVelocity')
+        };
+    }
+
+    /**
+     * Records a timestamped position for velocity tracking, keeping only the last 100 milliseconds.
+     * @private
+     * @param {object} data - The drag data of the current session.
+     * @param {number} left
+     * @param {number} top
+     */
+    function _recordVelocitySample(data, left, top) {
+        const now = performance.now();
+        data.samples.push({ t: now, left: left, top: top });
+        while (data.samples.length > 2 && now - data.samples[0].t > 100) {
+            data.samples.shift();
+        }
+    }
+
+    /**
+     * Computes the release velocity in pixels per millisecond from the recorded samples.
+     * @private
+     * @param {object} data - The drag data of the current session.
+     * @returns {{x:number, y:number}}
+     */
+    function _computeVelocity(data) {
+        const samples = data.samples || [];
+        if (samples.length < 2) return { x: 0, y: 0 };
+        const first = samples[0];
+        const last = samples[samples.length - 1];
+        const elapsed = last.t - first.t;
+        // A pause before release means the element was placed, not thrown
+        if (!(elapsed > 0) || performance.now() - last.t > 100) return { x: 0, y: 0 };
+        return { x: (last.left - first.left) / elapsed, y: (last.top - first.top) / elapsed };
+    }
+
+    /**
+     * Keeps a released element moving with decaying velocity until it comes to rest.
+     * Each frame respects the element's constraints; hitting a bound stops or bounces that axis.
+     * The release event is kept as data.glideEvent, so a drag catching the element can finish the throw.
+     * @private
+     * @param {HypeDocument} hypeDocument - The Hype document object.
+     * @param {object} doc - The document registry.
+     * @param {HTMLElement} element - The thrown element.
+     * @param {object} data - The drag data of the finished session.
+     * @param {object} event - The Hype drag event object.
+     * @param {{friction:number, bounce:number, minVelocity:number}} inertia - The normalized inertia options.
+     * @param {{x:number, y:number}} velocity - The release velocity in pixels per millisecond.
+     */
+    function _glide(hypeDocument, doc, element, data, event, inertia, velocity) {
+        const constraints = doc.constraints?.[element.dataset.dragName];
+        let vx = velocity.x;
+        let vy = velocity.y;
+        let last = performance.now();
+        data.glideEvent = event;
+
+        function step() {
+            const now = performance.now();
+            const elapsed = Math.min(64, now - last);
+            last = now;
+
+            const left = hypeDocument.getElementProperty(element, 'left');
+            const top = hypeDocument.getElementProperty(element, 'top');
+            const proposedLeft = left + vx * elapsed;
+            const proposedTop = top + vy * elapsed;
+            const result = _computeConstrainedPosition(hypeDocument, element, constraints, proposedLeft, proposedTop, data.initialLeft, data.initialTop);
+
+            // Bounce off or stop at bounds
+            if (result.left !== proposedLeft) vx = -vx * inertia.bounce;
+            if (result.top !== proposedTop) vy = -vy * inertia.bounce;
+
+            hypeDocument.setElementProperty(element, 'left', result.left);
+            hypeDocument.setElementProperty(element, 'top', result.top);
+            data.placedLeft = result.left;
+            data.placedTop = result.top;
+            _updateScrub(hypeDocument, doc, element, result.left, result.top);
+            _updateConnectorLines(hypeDocument, doc);
+
+            // Hover like a placed element would resolve: the hit target, else the closest magnet
+            let hoverTarget = _getDropTarget(element, hypeDocument);
+            if (!hoverTarget) {
+                const magnet = _getMagnetTarget(hypeDocument, doc, element);
+                if (magnet) hoverTarget = magnet.target;
+            }
+            _updateHoverTarget(hypeDocument, doc, element, data, hoverTarget, event);
+
+            // Friction is expressed per 60fps frame
+            const decay = Math.pow(inertia.friction, elapsed / (1000 / 60));
+            vx *= decay;
+            vy *= decay;
+
+            if (Math.sqrt(vx * vx + vy * vy) > inertia.minVelocity) {
+                data.glideFrame = requestAnimationFrame(step);
+            } else {
+                data.glideFrame = null;
+                event.velocityX = vx;
+                event.velocityY = vy;
+                _finishDrag(hypeDocument, doc, element, data, event);
+            }
+        }
+        data.glideFrame = requestAnimationFrame(step);
+    }
+
+    /**
+     * Animates an element back to its initial position.
+     * @param {HypeDocument} hypeDocument - The Hype document object.
+     * @param {HTMLElement} element - The element to snap back.
+     */
+    function snapBack(hypeDocument, element) {
+        const doc = _getDocRegistry(hypeDocument);
+        const dragName = element.dataset.dragName;
+        if (!dragName) return;
+        const data = doc.dragData[dragName];
+        if (!data) return;
+        const opts = getDefault();
+        delete doc.snappedTo[dragName];
+        if (data.ghost) {
+            _returnGhost(hypeDocument, data, opts.snapBackDuration, opts.snapBackTiming);
+        }
+        hypeDocument.setElementProperty(element, 'left', data.initialLeft, opts.snapBackDuration, opts.snapBackTiming);
+        hypeDocument.setElementProperty(element, 'top', data.initialTop, opts.snapBackDuration, opts.snapBackTiming);
+        if (opts.bringToFront) {
+            hypeDocument.setElementProperty(element, 'z-index', data.initialZ, opts.snapBackDuration, 'easeinout');
+        }
+        _updateHistoryEntry(hypeDocument, element, { left: data.initialLeft, top: data.initialTop, zIndex: opts.bringToFront ? data.initialZ : hypeDocument.getElementProperty(element, 'z-index'), snappedTo: null });
+        _updateConnectorLines(hypeDocument, doc, opts.snapBackDuration);
+        _emit(hypeDocument, 'snapback', element, { left: data.initialLeft, top: data.initialTop });
+    }
+
+    /**
+     * Snaps a dragged element to a destination element or selector.
+     * @param {HypeDocument} hypeDocument - The Hype document object.
+     * @param {HTMLElement} draggedElement - The element that was dragged.
+     * @param {HTMLElement|string} destination - The destination element or a CSS selector for it.
+     * @returns {{left:number, top:number}|undefined} The position the element snaps to.
+     */
+    function snapTo(hypeDocument, draggedElement, destination) {
+        if (!draggedElement || !destination) return;
+        let destElement = null;
+        if (typeof destination === 'string') {
+            destElement = hypeDocument.getElementById(hypeDocument.currentSceneId()).querySelector(destination);
+            if (!destElement) { return console.warn('HypeDragController: snapTo selector "' + destination + '" did not find an element.'); }
+        } else if (typeof destination === 'object' && destination.id) {
+            destElement = destination;
+        } else { return console.warn('HypeDragController: snapTo destination must be an element or selector string.'); }
+
+        // A ghost drag commits the original before it snaps
+        const session = draggedElement.dataset.dragName ? _getDocRegistry(hypeDocument).dragData[draggedElement.dataset.dragName] : null;
+        if (session && session.ghost) {
+            _commitGhost(hypeDocument, draggedElement, session);
+        }
+
+        // Align the anchor points of both elements, converted into the dragged element's parent space
+        const opts = getDefault();
+        const position = _getAnchoredPosition(hypeDocument, draggedElement, destElement);
+        const destLeft = position.left;
+        const destTop = position.top;
+        const dragName = draggedElement.dataset.dragName;
+        if (dragName) {
+            const doc = _getDocRegistry(hypeDocument);
+            const data = doc.dragData[dragName];
+            // Remember where the element came from, so a replacing drop can send it back there
+            if (data) {
+                doc.snapOrigins[dragName] = { left: data.initialLeft, top: data.initialTop, snappedTo: data.initialSnappedTo };
+            } else if (doc.snappedTo[dragName] !== destElement) {
+                doc.snapOrigins[dragName] = { left: hypeDocument.getElementProperty(draggedElement, 'left'), top: hypeDocument.getElementProperty(draggedElement, 'top'), snappedTo: doc.snappedTo[dragName] || null };
+            }
+            doc.snappedTo[dragName] = destElement;
+        }
+        hypeDocument.setElementProperty(draggedElement, 'left', destLeft, opts.snapToDuration, opts.snapToTiming);
+        hypeDocument.setElementProperty(draggedElement, 'top', destTop, opts.snapToDuration, opts.snapToTiming);
+        _updateHistoryEntry(hypeDocument, draggedElement, { left: destLeft, top: destTop, snappedTo: destElement });
+        _updateConnectorLines(hypeDocument, _getDocRegistry(hypeDocument), opts.snapToDuration);
+        _emit(hypeDocument, 'snap', draggedElement, { left: destLeft, top: destTop, destination: destElement });
+        return { left: destLeft, top: destTop };
+    }
+
+    /**
+     * Locks a draggable element, preventing all pointer events on it and its children.
+     * @param {HypeDocument} hypeDocument - The Hype document object.
+     * @param {HTMLElement} element - The element to lock.
+     */
+    function lock(hypeDocument, element) {
+        const changed = !element.classList.contains('hypeDragElementLocked');
+        element.classList.add('hypeDragElementLocked');
+        _updateHistoryEntry(hypeDocument, element, { locked: true });
+        if (changed) _emit(hypeDocument, 'lock', element);
+    }
+    
+    /**
+     * Unlocks a draggable element, re-enabling pointer events.
+     * @param {HypeDocument} hypeDocument - The Hype document object.
+     * @param {HTMLElement} element - The element to unlock.
+     */
+    function unlock(hypeDocument, element) {
+        const changed = element.classList.contains('hypeDragElementLocked');
+        element.classList.remove('hypeDragElementLocked');
+        _updateHistoryEntry(hypeDocument, element, { locked: false });
+        if (changed) _emit(hypeDocument, 'unlock', element);
+    }
+
+    /**
+     * Selects draggable elements for group dragging. Dragging any selected element moves all of them.
+     * @param {HypeDocument} hypeDocument - The Hype document object.
+     * @param {HTMLElement|string|Array} elements - The element(s) or drag name(s) to select.
+     * @param {boolean} [add] - If true, add to the current selection instead of replacing it.
+     */
+    function select(hypeDocument, elements, add) {
+        const doc = _getDocRegistry(hypeDocument);
+        if (!add) clearSelection(hypeDocument);
+        _resolveDraggables(hypeDocument, elements).forEach(element => {
+            if (doc.selection.indexOf(element) !== -1) return;
+            doc.selection.push(element);
+            element.classList.add('hypeDragElementSelected');
+        });
+    }
+
+    /**
+     * Removes draggable elements from the selection.
+     * @param {HypeDocument} hypeDocument - The Hype document object.
+     * @param {HTMLElement|string|Array} elements - The element(s) or drag name(s) to deselect.
+     */
+    function deselect(hypeDocument, elements) {
+        const doc = _getDocRegistry(hypeDocument);
+        _resolveDraggables(hypeDocument, elements).forEach(element => {
+            const index = doc.selection.indexOf(element);
+            if (index === -1) return;
+            doc.selection.splice(index, 1);
+            element.classList.remove('hypeDragElementSelected');
+        });
+    }
+
+    /**
+     * Clears the selection.
+     * @param {HypeDocument} hypeDocument - The Hype document object.
+     */
+    function clearSelection(hypeDocument) {
+        const doc = _getDocRegistry(hypeDocument);
+        doc.selection.forEach(element => element.classList.remove('hypeDragElementSelected'));
+        doc.selection = [];
+    }
+
+    /**
+     * Returns the currently selected elements.
+     * @param {HypeDocument} hypeDocument - The Hype document object.
+     * @returns {HTMLElement[]} A copy of the selection.
+     */
+    function getSelection(hypeDocument) { return _getDocRegistry(hypeDocument).selection.slice(); }
+
+    /**
+     * Resolves a drop target given as element, data-drop-target name or selector.
+     * @private
+     * @param {HypeDocument} hypeDocument - The Hype document object.
+     * @param {HTMLElement|string} target - The target element or name.
+     * @returns {HTMLElement|null} The target element.
+     */
+    function _resolveDropTarget(hypeDocument, target) {
+        if (!target) return null;
+        if (typeof target !== 'string') return target;
+        const sceneEl = hypeDocument.getElementById(hypeDocument.currentSceneId());
+        return sceneEl.querySelector(`[data-drop-target="${target}"]`);
+    }
+
+    /**
+     * Returns the draggables currently snapped to a drop target, in the order they arrived.
+     * @param {HypeDocument} hypeDocument - The Hype document object.
+     * @param {HTMLElement|string} target - The drop target element or its data-drop-target name.
+     * @returns {HTMLElement[]} The occupying elements.
+     */
+    function getOccupants(hypeDocument, target) {
+        const doc = _getDocRegistry(hypeDocument);
+        const targetEl = _resolveDropTarget(hypeDocument, target);
+        if (!targetEl) return [];
+        const sceneEl = hypeDocument.getElementById(hypeDocument.currentSceneId());
+        return Object.keys(doc.snappedTo)
+            .filter(dragName => doc.snappedTo[dragName] === targetEl)
+            .map(dragName => sceneEl.querySelector(`[data-drag-name="${dragName}"]`))
+            .filter(element => !!element);
+    }
+
+    /**
+     * Returns the drop target a draggable is currently snapped to.
+     * @param {HypeDocument} hypeDocument - The Hype document object.
+     * @param {HTMLElement|string} element - The draggable element or its drag name.
+     * @returns {HTMLElement|null} The drop target, or null.
+     */
+    function getTargetOf(hypeDocument, element) {
+        const dragName = typeof element === 'string' ? element : element && element.dataset.dragName;
+        return (dragName && _getDocRegistry(hypeDocument).snappedTo[dragName]) || null;
+    }
+
+    /**
+     * Checks a drop target's capacity for an incoming element.
+     * Capacity and policy come from the target map entry or data-drop-capacity/data-drop-policy.
+     * @private
+     * @param {HypeDocument} hypeDocument - The Hype document object.
+     * @param {object} doc - The document registry.
+     * @param {HTMLElement} element - The dropped element.
+     * @param {HTMLElement} target - The drop target.
+     * @returns {{full:boolean, policy:string, displaced:HTMLElement|null}|null} The result, or null if the target has no capacity.
+     */
+    function _resolveCapacity(hypeDocument, doc, element, target) {
+        const targetEntry = doc.targetMap?.[target.dataset.dropTarget] || {};
+        let capacity = targetEntry.capacity;
+        if (capacity === undefined && target.hasAttribute('data-drop-capacity')) {
+            capacity = parseInt(target.getAttribute('data-drop-capacity'), 10);
+        }
+        if (typeof capacity !== 'number' || isNaN(capacity)) return null;
+
+        const policy = targetEntry.policy || target.getAttribute('data-drop-policy') || 'reject';
+        const occupants = getOccupants(hypeDocument, target).filter(occupant => occupant !== element);
+        const full = occupants.length >= capacity;
+        // 'replace' only displaces an occupant that has a place to return to, otherwise the drop is rejected
+        const candidates = policy === 'replace' ? occupants.filter(occupant => _getSnapOrigin(hypeDocument, doc, occupant)) : occupants;
+        return {
+            full: full,
+            policy: policy,
+            displaced: full && (policy === 'replace' || policy === 'swap') ? candidates[0] || null : null
+        };
+    }
+
+    /**
+     * Returns the place an element occupying a target came from: the origin recorded when it was
+     * snapped, or its data-initial-left/top position if that is somewhere else.
+     * @private
+     * @param {HypeDocument} hypeDocument - The Hype document object.
+     * @param {object} doc - The document registry.
+     * @param {HTMLElement} element - The occupant.
+     * @returns {{left:number, top:number, snappedTo:HTMLElement|null}|null} The place, or null if unknown.
+     */
+    function _getSnapOrigin(hypeDocument, doc, element) {
+        const origin = doc.snapOrigins[element.dataset.dragName];
+        if (origin) return origin;
+        const left = parseFloat(element.getAttribute('data-initial-left'));
+        const top = parseFloat(element.getAttribute('data-initial-top'));
+        if (isNaN(left) || isNaN(top)) return null;
+        if (left === hypeDocument.getElementProperty(element, 'left') && top === hypeDocument.getElementProperty(element, 'top')) return null;
+        return { left: left, top: top, snappedTo: null };
+    }
+
+    /**
+     * Moves an element to a recorded place and registers the target it occupies there.
+     * @private
+     * @param {HypeDocument} hypeDocument - The Hype document object.
+     * @param {HTMLElement} element - The element to move.
+     * @param {{left:number, top:number, snappedTo:HTMLElement|null}} place - The place to move to.
+     * @param {number} duration - Animation duration.
+     * @param {string} timing - Animation timing function.
+     */
+    function _moveToPlace(hypeDocument, element, place, duration, timing) {
+        const doc = _getDocRegistry(hypeDocument);
+        const dragName = element.dataset.dragName;
+        _addHistoryItem(hypeDocument, element);
+        hypeDocument.setElementProperty(element, 'left', place.left, duration, timing);
+        hypeDocument.setElementProperty(element, 'top', place.top, duration, timing);
+        element.setAttribute('data-initial-left', place.left);
+        element.setAttribute('data-initial-top', place.top);
+        if (place.snappedTo) doc.snappedTo[dragName] = place.snappedTo; else delete doc.snappedTo[dragName];
+        _updateHistoryEntry(hypeDocument, element, { left: place.left, top: place.top, snappedTo: place.snappedTo || null });
+    }
+
+    /**
+     * Declares the correct answers for check(), keyed by drag name. Values are a drop target name
+     * or a list of acceptable names. Entries override data-drag-answer attributes.
+     * @param {HypeDocument} hypeDocument - The Hype document object.
+     * @param {object|null} answers - The answers map, or null to rely on data-drag-answer only.
+     * @param {object} [options] - Check options used by check() and auto checks (mark, lockCorrect, autoCheck, onComplete).
+     */
+    function setAnswers(hypeDocument, answers, options) {
+        const doc = _getDocRegistry(hypeDocument);
+        doc.answers = answers || {};
+        doc.checkOptions = options || {};
+        doc.checkComplete = false;
+    }
+
+    /**
+     * Checks whether every draggable with an answer sits on a correct drop target.
+     * The target of an element is the one it is snapped to, or else the one found by drop detection.
+     * @param {HypeDocument} hypeDocument - The Hype document object.
+     * @param {object} [options] - Overrides for the options given to setAnswers.
+     * @param {boolean} [options.mark] - Add the correct/incorrect classes to the items.
+     * @param {boolean} [options.lockCorrect] - Lock correctly placed items.
+     * @param {Function} [options.onComplete] - Called with (hypeDocument, result) when everything is correct.
+     * @returns {{items:Array<object>, correct:number, total:number, score:number, percent:number, complete:boolean}}
+     */
+    function check(hypeDocument, options) {
+        const doc = _getDocRegistry(hypeDocument);
+        const opts = Object.assign({}, doc.checkOptions, options);
+        const sceneEl = hypeDocument.getElementById(hypeDocument.currentSceneId());
+        const correctClass = getDefault('answerCorrectClass');
+        const incorrectClass = getDefault('answerIncorrectClass');
+        const items = [];
+
+        sceneEl.querySelectorAll('[data-drag-name]').forEach(element => {
+            const dragName = element.dataset.dragName;
+            const expected = _getExpectedAnswers(doc, element);
+            if (!expected) return;
+
+            const connection = doc.connections.find(candidate => candidate.source === element);
+            const target = getTargetOf(hypeDocument, element) || (connection ? connection.target : null) || _getDropTarget(element, hypeDocument);
+            const targetName = target ? target.dataset.dropTarget : null;
+            const correct = targetName !== null && expected.indexOf(targetName) !== -1;
+            items.push({ dragName: dragName, element: element, target: target, targetName: targetName, expected: expected, correct: correct });
+
+            if (opts.mark) {
+                if (correctClass) element.classList.toggle(correctClass, correct);
+                if (incorrectClass) element.classList.toggle(incorrectClass, !correct);
+            }
+            if (opts.lockCorrect && correct) lock(hypeDocument, element);
+        });
+
+        const correctCount = items.filter(item => item.correct).length;
+        const total = items.length;
+        const score = total ? correctCount / total : 0;
+        const result = { items: items, correct: correctCount, total: total, score: score, percent: score * 100, complete: total > 0 && correctCount === total };
+
+        if (hypeDocument.customData && hypeDocument.customData.gameState) {
+            hypeDocument.customData.gameState.check = { correct: correctCount, total: total, score: score, complete: result.complete };
+        }
+
+        // Fire onComplete once per transition into the complete state
+        if (result.complete && !doc.checkComplete) {
+            if (typeof opts.onComplete === 'function') opts.onComplete(hypeDocument, result);
+            _emit(hypeDocument, 'complete', sceneEl, result);
+        }
+        doc.checkComplete = result.complete;
+        _emit(hypeDocument, 'check', sceneEl, result);
+        return result;
+    }
+
+    /**
+     * Removes the correct/incorrect classes from all draggables of the current scene.
+     * @param {HypeDocument} hypeDocument - The Hype document object.
+     */
+    function clearMarks(hypeDocument) {
+        const sceneEl = hypeDocument.getElementById(hypeDocument.currentSceneId());
+        [getDefault('answerCorrectClass'), getDefault('answerIncorrectClass')].forEach(className => {
+            if (className) sceneEl.querySelectorAll('.' + className).forEach(element => element.classList.remove(className));
+        });
+    }
+
+    /**
+     * Returns the correct drop target names of a draggable, from the answers map or data-drag-answer.
+     * @private
+     * @param {object} doc - The document registry.
+     * @param {HTMLElement} element - The draggable element.
+     * @returns {Array<string>|null} The target names, or null if the element has no answer.
+     */
+    function _getExpectedAnswers(doc, element) {
+        const dragName = element.dataset.dragName;
+        const answer = doc.answers[dragName] !== undefined ? doc.answers[dragName] : element.getAttribute('data-drag-answer');
+        if (answer === null || answer === undefined) return null;
+        return _parseList(answer);
+    }
+
+    /**
+     * Starts reporting drag activity to an LMS, as xAPI statements or SCORM cmi.interactions entries.
+     * Drops map onto 'matching' interactions (source[.]target), checks onto the score.
+     * @param {HypeDocument} hypeDocument - The Hype document object.
+     * @param {object} options - Reporter options.
+     * @param {string} [options.format='xapi'] - 'xapi', 'scorm12' or 'scorm2004'.
+     * @param {Function} [options.transport] - Called with (payload, format) instead of the built-in transport.
+     *     The payload is an xAPI statement, or a list of [element, value] pairs for SCORM.
+     * @param {string} [options.endpoint] - xAPI: LRS endpoint for the built-in transport.
+     * @param {string} [options.auth] - xAPI: Authorization header for the built-in transport.
+     * @param {object} [options.actor] - xAPI: The statement actor.
+     * @param {string} [options.activityId] - xAPI: Base activity IRI, defaults to the page URL.
+     * @param {string} [options.registration] - xAPI: Registration UUID for the statement context.
+     * @param {object} [options.api] - SCORM: The API object, found in the window hierarchy if omitted.
+     * @returns {boolean} True if reporting started.
+     */
+    function enableReporting(hypeDocument, options) {
+        disableReporting(hypeDocument);
+        const opts = Object.assign({ format: 'xapi' }, options);
+        if (['xapi', 'scorm12', 'scorm2004'].indexOf(opts.format) === -1) {
+            console.warn('HypeDragController: Unknown reporting format "' + opts.format + '".');
+            return false;
+        }
+
+        const reporter = { options: opts, attempts: {}, startTimes: {}, attempted: {}, interactionIndex: 0, transport: opts.transport, api: null };
+        if (opts.format !== 'xapi') {
+            const api = reporter.api = opts.api || _findScormApi(opts.format === 'scorm12' ? 'API' : 'API_1484_11');
+            if (api) {
+                const count = parseInt(opts.format === 'scorm12' ? api.LMSGetValue('cmi.interactions._count') : api.GetValue('cmi.interactions._count'), 10);
+                reporter.interactionIndex = count > 0 ? count : 0;
+            }
+            if (!reporter.transport && api) {
+                reporter.transport = pairs => _sendScorm(api, opts.format, pairs);
+            }
+        } else if (!reporter.transport && opts.endpoint) {
+            reporter.transport = statement => _sendStatement(opts, statement);
+        }
+        if (typeof reporter.transport !== 'function') {
+            console.warn('HypeDragController: Reporting needs a transport, an xAPI endpoint or a SCORM API.');
+            return false;
+        }
+
+        _getDocRegistry(hypeDocument).reporter = reporter;
+        return true;
+    }
+
+    /**
+     * Stops reporting drag activity.
+     * @param {HypeDocument} hypeDocument - The Hype document object.
+     */
+    function disableReporting(hypeDocument) {
+        _getDocRegistry(hypeDocument).reporter = null;
+    }
+
+    /**
+     * Searches the window hierarchy for a SCORM API object, as recommended by the SCORM run-time.
+     * @private
+     * @param {string} name - 'API' for SCORM 1.2 or 'API_1484_11' for SCORM 2004.
+     * @returns {object|null} The API object.
+     */
+    function _findScormApi(name) {
+        const candidates = [window, window.opener];
+        for (let i = 0; i < candidates.length; i++) {
+            let win = candidates[i];
+            for (let depth = 0; win && depth < 8; depth++) {
+                try {
+                    if (win[name]) return win[name];
+                } catch (e) {
+                    break;
+                }
+                if (win.parent === win) break;
+                win = win.parent;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Built-in SCORM transport: sets every value and commits.
+     * @private
+     * @param {object} api - The SCORM API object.
+     * @param {string} format - 'scorm12' or 'scorm2004'.
+     * @param {Array<Array>} pairs - The [element, value] pairs.
+     */
+    function _sendScorm(api, format, pairs) {
+        pairs.forEach(pair => {
+            if (format === 'scorm12') api.LMSSetValue(pair[0], String(pair[1])); else api.SetValue(pair[0], String(pair[1]));
+        });
+        if (format === 'scorm12') api.LMSCommit(''); else api.Commit('');
+    }
+
+    /**
+     * Built-in xAPI transport: posts a statement to the LRS.
+     * @private
+     * @param {object} opts - The reporter options.
+     * @param {object} statement - The xAPI statement.
+     * @returns {Promise}
+     */
+    function _sendStatement(opts, statement) {
+        const headers = { 'Content-Type': 'application/json', 'X-Experience-API-Version': '1.0.3' };
+        if (opts.auth) headers.Authorization = opts.auth;
+        return fetch(opts.endpoint.replace(/\/?$/, '/') + 'statements', { method: 'POST', headers: headers, body: JSON.stringify(statement) })
+            .catch(error => console.warn('HypeDragController: Sending the xAPI statement failed.', error));
+    }
+
+    /**
+     * Hands a payload to the reporting transport. Errors, thrown or as rejected promises,
+     * are reported with console.warn so reporting never breaks the drag.
+     * @private
+     * @param {object} reporter - The reporter state.
+     * @param {object|Array<Array>} payload - The xAPI statement or SCORM pairs.
+     */
+    function _sendReport(reporter, payload) {
+        const fail = error => console.warn('HypeDragController: The reporting transport failed.', error);
+        try {
+            const result = reporter.transport(payload, reporter.options.format);
+            if (result && typeof result.then === 'function') result.then(null, fail);
+        } catch (error) {
+            fail(error);
+        }
+    }
+
+    /**
+     * Formats a duration in milliseconds for xAPI and SCORM 2004 (ISO 8601) or SCORM 1.2 (HHHH:MM:SS.SS).
+     * @private
+     * @param {number} ms - The duration in milliseconds.
+     * @param {string} format - The reporting format.
+     * @returns {string}
+     */
+    function _formatDuration(ms, format) {
+        const seconds = Math.max(0, ms) / 1000;
+        if (format !== 'scorm12') return 'PT' + (Math.round(seconds * 100) / 100) + 'S';
+        const pad = value => (value < 10 ? '0' : '') + value;
+        return pad(Math.floor(seconds / 3600)) + ':' + pad(Math.floor(seconds % 3600 / 60)) + ':' + pad((seconds % 60).toFixed(2));
+    }
+
+    /**
+     * Makes a name usable as a SCORM identifier.
+     * @private
+     * @param {string} name - The name.
+     * @returns {string}
+     */
+    function _toIdentifier(name) {
+        return String(name).replace(/[^\w.\-]/g, '_');
+    }
+
+    /**
+     * Turns a controller event into an xAPI statement or SCORM entries and hands it to the transport.
+     * First starts mark the activity as attempted (SCORM: incomplete), drops onto targets become matching interactions
+     * (with an attempt count for retries) and checks report the score.
+     * @private
+     * @param {HypeDocument} hypeDocument - The Hype document object.
+     * @param {object} reporter - The reporter state.
+     * @param {HTMLElement} element - The element of the event.
+     * @param {object} detail - The event detail.
+     */
+    function _report(hypeDocument, reporter, element, detail) {
+        const opts = reporter.options;
+        const format = opts.format;
+        const doc = _getDocRegistry(hypeDocument);
+        const sceneName = hypeDocument.currentSceneName();
+        const dragName = detail.dragName;
+        const activityId = (opts.activityId || window.location.href.split('#')[0]).replace(/\/$/, '') + '/' + encodeURIComponent(sceneName);
+        const statement = verb => ({
+            actor: opts.actor || { objectType: 'Agent', account: { homePage: window.location.origin, name: 'anonymous' } },
+            verb: { id: 'http://adlnet.gov/expapi/verbs/' + verb, display: { 'en-US': verb } },
+            object: { objectType: 'Activity', id: activityId, definition: { name: { 'en-US': sceneName } } },
+            context: opts.registration ? { registration: opts.registration } : {},
+            timestamp: new Date().toISOString()
+        });
+
+        if (detail.type === 'start') {
+            reporter.startTimes[dragName] = Date.now();
+            if (reporter.attempted[sceneName]) return;
+            reporter.attempted[sceneName] = true;
+            if (format === 'xapi') {
+                _sendReport(reporter, statement('attempted'));
+                return;
+            }
+            // SCORM tracks attempts on the whole package, a finished status is left alone
+            const statusElement = format === 'scorm12' ? 'cmi.core.lesson_status' : 'cmi.completion_status';
+            const status = reporter.api ? (format === 'scorm12' ? reporter.api.LMSGetValue(statusElement) : reporter.api.GetValue(statusElement)) : '';
+            if (['passed', 'completed', 'failed'].indexOf(status) === -1) {
+                _sendReport(reporter, [[statusElement, 'incomplete']]);
+            }
+            return;
+        }
+
+        if (detail.type === 'drop' && detail.dropTarget && !detail.removed) {
+            const targetName = detail.dropTarget.dataset.dropTarget;
+            const expected = _getExpectedAnswers(doc, element);
+            const correct = expected ? expected.indexOf(targetName) !== -1 : null;
+            const attempt = reporter.attempts[dragName] = (reporter.attempts[dragName] || 0) + 1;
+            const latency = Date.now() - (reporter.startTimes[dragName] || Date.now());
+
+            if (format === 'xapi') {
+                const answered = statement('answered');
+                answered.object = {
+                    objectType: 'Activity',
+                    id: activityId + '/' + encodeURIComponent(dragName),
+                    definition: {
+                        type: 'http://adlnet.gov/expapi/activities/cmi.interaction',
+                        name: { 'en-US': _getAccessibleLabel(element) },
+                        interactionType: 'matching',
+                        source: [{ id: dragName, description: { 'en-US': _getAccessibleLabel(element) } }],
+                        target: (expected || []).concat(expected && expected.indexOf(targetName) !== -1 ? [] : [targetName]).map(name => ({ id: name, description: { 'en-US': name } }))
+                    }
+                };
+                if (expected) answered.object.definition.correctResponsesPattern = expected.map(name => dragName + '[.]' + name);
+                answered.result = {
+                    response: dragName + '[.]' + targetName,
+                    duration: _formatDuration(latency, format),
+                    extensions: { 'http://id.tincanapi.com/extension/attempt-id': attempt }
+                };
+                if (correct !== null) answered.result.success = correct;
+                answered.context.contextActivities = { parent: [{ id: activityId }] };
+                _sendReport(reporter, answered);
+                return;
+            }
+
+            // SCORM journals every drop as its own interaction, so retries show up as repeated ids
+            const prefix = 'cmi.interactions.' + (reporter.interactionIndex++) + '.';
+            const scorm12 = format === 'scorm12';
+            const separator = scorm12 ? '.' : '[.]';
+            const pairs = [
+                [prefix + 'id', _toIdentifier(dragName)],
+                [prefix + 'type', 'matching'],
+                [prefix + (scorm12 ? 'student_response' : 'learner_response'), _toIdentifier(dragName) + separator + _toIdentifier(targetName)],
+                [prefix + 'result', correct === null ? 'neutral' : (correct ? 'correct' : (scorm12 ? 'wrong' : 'incorrect'))],
+                [prefix + (scorm12 ? 'time' : 'timestamp'), scorm12 ? new Date().toTimeString().slice(0, 8) : new Date().toISOString().slice(0, 19)],
+                [prefix + 'latency', _formatDuration(latency, format)]
+            ];
+            if (expected) {
+                pairs.push([prefix + 'correct_responses.0.pattern', expected.map(name => _toIdentifier(dragName) + separator + _toIdentifier(name)).join(scorm12 ? ',' : '[,]')]);
+            }
+            _sendReport(reporter, pairs);
+            return;
+        }
+
+        if (detail.type === 'check' && detail.total > 0) {
+            if (format === 'xapi') {
+                const scored = statement(detail.complete ? 'completed' : 'scored');
+                scored.result = {
+                    score: { scaled: detail.score, raw: detail.correct, min: 0, max: detail.total },
+                    success: detail.complete,
+                    completion: detail.complete
+                };
+                _sendReport(reporter, scored);
+            } else if (format === 'scorm12') {
+                _sendReport(reporter, [
+                    ['cmi.core.score.raw', detail.correct],
+                    ['cmi.core.score.min', 0],
+                    ['cmi.core.score.max', detail.total],
+                    ['cmi.core.lesson_status', detail.complete ? 'passed' : 'incomplete']
+                ]);
+            } else {
+                _sendReport(reporter, [
+                    ['cmi.score.scaled', detail.score],
+                    ['cmi.score.raw', detail.correct],
+                    ['cmi.score.min', 0],
+                    ['cmi.score.max', detail.total],
+                    ['cmi.completion_status', detail.complete ? 'completed' : 'incomplete'],
+                    ['cmi.success_status', detail.complete ? 'passed' : 'unknown']
+                ]);
+            }
+        }
+    }
+
+    /**
+     * Enables or disables the undo/redo history for a Hype document.
+     * @param {HypeDocument} hypeDocument - The Hype document object.
+     * @param {boolean} [enabled=true] - Whether completed drags are recorded.
+     */
+    function enableHistory(hypeDocument, enabled) {
+        const doc = _getDocRegistry(hypeDocument);
+        doc.history.enabled = enabled !== false;
+        if (!doc.history.enabled) clearHistory(hypeDocument);
+    }
+
+    /**
+     * Checks whether the history records drags for a document, falling back to the history default.
+     * @private
+     * @param {object} doc - The document registry.
+     * @returns {boolean}
+     */
+    function _isHistoryEnabled(doc) {
+        return doc.history.enabled === undefined ? !!getDefault('history') : doc.history.enabled;
+    }
+
+    /**
+     * Starts recording a history entry for a finished drag session, covering the dragged element
+     * and its group members. Until closed, snapTo, snapBack, lock and unlock update the entry.
+     * @private
+     * @param {HypeDocument} hypeDocument - The Hype document object.
+     * @param {object} doc - The document registry.
+     * @param {HTMLElement} element - The dragged element.
+     * @param {object} data - The drag data of the finished session.
+     */
+    function _openHistoryEntry(hypeDocument, doc, element, data) {
+        if (!_isHistoryEnabled(doc)) return;
+        const sessions = [Object.assign({ element: element }, data)].concat(data.members || []);
+        doc.history.open = {
+            dragName: element.dataset.dragName,
+            dropTarget: null,
+            items: sessions.map(session => ({
+                element: session.element,
+                from: { left: session.initialLeft, top: session.initialTop, zIndex: session.initialZ, locked: false, snappedTo: session.initialSnappedTo || null },
+                to: {
+                    left: hypeDocument.getElementProperty(session.element, 'left'),
+                    top: hypeDocument.getElementProperty(session.element, 'top'),
+                    zIndex: hypeDocument.getElementProperty(session.element, 'z-index'),
+                    locked: session.element.classList.contains('hypeDragElementLocked'),
+                    snappedTo: null
+                }
+            }))
+        };
+    }
+
+    /**
+     * Adds an element that was not part of the drag, such as a displaced occupant, to the open history entry.
+     * @private
+     * @param {HypeDocument} hypeDocument - The Hype document object.
+     * @param {HTMLElement} element - The element about to change.
+     * @param {object} [from] - State overrides for the start state, if the element already moved.
+     */
+    function _addHistoryItem(hypeDocument, element, from) {
+        const doc = _getDocRegistry(hypeDocument);
+        const entry = doc.history.open;
+        if (!entry || entry.items.some(item => item.element === element)) return;
+        const state = {
+            left: hypeDocument.getElementProperty(element, 'left'),
+            top: hypeDocument.getElementProperty(element, 'top'),
+            zIndex: hypeDocument.getElementProperty(element, 'z-index'),
+            locked: element.classList.contains('hypeDragElementLocked'),
+            snappedTo: doc.snappedTo[element.dataset.dragName] || null
+        };
+        entry.items.push({ element: element, from: Object.assign({}, state, from), to: state });
+    }
+
+    /**
+     * Updates the end state of an element in the open history entry.
+     * @private
+     * @param {HypeDocument} hypeDocument - The Hype document object.
+     * @param {HTMLElement} element - The element that changed.
+     * @param {object} changes - The changed state properties.
+     */
+    function _updateHistoryEntry(hypeDocument, element, changes) {
+        const entry = _getDocRegistry(hypeDocument).history.open;
+        if (!entry) return;
+        const item = entry.items.find(candidate => candidate.element === element);
+        if (item) Object.assign(item.to, changes);
+    }
+
+    /**
+     * Closes the open history entry and pushes it onto the undo stack if anything changed.
+     * @private
+     * @param {object} doc - The document registry.
+     * @param {HTMLElement|null} dropTarget - The drop target of the finished drag.
+     */
+    function _closeHistoryEntry(doc, dropTarget) {
+        const entry = doc.history.open;
+        if (!entry) return;
+        doc.history.open = null;
+        entry.dropTarget = dropTarget;
+        const changed = entry.items.some(item => item.from.left !== item.to.left || item.from.top !== item.to.top ||
+            item.from.locked !== item.to.locked || item.from.snappedTo !== item.to.snappedTo);
+        if (!changed) return;
+        _pushHistoryEntry(doc, entry);
+    }
+
+    /**
+     * Pushes an entry onto the undo stack, clears the redo stack and applies the history limit.
+     * @private
+     * @param {object} doc - The document registry.
+     * @param {object} entry - The history entry.
+     */
+    function _pushHistoryEntry(doc, entry) {
+        doc.history.undo.push(entry);
+        doc.history.redo = [];
+        const limit = getDefault('historyLimit');
+        if (limit > 0 && doc.history.undo.length > limit) doc.history.undo.shift();
+    }
+
+    /**
+     * Records a new connection, and the connections it replaced, as a history entry.
+     * @private
+     * @param {object} doc - The document registry.
+     * @param {HTMLElement} source - The connection source.
+     * @param {HTMLElement} target - The connected drop target.
+     * @param {Array<object>} added - The connections that were added.
+     * @param {Array<object>} removed - The connections that were removed.
+     */
+    function _recordConnectionHistory(doc, source, target, added, removed) {
+        if (!_isHistoryEnabled(doc)) return;
+        const pair = connection => ({ source: connection.source, target: connection.target });
+        _pushHistoryEntry(doc, {
+            dragName: source.dataset.dragName,
+            dropTarget: target,
+            items: [],
+            connections: { added: added.map(pair), removed: removed.map(pair) }
+        });
+    }
+
+    /**
+     * Applies one side of a history entry to its elements.
+     * @private
+     * @param {HypeDocument} hypeDocument - The Hype document object.
+     * @param {object} entry - The history entry.
+     * @param {string} side - 'from' to undo, 'to' to redo.
+     * @param {number} duration - Animation duration.
+     * @param {string} timing - Animation timing function.
+     */
+    function _applyHistoryEntry(hypeDocument, entry, side, duration, timing) {
+        const doc = _getDocRegistry(hypeDocument);
+        entry.items.forEach(item => {
+            // Skip copies that were removed in the meantime
+            if (!item.element.isConnected) return;
+            const state = item[side];
+            const dragName = item.element.dataset.dragName;
+            hypeDocument.setElementProperty(item.element, 'left', state.left, duration, timing);
+            hypeDocument.setElementProperty(item.element, 'top', state.top, duration, timing);
+            hypeDocument.setElementProperty(item.element, 'z-index', state.zIndex);
+            item.element.setAttribute('data-initial-left', state.left);
+            item.element.setAttribute('data-initial-top', state.top);
+            if (state.locked) lock(hypeDocument, item.element); else unlock(hypeDocument, item.element);
+            if (state.snappedTo) doc.snappedTo[dragName] = state.snappedTo; else delete doc.snappedTo[dragName];
+        });
+        // Connection entries swap the lines they added for the ones they removed
+        if (entry.connections) {
+            const remove = side === 'from' ? entry.connections.added : entry.connections.removed;
+            const add = side === 'from' ? entry.connections.removed : entry.connections.added;
+            remove.forEach(pair => {
+                const connection = doc.connections.find(candidate => candidate.source === pair.source && candidate.target === pair.target);
+                if (connection) _removeConnection(hypeDocument, doc, connection);
+            });
+            add.forEach(pair => {
+                if (pair.source.isConnected && pair.target.isConnected) _addConnection(hypeDocument, doc, pair.source, pair.target);
+            });
+        }
+        _updateConnectorLines(hypeDocument, doc, duration);
+        _schedulePersist(hypeDocument);
+    }
+
+    /**
+     * Reverts the last recorded drag, animated with the snap-back defaults. Lock state is reverted too.
+     * @param {HypeDocument} hypeDocument - The Hype document object.
+     * @returns {boolean} True if a drag was undone.
+     */
+    function undo(hypeDocument) {
+        const doc = _getDocRegistry(hypeDocument);
+        const entry = doc.history.undo.pop();
+        if (!entry) return false;
+        const opts = getDefault();
+        _applyHistoryEntry(hypeDocument, entry, 'from', opts.snapBackDuration, opts.snapBackTiming);
+        doc.history.redo.push(entry);
+        return true;
+    }
+
+    /**
+     * Re-applies the last undone drag, animated with the snap-to defaults.
+     * @param {HypeDocument} hypeDocument - The Hype document object.
+     * @returns {boolean} True if a drag was redone.
+     */
+    function redo(hypeDocument) {
+        const doc = _getDocRegistry(hypeDocument);
+        const entry = doc.history.redo.pop();
+        if (!entry) return false;
+        const opts = getDefault();
+        _applyHistoryEntry(hypeDocument, entry, 'to', opts.snapToDuration, opts.snapToTiming);
+        doc.history.undo.push(entry);
+        return true;
+    }
+
+    /**
+     * Clears the undo and redo stacks.
+     * @param {HypeDocument} hypeDocument - The Hype document object.
+     */
+    function clearHistory(hypeDocument) {
+        const history = _getDocRegistry(hypeDocument).history;
+        history.undo = [];
+        history.redo = [];
+        history.open = null;
+    }
+
+    /**
+     * Starts recording the gestures fed through the handler, per drag name and with timestamps.
+     * @param {HypeDocument} hypeDocument - The Hype document object.
+     */
+    function startRecording(hypeDocument) {
+        _getDocRegistry(hypeDocument).recording = {
+            version: 1,
+            scene: hypeDocument.currentSceneName(),
+            startTime: Date.now(),
+            events: []
+        };
+    }
+
+    /**
+     * Stops recording and returns the recording.
+     * @param {HypeDocument} hypeDocument - The Hype document object.
+     * @returns {{version:number, scene:string, duration:number, events:Array<object>}|null} A JSON-serializable
+     *     recording with events of the form {t, dragName, phase, x, y}, or null if nothing was recording.
+     */
+    function stopRecording(hypeDocument) {
+        const doc = _getDocRegistry(hypeDocument);
+        const recording = doc.recording;
+        if (!recording) return null;
+        doc.recording = null;
+        return { version: recording.version, scene: recording.scene, duration: Date.now() - recording.startTime, events: recording.events };
+    }
+
+    /**
+     * Adds a gesture to the active recording.
+     * @private
+     * @param {object} doc - The document registry.
+     * @param {string} dragName - The drag name of the element receiving the gesture.
+     * @param {object} event - The Hype drag event object.
+     */
+    function _recordGesture(doc, dragName, event) {
+        const recording = doc.recording;
+        if (!recording || event.replay || event.autoScroll) return;
+        recording.events.push({
+            t: Date.now() - recording.startTime,
+            dragName: dragName,
+            phase: event.hypeGesturePhase,
+            x: event.hypeGestureXPosition,
+            y: event.hypeGestureYPosition
+        });
+    }
+
+    /**
+     * Replays a recording through the handler, so constraints, snapping and callbacks behave
+     * like in a live drag. Elements are found by drag name in the current scene.
      * @param {HypeDocument} hypeDocument - The Hype document object.
-     * @param {HTMLElement} element - The element being dragged.
-     * @param {object} event - The Hype drag event object.
+     * @param {object} recording - A recording returned by stopRecording.
+     * @param {object} [options] - Replay options.
+     * @param {number} [options.speed=1] - Playback speed factor.
+     * @param {Function} [options.onComplete] - Called with (hypeDocument) when the replay finished.
      */
-    function handler(hypeDocument, element, event) {
-        const doc = _getDocRegistry(hypeDocument);
-        const dragName = element.dataset.dragName;
-        if (!dragName) {
-            console.warn('HypeDragController: Draggable element is missing a "data-drag-name" attribute.', element);
-            return;
+    function replay(hypeDocument, recording, options) {
+        stopReplay(hypeDocument);
+        if (!recording || !Array.isArray(recording.events)) {
+            return console.warn('HypeDragController: replay needs a recording returned by stopRecording.');
+        }
+        if (recording.scene && recording.scene !== hypeDocument.currentSceneName()) {
+            console.warn('HypeDragController: Replaying a recording of scene "' + recording.scene + '" in scene "' + hypeDocument.currentSceneName() + '".');
         }
-        const finalOptions = getDefault();
 
-        if (event.hypeGesturePhase === 'start') {
-            // Always take the current position as the new drag baseline to avoid offset on repeated drags
-            const initialLeft = hypeDocument.getElementProperty(element, 'left');
-            const initialTop = hypeDocument.getElementProperty(element, 'top');
-            // Refresh cached attributes so snapBack (which uses doc.dragData) stays correct for this session
-            element.setAttribute('data-initial-left', initialLeft);
-            element.setAttribute('data-initial-top', initialTop);
+        const doc = _getDocRegistry(hypeDocument);
+        const opts = Object.assign({ speed: 1 }, options);
+        const speed = opts.speed > 0 ? opts.speed : 1;
+        const events = recording.events;
+        const session = { index: 0, timer: null, active: {}, startTime: Date.now() };
+        doc.replay = session;
 
-            doc.dragData[dragName] = { initialLeft: initialLeft, initialTop: initialTop, initialZ: hypeDocument.getElementProperty(element, 'z-index'), startX: event.hypeGestureXPosition, startY: event.hypeGestureYPosition, isActive: true };
-            if (finalOptions.bringToFront) { hypeDocument.setElementProperty(element, 'z-index', ++doc.zCounter); }
-            
-            // Execute onStart callback if available
-            const interaction = doc.interactionMap?.[dragName];
-            if (interaction && typeof interaction.onStart === 'function') {
-                const constraints = doc.constraints?.[dragName];
-                const metrics = _computeEventMetrics(hypeDocument, element, constraints, initialLeft, initialTop);
-                Object.assign(event, metrics);
-                interaction.onStart(hypeDocument, element, event);
+        function next() {
+            const elapsed = Date.now() - session.startTime;
+            while (session.index < events.length && events[session.index].t / speed <= elapsed) {
+                _replayGesture(hypeDocument, session, events[session.index++]);
             }
+            if (session.index < events.length) {
+                session.timer = setTimeout(next, events[session.index].t / speed - elapsed);
+                return;
+            }
+            doc.replay = null;
+            if (typeof opts.onComplete === 'function') opts.onComplete(hypeDocument);
         }
+        next();
+    }
 
-        if (event.hypeGesturePhase === 'move' && doc.dragData[dragName]) {
-            const data = doc.dragData[dragName];
-            let newLeft = data.initialLeft + (event.hypeGestureXPosition - data.startX);
-            let newTop = data.initialTop + (event.hypeGestureYPosition - data.startY);
+    /**
+     * Feeds one recorded gesture through the handler.
+     * @private
+     * @param {HypeDocument} hypeDocument - The Hype document object.
+     * @param {object} session - The replay session.
+     * @param {object} recorded - The recorded gesture.
+     */
+    function _replayGesture(hypeDocument, session, recorded) {
+        const sceneEl = hypeDocument.getElementById(hypeDocument.currentSceneId());
+        const element = sceneEl.querySelector('[data-drag-name="' + recorded.dragName + '"]');
+        if (!element) return;
+        if (recorded.phase === 'start') session.active[recorded.dragName] = element;
+        if (recorded.phase === 'end' || recorded.phase === 'cancel') delete session.active[recorded.dragName];
+        handler(hypeDocument, element, {
+            type: 'replay',
+            replay: true,
+            hypeGesturePhase: recorded.phase,
+            hypeGestureXPosition: recorded.x,
+            hypeGestureYPosition: recorded.y
+        });
+    }
 
-            // Apply constraints
-            const constraints = doc.constraints?.[dragName];
-            if (constraints) {
-                const result = _computeConstrainedPosition(
-                    hypeDocument,
-                    element,
-                    constraints,
-                    newLeft,
-                    newTop,
-                    /* axisBaselineLeft */ data.initialLeft,
-                    /* axisBaselineTop  */ data.initialTop
-                );
-                newLeft = result.left;
-                newTop = result.top;
-            }
+    /**
+     * Stops a running replay. Drags in progress are cancelled.
+     * @param {HypeDocument} hypeDocument - The Hype document object.
+     */
+    function stopReplay(hypeDocument) {
+        const doc = _getDocRegistry(hypeDocument);
+        const session = doc.replay;
+        if (!session) return;
+        doc.replay = null;
+        clearTimeout(session.timer);
+        Object.keys(session.active).forEach(dragName => {
+            handler(hypeDocument, session.active[dragName], { type: 'replay', replay: true, hypeGesturePhase: 'cancel' });
+        });
+    }
 
-            hypeDocument.setElementProperty(element, 'left', newLeft);
-            hypeDocument.setElementProperty(element, 'top', newTop);
+    /**
+     * Captures the state of all draggables in the current scene: position, z-index,
+     * lock status, the element each one was snapped to and where it was snapped from,
+     * and the connections drawn from connection sources.
+     * @param {HypeDocument} hypeDocument - The Hype document object.
+     * @returns {object} A JSON-serializable snapshot.
+     */
+    function saveState(hypeDocument) {
+        const doc = _getDocRegistry(hypeDocument);
+        const sceneEl = hypeDocument.getElementById(hypeDocument.currentSceneId());
+        const items = {};
+        const reference = target => target && sceneEl.contains(target) ? (target.dataset.dropTarget ? { dropTarget: target.dataset.dropTarget } : { id: target.id }) : null;
+        sceneEl.querySelectorAll('[data-drag-name]').forEach(element => {
+            const dragName = element.dataset.dragName;
+            const origin = doc.snapOrigins[dragName];
+            items[dragName] = {
+                left: hypeDocument.getElementProperty(element, 'left'),
+                top: hypeDocument.getElementProperty(element, 'top'),
+                zIndex: hypeDocument.getElementProperty(element, 'z-index'),
+                locked: element.classList.contains('hypeDragElementLocked'),
+                snappedTo: reference(doc.snappedTo[dragName]),
+                snapOrigin: origin ? { left: origin.left, top: origin.top, snappedTo: reference(origin.snappedTo) } : null
+            };
+        });
+        const connections = doc.connections.filter(connection => sceneEl.contains(connection.source)).map(connection => ({
+            source: connection.source.dataset.dragName,
+            target: reference(connection.target)
+        }));
+        return { version: 1, scene: hypeDocument.currentSceneName(), items: items, connections: connections };
+    }
 
-            // Execute onProgress callback if available
-            const interaction = doc.interactionMap?.[dragName];
-            if (interaction && typeof interaction.onProgress === 'function') {
-                const metrics = _computeEventMetrics(hypeDocument, element, constraints, newLeft, newTop);
-                Object.assign(event, metrics);
-                interaction.onProgress(hypeDocument, element, event);
+    /**
+     * Restores draggables of the current scene from a snapshot created by saveState.
+     * Drag names missing in the scene are ignored.
+     * @param {HypeDocument} hypeDocument - The Hype document object.
+     * @param {object} snapshot - The snapshot to restore.
+     */
+    function restoreState(hypeDocument, snapshot) {
+        if (!snapshot || !snapshot.items) return;
+        const doc = _getDocRegistry(hypeDocument);
+        const sceneEl = hypeDocument.getElementById(hypeDocument.currentSceneId());
+        const resolve = reference => {
+            if (reference && reference.dropTarget) return sceneEl.querySelector(`[data-drop-target="${reference.dropTarget}"]`);
+            if (reference && reference.id) return document.getElementById(reference.id);
+            return null;
+        };
+        Object.keys(snapshot.items).forEach(dragName => {
+            const element = sceneEl.querySelector(`[data-drag-name="${dragName}"]`);
+            if (!element) return;
+            const item = snapshot.items[dragName];
+            if (typeof item.left === 'number') hypeDocument.setElementProperty(element, 'left', item.left);
+            if (typeof item.top === 'number') hypeDocument.setElementProperty(element, 'top', item.top);
+            if (typeof item.zIndex === 'number') {
+                hypeDocument.setElementProperty(element, 'z-index', item.zIndex);
+                doc.zCounter = Math.max(doc.zCounter, item.zIndex);
             }
-        }
-
-        if ((event.hypeGesturePhase === 'end' || event.hypeGesturePhase === 'cancel') && doc.dragData[dragName] && doc.dragData[dragName].isActive) {
-            const data = doc.dragData[dragName];
-            data.isActive = false;
-            const dropTarget = _getDropTarget(element, hypeDocument);
-
-            // Add dropTarget to the event object to unify callback signatures
-            event.dropTarget = dropTarget;
+            element.setAttribute('data-initial-left', hypeDocument.getElementProperty(element, 'left'));
+            element.setAttribute('data-initial-top', hypeDocument.getElementProperty(element, 'top'));
+            if (item.locked) lock(hypeDocument, element); else unlock(hypeDocument, element);
 
-            const interaction = doc.interactionMap?.[dragName];
-            if (interaction && typeof interaction.onDrop === 'function') {
-                const constraints = doc.constraints?.[dragName];
-                const currentLeft = hypeDocument.getElementProperty(element, 'left');
-                const currentTop = hypeDocument.getElementProperty(element, 'top');
-                const metrics = _computeEventMetrics(hypeDocument, element, constraints, currentLeft, currentTop);
-                Object.assign(event, metrics);
-                interaction.onDrop(hypeDocument, element, event);
+            const snappedTo = resolve(item.snappedTo);
+            if (snappedTo) doc.snappedTo[dragName] = snappedTo; else delete doc.snappedTo[dragName];
+            if (item.snapOrigin) {
+                doc.snapOrigins[dragName] = { left: item.snapOrigin.left, top: item.snapOrigin.top, snappedTo: resolve(item.snapOrigin.snappedTo) };
+            } else {
+                delete doc.snapOrigins[dragName];
             }
+        });
 
-            setTimeout(() => { delete doc.dragData[dragName]; }, 50);
+        // Snapshots without connections leave the current lines alone
+        if (Array.isArray(snapshot.connections)) {
+            doc.connections.filter(connection => sceneEl.contains(connection.source))
+                .forEach(connection => _removeConnection(hypeDocument, doc, connection));
+            snapshot.connections.forEach(item => {
+                const source = sceneEl.querySelector(`[data-drag-name="${item.source}"]`);
+                const target = resolve(item.target);
+                if (source && target) _addConnection(hypeDocument, doc, source, target);
+            });
         }
+        _updateConnectorLines(hypeDocument, doc);
     }
-    
+
     /**
-     * Animates an element back to its initial position.
+     * Builds the localStorage key for the current document and scene.
+     * @private
      * @param {HypeDocument} hypeDocument - The Hype document object.
-     * @param {HTMLElement} element - The element to snap back.
+     * @param {string} [sceneName] - The scene name, defaults to the current scene.
+     * @returns {string} The storage key.
      */
-    function snapBack(hypeDocument, element) {
-        const doc = _getDocRegistry(hypeDocument);
-        const dragName = element.dataset.dragName;
-        if (!dragName) return;
-        const data = doc.dragData[dragName];
-        if (!data) return;
-        const opts = getDefault();
-        hypeDocument.setElementProperty(element, 'left', data.initialLeft, opts.snapBackDuration, opts.snapBackTiming);
-        hypeDocument.setElementProperty(element, 'top', data.initialTop, opts.snapBackDuration, opts.snapBackTiming);
-        if (opts.bringToFront) {
-            hypeDocument.setElementProperty(element, 'z-index', data.initialZ, opts.snapBackDuration, 'easeinout');
-        }
+    function _getPersistKey(hypeDocument, sceneName) {
+        return 'HypeDragController:' + hypeDocument.documentId() + ':' + (sceneName || hypeDocument.currentSceneName());
     }
 
     /**
-     * Snaps a dragged element to a destination element or selector.
+     * Writes the current scene's state to localStorage once running snap animations have settled.
+     * Does nothing unless the persist default is enabled.
+     * @private
      * @param {HypeDocument} hypeDocument - The Hype document object.
-     * @param {HTMLElement} draggedElement - The element that was dragged.
-     * @param {HTMLElement|string} destination - The destination element or a CSS selector for it.
      */
-    function snapTo(hypeDocument, draggedElement, destination) {
-        if (!draggedElement || !destination) return;
-        let destElement = null;
-        if (typeof destination === 'string') {
-            destElement = hypeDocument.getElementById(hypeDocument.currentSceneId()).querySelector(destination);
-            if (!destElement) { return console.warn('HypeDragController: snapTo selector "' + destination + '" did not find an element.'); }
-        } else if (typeof destination === 'object' && destination.id) {
-            destElement = destination;
-        } else { return console.warn('HypeDragController: snapTo destination must be an element or selector string.'); }
-
-        const opts = getDefault();
-        const destLeft = hypeDocument.getElementProperty(destElement, 'left');
-        const destTop = hypeDocument.getElementProperty(destElement, 'top');
-        hypeDocument.setElementProperty(draggedElement, 'left', destLeft, opts.snapToDuration, opts.snapToTiming);
-        hypeDocument.setElementProperty(draggedElement, 'top', destTop, opts.snapToDuration, opts.snapToTiming);
+    function _schedulePersist(hypeDocument) {
+        if (!getDefault('persist')) return;
+        const doc = _getDocRegistry(hypeDocument);
+        const sceneName = hypeDocument.currentSceneName();
+        const delay = Math.max(getDefault('snapToDuration'), getDefault('snapBackDuration')) * 1000 + 50;
+        clearTimeout(doc.persistTimeout);
+        doc.persistTimeout = setTimeout(() => {
+            // The scene may have changed while waiting
+            if (hypeDocument.currentSceneName() !== sceneName) return;
+            try {
+                localStorage.setItem(_getPersistKey(hypeDocument, sceneName), JSON.stringify(saveState(hypeDocument)));
+            } catch (e) {
+                console.warn('HypeDragController: Could not persist drag state.', e);
+            }
+        }, delay);
     }
 
     /**
-     * Locks a draggable element, preventing all pointer events on it and its children.
+     * Restores the current scene's state from localStorage if the persist default is enabled.
+     * @private
      * @param {HypeDocument} hypeDocument - The Hype document object.
-     * @param {HTMLElement} element - The element to lock.
      */
-    function lock(hypeDocument, element) { element.classList.add('hypeDragElementLocked'); }
-    
+    function _restorePersistedState(hypeDocument) {
+        if (!getDefault('persist')) return;
+        let snapshot = null;
+        try {
+            snapshot = JSON.parse(localStorage.getItem(_getPersistKey(hypeDocument)));
+        } catch (e) {
+            console.warn('HypeDragController: Could not read persisted drag state.', e);
+        }
+        if (snapshot) restoreState(hypeDocument, snapshot);
+    }
+
     /**
-     * Unlocks a draggable element, re-enabling pointer events.
+     * Removes the persisted state of a scene from localStorage.
      * @param {HypeDocument} hypeDocument - The Hype document object.
-     * @param {HTMLElement} element - The element to unlock.
+     * @param {string} [sceneName] - The scene name, defaults to the current scene.
      */
-    function unlock(hypeDocument, element) { element.classList.remove('hypeDragElementLocked'); }
+    function clearPersistedState(hypeDocument, sceneName) {
+        const doc = _getDocRegistry(hypeDocument);
+        clearTimeout(doc.persistTimeout);
+        try {
+            localStorage.removeItem(_getPersistKey(hypeDocument, sceneName));
+        } catch (e) {
+            console.warn('HypeDragController: Could not clear persisted drag state.', e);
+        }
+    }
 
     /**
      * Sets the interaction map for the current Hype document.
@@ -450,6 +4012,14 @@ if ("HypeDragController" in window === false) window['HypeDragController'] = (fu
      */
     function setInteractionMap(hypeDocument, map) { _getDocRegistry(hypeDocument).interactionMap = map; }
 
+    /**
+     * Sets the target map for the current Hype document.
+     * The map is keyed by data-drop-target names and defines hover callbacks for drop targets.
+     * @param {HypeDocument} hypeDocument - The Hype document object.
+     * @param {object} map - The target map object.
+     */
+    function setTargetMap(hypeDocument, map) { _getDocRegistry(hypeDocument).targetMap = map; }
+
     /**
      * Sets drag constraints for draggable elements.
      * Constraints limit where elements can be moved during dragging.
@@ -463,6 +4033,17 @@ if ("HypeDragController" in window === false) window['HypeDragController'] = (fu
      * @param {string} [constraints.axis] - Restrict movement to 'x' or 'y' axis only.
      * @param {string} [constraints.within] - CSS selector (e.g., '.gameArea') or 'parent' to restrict movement within.
      * @param {boolean} [constraints.autoSnap] - If true (or omitted and default allows), snap immediately.
+     * @param {object} [constraints.snap] - Grid or point snapping.
+     * @param {number|object|Array} [constraints.snap.grid] - Grid spacing, as a number or {x, y}.
+     * @param {number|object|Array} [constraints.snap.origin] - Grid origin, as {x, y}. Defaults to 0,0.
+     * @param {Array} [constraints.snap.points] - Explicit snap points as {x, y} or [x, y] (left/top values).
+     * @param {string} [constraints.snap.mode] - 'live' to snap while moving or 'release' (default) to animate on release.
+     * @param {boolean|object} [constraints.inertia] - Keep gliding after release, true or {friction, bounce, minVelocity}.
+     * @param {boolean|object} [constraints.autoScroll] - Scroll near container edges, true or {edge, speed}.
+     * @param {object|Array|string|HTMLElement} [constraints.path] - Keep the element's center on a circle or arc
+     *     ({center, radius, startAngle, endAngle}), a polyline (points or {points, closed}) or an SVG shape (element or selector).
+     * @param {Function} [constraints.constrain] - Custom hook (left, top, ctx) returning the constrained {left, top}.
+     * @param {boolean} [constraints.collide] - Treat other draggables as obstacles. Defaults to collideDraggables.
      */
     function setConstraints(hypeDocument, elements, constraints) {
         const doc = _getDocRegistry(hypeDocument);
@@ -548,7 +4129,8 @@ if ("HypeDragController" in window === false) window['HypeDragController'] = (fu
             currentLeft,
             currentTop,
             /* axisBaselineLeft */ currentLeft,
-            /* axisBaselineTop  */ currentTop
+            /* axisBaselineTop  */ currentTop,
+            /* applySnap */ true
         );
         const newLeft = result.left;
         const newTop = result.top;
@@ -608,6 +4190,65 @@ if ("HypeDragController" in window === false) window['HypeDragController'] = (fu
                 constraints.within = element.getAttribute('data-drag-within');
             }
 
+            // Snap constraint
+            const snap = {};
+            if (element.hasAttribute('data-drag-snap-grid')) {
+                snap.grid = _parseList(element.getAttribute('data-drag-snap-grid')).map(parseFloat);
+            }
+            if (element.hasAttribute('data-drag-snap-origin')) {
+                snap.origin = _parseList(element.getAttribute('data-drag-snap-origin')).map(parseFloat);
+            }
+            if (element.hasAttribute('data-drag-snap-points')) {
+                snap.points = element.getAttribute('data-drag-snap-points').split(';').map(point => _parseList(point).map(parseFloat));
+            }
+            if (element.hasAttribute('data-drag-snap-mode')) {
+                snap.mode = element.getAttribute('data-drag-snap-mode');
+            }
+            if (snap.grid || snap.points) {
+                constraints.snap = snap;
+            }
+
+            // Path constraint
+            if (element.hasAttribute('data-drag-path-radius')) {
+                constraints.path = {
+                    center: _parseList(element.getAttribute('data-drag-path-center') || '0,0').map(parseFloat),
+                    radius: parseFloat(element.getAttribute('data-drag-path-radius'))
+                };
+                if (element.hasAttribute('data-drag-path-arc')) {
+                    const arc = _parseList(element.getAttribute('data-drag-path-arc')).map(parseFloat);
+                    constraints.path.startAngle = arc[0];
+                    constraints.path.endAngle = arc[1];
+                }
+            } else if (element.hasAttribute('data-drag-path')) {
+                const path = element.getAttribute('data-drag-path');
+                // Anything but numeric point data is a selector, including plain tag names like "path"
+                constraints.path = !/^[\s\d.,;+-]+$/.test(path) ? path.trim() : {
+                    points: path.split(';').map(point => _parseList(point).map(parseFloat)),
+                    closed: element.getAttribute('data-drag-path-closed') === 'true'
+                };
+            }
+
+            // Auto scroll constraint
+            if (element.hasAttribute('data-drag-auto-scroll')) {
+                constraints.autoScroll = element.getAttribute('data-drag-auto-scroll') !== 'false';
+            }
+
+            // Collision constraint
+            if (element.hasAttribute('data-drag-collide')) {
+                constraints.collide = element.getAttribute('data-drag-collide') !== 'false';
+            }
+
+            // Inertia constraint
+            if (element.hasAttribute('data-drag-inertia') && element.getAttribute('data-drag-inertia') !== 'false') {
+                constraints.inertia = {};
+                if (element.hasAttribute('data-drag-inertia-friction')) {
+                    constraints.inertia.friction = parseFloat(element.getAttribute('data-drag-inertia-friction'));
+                }
+                if (element.hasAttribute('data-drag-inertia-bounce')) {
+                    constraints.inertia.bounce = parseFloat(element.getAttribute('data-drag-inertia-bounce'));
+                }
+            }
+
             // Only set constraints if any were found
             if (Object.keys(constraints).length > 0) {
                 doc.constraints[dragName] = constraints;
@@ -630,6 +4271,234 @@ if ("HypeDragController" in window === false) window['HypeDragController'] = (fu
         });
     }
 
+    /**
+     * Returns a human readable label for a draggable or drop target, used in announcements.
+     * @private
+     * @param {HTMLElement} element - The element to label.
+     * @returns {string} The aria-label, or the drag or drop target name.
+     */
+    function _getAccessibleLabel(element) {
+        if (!element) return '';
+        return element.getAttribute('aria-label') || element.dataset.dragName || element.dataset.dropTarget || '';
+    }
+
+    /**
+     * Announces a message through the document's ARIA live region, creating it on first use.
+     * @private
+     * @param {HypeDocument} hypeDocument - The Hype document object.
+     * @param {string} key - The key of the message template in the ariaMessages default.
+     * @param {object} values - Values for the {item} and {target} placeholders.
+     */
+    function _announce(hypeDocument, key, values) {
+        const template = (getDefault('ariaMessages') || {})[key];
+        if (!template) return;
+        const id = 'HypeDragControllerLive-' + hypeDocument.documentId();
+        let region = document.getElementById(id);
+        if (!region) {
+            region = document.createElement('div');
+            region.id = id;
+            region.className = 'hypeDragLiveRegion';
+            region.setAttribute('aria-live', 'assertive');
+            region.setAttribute('aria-atomic', 'true');
+            document.body.appendChild(region);
+        }
+        region.textContent = template.replace(/\{(\w+)\}/g, (match, name) => values[name] !== undefined ? values[name] : '');
+    }
+
+    /**
+     * Makes the draggables of the current scene reachable by keyboard and screen readers.
+     * @private
+     * @param {HypeDocument} hypeDocument - The Hype document object.
+     */
+    function _prepareKeyboardAccess(hypeDocument) {
+        if (!getDefault('keyboard')) return;
+        const sceneEl = hypeDocument.getElementById(hypeDocument.currentSceneId());
+        sceneEl.querySelectorAll('[data-drag-name]').forEach(element => {
+            if (!element.hasAttribute('tabindex')) element.setAttribute('tabindex', '0');
+            if (!element.hasAttribute('role')) element.setAttribute('role', 'button');
+            if (!element.hasAttribute('aria-roledescription')) element.setAttribute('aria-roledescription', 'draggable');
+        });
+    }
+
+    /**
+     * Stops touch scrolling and zooming on the draggables of the current scene, so the
+     * multi-touch backend receives all pointer events of a drag.
+     * @private
+     * @param {HypeDocument} hypeDocument - The Hype document object.
+     */
+    function _preparePointerAccess(hypeDocument) {
+        if (!getDefault('multiTouch')) return;
+        const sceneEl = hypeDocument.getElementById(hypeDocument.currentSceneId());
+        sceneEl.querySelectorAll('[data-drag-name]').forEach(element => {
+            element.style.touchAction = 'none';
+        });
+    }
+
+    /**
+     * Feeds a synthetic gesture phase for a keyboard drag through the regular handler,
+     * so constraints, callbacks and drop resolution behave exactly like pointer drags.
+     * @private
+     * @param {HypeDocument} hypeDocument - The Hype document object.
+     * @param {object} session - The keyboard session.
+     * @param {string} phase - The gesture phase.
+     * @returns {object} The synthetic event after the handler augmented it.
+     */
+    function _keyboardGesture(hypeDocument, session, phase) {
+        const event = {
+            type: 'keyboard',
+            hypeGesturePhase: phase,
+            hypeGestureXPosition: session.x,
+            hypeGestureYPosition: session.y
+        };
+        handler(hypeDocument, session.element, event);
+        return event;
+    }
+
+    /**
+     * Picks up a draggable for keyboard dragging. The virtual pointer starts at the element's center.
+     * @private
+     * @param {HypeDocument} hypeDocument - The Hype document object.
+     * @param {HTMLElement} element - The focused draggable.
+     */
+    function _startKeyboardDrag(hypeDocument, element) {
+        const doc = _getDocRegistry(hypeDocument);
+        const rect = _getElementRect(hypeDocument, element);
+        const session = { element: element, x: rect.left + rect.width / 2, y: rect.top + rect.height / 2, targetIndex: -1, hoverTarget: null };
+        session.startX = session.x;
+        session.startY = session.y;
+        doc.keyboard = session;
+        _keyboardGesture(hypeDocument, session, 'start');
+        element.classList.add('hypeDragElementGrabbed');
+        element.setAttribute('aria-pressed', 'true');
+        _announce(hypeDocument, 'pickUp', { item: _getAccessibleLabel(element) });
+    }
+
+    /**
+     * Moves the virtual pointer of the active keyboard drag and announces target changes.
+     * @private
+     * @param {HypeDocument} hypeDocument - The Hype document object.
+     * @param {number} dx - Horizontal distance in pixels.
+     * @param {number} dy - Vertical distance in pixels.
+     */
+    function _moveKeyboardDrag(hypeDocument, dx, dy) {
+        const doc = _getDocRegistry(hypeDocument);
+        const session = doc.keyboard;
+        session.x += dx;
+        session.y += dy;
+        const event = _keyboardGesture(hypeDocument, session, 'move');
+
+        const target = event.dropTarget || null;
+        if (target !== session.hoverTarget) {
+            session.hoverTarget = target;
+            const item = _getAccessibleLabel(session.element);
+            if (target) {
+                _announce(hypeDocument, 'over', { item: item, target: _getAccessibleLabel(target) });
+            } else {
+                _announce(hypeDocument, 'leave', { item: item });
+            }
+        }
+    }
+
+    /**
+     * Moves the active keyboard drag onto the next or previous drop target of the scene.
+     * @private
+     * @param {HypeDocument} hypeDocument - The Hype document object.
+     * @param {number} direction - 1 for the next target, -1 for the previous one.
+     */
+    function _cycleKeyboardTarget(hypeDocument, direction) {
+        const doc = _getDocRegistry(hypeDocument);
+        const session = doc.keyboard;
+        const sceneEl = hypeDocument.getElementById(hypeDocument.currentSceneId());
+        const targets = Array.prototype.filter.call(sceneEl.querySelectorAll('[data-drop-target]'), target => target !== session.element);
+        if (!targets.length) return;
+
+        session.targetIndex = (session.targetIndex + direction + targets.length) % targets.length;
+        const targetRect = _getElementRect(hypeDocument, targets[session.targetIndex]);
+        // A palette source hands the drag to its copy, and during a ghost drag the preview moves
+        const element = doc.cloneGestures[session.element.dataset.dragName] || session.element;
+        const data = doc.dragData[element.dataset.dragName];
+        const elementRect = _getElementRect(hypeDocument, (data && data.ghost) || element);
+
+        // Move the virtual pointer so the element's center lands on the target's center
+        _moveKeyboardDrag(hypeDocument,
+            (targetRect.left + targetRect.width / 2) - (elementRect.left + elementRect.width / 2),
+            (targetRect.top + targetRect.height / 2) - (elementRect.top + elementRect.height / 2));
+    }
+
+    /**
+     * Ends the active keyboard drag of a document, either dropping or cancelling it.
+     * Cancelling moves the element back to its starting point before the drag resolves.
+     * @private
+     * @param {HypeDocument} hypeDocument - The Hype document object.
+     * @param {boolean} cancel - True to cancel instead of dropping.
+     */
+    function _endKeyboardDrag(hypeDocument, cancel) {
+        const doc = _getDocRegistry(hypeDocument);
+        const session = doc.keyboard;
+        if (!session) return;
+        doc.keyboard = null;
+        const element = session.element;
+
+        // Key repeats are no throw gesture
+        const data = doc.dragData[element.dataset.dragName];
+        if (data) data.samples = [];
+
+        const event = _keyboardGesture(hypeDocument, session, cancel ? 'cancel' : 'end');
+        element.classList.remove('hypeDragElementGrabbed');
+        element.setAttribute('aria-pressed', 'false');
+
+        const item = _getAccessibleLabel(element);
+        const target = _getAccessibleLabel(event.dropTarget);
+        if (cancel) {
+            _announce(hypeDocument, 'cancel', { item: item });
+        } else if (event.accepted === false) {
+            _announce(hypeDocument, 'reject', { item: item, target: target });
+        } else if (event.dropTarget) {
+            _announce(hypeDocument, 'drop', { item: item, target: target });
+        } else {
+            _announce(hypeDocument, 'dropNone', { item: item });
+        }
+    }
+
+    /**
+     * Handles keyboard interaction for draggables of a Hype document:
+     * Space/Enter picks up and drops, arrow keys move (Shift for larger steps),
+     * Tab cycles through drop targets and Escape cancels.
+     * @private
+     * @param {HypeDocument} hypeDocument - The Hype document object.
+     * @param {KeyboardEvent} e - The keydown event.
+     */
+    function _handleKeyDown(hypeDocument, e) {
+        if (!getDefault('keyboard')) return;
+        const doc = _getDocRegistry(hypeDocument);
+        const session = doc.keyboard;
+        const element = e.target && e.target.closest ? e.target.closest('[data-drag-name]') : null;
+        const sceneEl = hypeDocument.getElementById(hypeDocument.currentSceneId());
+
+        if (!session) {
+            if (!element || !sceneEl.contains(element) || element.classList.contains('hypeDragElementLocked')) return;
+            if (e.key === ' ' || e.key === 'Enter') {
+                e.preventDefault();
+                _startKeyboardDrag(hypeDocument, element);
+            }
+            return;
+        }
+
+        const step = getDefault('keyboardStep') * (e.shiftKey ? 5 : 1);
+        switch (e.key) {
+            case 'ArrowLeft': _moveKeyboardDrag(hypeDocument, -step, 0); break;
+            case 'ArrowRight': _moveKeyboardDrag(hypeDocument, step, 0); break;
+            case 'ArrowUp': _moveKeyboardDrag(hypeDocument, 0, -step); break;
+            case 'ArrowDown': _moveKeyboardDrag(hypeDocument, 0, step); break;
+            case 'Tab': _cycleKeyboardTarget(hypeDocument, e.shiftKey ? -1 : 1); break;
+            case ' ':
+            case 'Enter': _endKeyboardDrag(hypeDocument, false); break;
+            case 'Escape': _endKeyboardDrag(hypeDocument, true); break;
+            default: return;
+        }
+        e.preventDefault();
+    }
+
     /**
      * Resets all drag-related state for a scene - locks, cached positions, visual styling
      * @param {HypeDocument} hypeDocument - The Hype document object.
@@ -640,6 +4509,21 @@ if ("HypeDragController" in window === false) window['HypeDragController'] = (fu
             sceneElement = hypeDocument.getElementById(hypeDocument.currentSceneId());
         }
         
+        // Remove copies created from palette sources
+        sceneElement.querySelectorAll('[data-drag-clone-of]').forEach(clone => _removeClone(hypeDocument, _getDocRegistry(hypeDocument), clone));
+        _getDocRegistry(hypeDocument).cloneGestures = {};
+
+        // Remove connector lines drawn from sources of the scene
+        _getDocRegistry(hypeDocument).connections.filter(connection => sceneElement.contains(connection.source))
+            .forEach(connection => _removeConnection(hypeDocument, _getDocRegistry(hypeDocument), connection));
+
+        // Drop lines that are still being drawn from sources of the scene
+        const connecting = _getDocRegistry(hypeDocument).connecting;
+        Object.keys(connecting).filter(dragName => sceneElement.contains(connecting[dragName].source)).forEach(dragName => {
+            connecting[dragName].line.remove();
+            delete connecting[dragName];
+        });
+
         // Clear all drag locks AND data attributes
         const allDraggables = sceneElement.querySelectorAll('[data-drag-name]');
         allDraggables.forEach(el => {
@@ -647,10 +4531,28 @@ if ("HypeDragController" in window === false) window['HypeDragController'] = (fu
             // Clear cached position data attributes
             el.removeAttribute('data-initial-left');
             el.removeAttribute('data-initial-top');
+            // Clear check marks
+            [getDefault('answerCorrectClass'), getDefault('answerIncorrectClass')].forEach(className => {
+                if (className) el.classList.remove(className);
+            });
         });
         
+        // Clear hover styling
+        const activeClass = getDefault('dropTargetActiveClass');
+        if (activeClass) {
+            sceneElement.querySelectorAll('.' + activeClass).forEach(el => el.classList.remove(activeClass));
+        }
+
         // Clear interaction data
         _getDocRegistry(hypeDocument).interactionMap = {};
+        _getDocRegistry(hypeDocument).targetMap = {};
+        clearSelection(hypeDocument);
+        clearHistory(hypeDocument);
+        _getDocRegistry(hypeDocument).snappedTo = {};
+        _getDocRegistry(hypeDocument).snapOrigins = {};
+        _getDocRegistry(hypeDocument).answers = {};
+        _getDocRegistry(hypeDocument).checkOptions = {};
+        _getDocRegistry(hypeDocument).checkComplete = false;
         if (hypeDocument.customData) { 
             hypeDocument.customData.gameState = {}; 
         }
@@ -667,17 +4569,62 @@ if ("HypeDragController" in window === false) window['HypeDragController'] = (fu
         _injectStyle();
         hypeDocument.drag = {
             handler: handler.bind(null, hypeDocument),
+            on: on.bind(null, hypeDocument),
+            off: off.bind(null, hypeDocument),
             snapBack: snapBack.bind(null, hypeDocument),
             snapTo: snapTo.bind(null, hypeDocument),
             autoSnap: function(element) { _applyAutoSnap(hypeDocument, element); },
             lock: lock.bind(null, hypeDocument),
             unlock: unlock.bind(null, hypeDocument),
+            select: select.bind(null, hypeDocument),
+            deselect: deselect.bind(null, hypeDocument),
+            clearSelection: clearSelection.bind(null, hypeDocument),
+            getSelection: getSelection.bind(null, hypeDocument),
+            startRecording: startRecording.bind(null, hypeDocument),
+            stopRecording: stopRecording.bind(null, hypeDocument),
+            replay: replay.bind(null, hypeDocument),
+            stopReplay: stopReplay.bind(null, hypeDocument),
+            saveState: saveState.bind(null, hypeDocument),
+            restoreState: restoreState.bind(null, hypeDocument),
+            clearPersistedState: clearPersistedState.bind(null, hypeDocument),
+            getOccupants: getOccupants.bind(null, hypeDocument),
+            getConnections: getConnections.bind(null, hypeDocument),
+            disconnect: disconnect.bind(null, hypeDocument),
+            setAnswers: setAnswers.bind(null, hypeDocument),
+            check: check.bind(null, hypeDocument),
+            clearMarks: clearMarks.bind(null, hypeDocument),
+            enableReporting: enableReporting.bind(null, hypeDocument),
+            disableReporting: disableReporting.bind(null, hypeDocument),
+            getClones: getClones.bind(null, hypeDocument),
+            getTargetOf: getTargetOf.bind(null, hypeDocument),
+            enableHistory: enableHistory.bind(null, hypeDocument),
+            undo: undo.bind(null, hypeDocument),
+            redo: redo.bind(null, hypeDocument),
+            clearHistory: clearHistory.bind(null, hypeDocument),
+            canUndo: function() { return _getDocRegistry(hypeDocument).history.undo.length > 0; },
+            canRedo: function() { return _getDocRegistry(hypeDocument).history.redo.length > 0; },
             setInteractionMap: setInteractionMap.bind(null, hypeDocument),
+            setTargetMap: setTargetMap.bind(null, hypeDocument),
             setConstraints: setConstraints.bind(null, hypeDocument),
             resetState: resetDragState.bind(null, hypeDocument)
         };
         hypeDocument.customData.gameState = {};
 
+        // Keyboard access is delegated from the document container
+        const container = document.getElementById(hypeDocument.documentId()) || document;
+        container.addEventListener('keydown', function(e) { _handleKeyDown(hypeDocument, e); });
+        container.addEventListener('focusout', function(e) {
+            const session = _getDocRegistry(hypeDocument).keyboard;
+            if (session && e.target === session.element) _endKeyboardDrag(hypeDocument, true);
+        });
+
+        // The multi-touch backend follows every pointer that goes down on a draggable
+        container.addEventListener('pointerdown', function(e) {
+            if (!getDefault('multiTouch') || !e.target.closest) return;
+            const sceneEl = hypeDocument.getElementById(hypeDocument.currentSceneId());
+            const element = e.target.closest('[data-drag-name]');
+            if (element && sceneEl && sceneEl.contains(element)) _trackPointer(hypeDocument, element, e);
+        });
     }
 
     /**
@@ -689,6 +4636,9 @@ if ("HypeDragController" in window === false) window['HypeDragController'] = (fu
      */
     function HypeScenePrepareForDisplay(hypeDocument, element, event) {
         _applyDataAttributeConstraints(hypeDocument);
+        _prepareKeyboardAccess(hypeDocument);
+        _preparePointerAccess(hypeDocument);
+        _restorePersistedState(hypeDocument);
     }
 
     /**
@@ -699,6 +4649,19 @@ if ("HypeDragController" in window === false) window['HypeDragController'] = (fu
      * @param {object} event - The event object.
      */
     function HypeSceneUnload(hypeDocument, element, event) {
+        // Replays and history entries refer to elements of the scene being left
+        stopReplay(hypeDocument);
+        clearHistory(hypeDocument);
+
+        // Throws that are still gliding would keep moving elements of the scene being left
+        const doc = _getDocRegistry(hypeDocument);
+        Object.keys(doc.dragData).forEach(dragName => {
+            const data = doc.dragData[dragName];
+            if (!data.glideFrame) return;
+            cancelAnimationFrame(data.glideFrame);
+            data.glideFrame = null;
+            delete doc.dragData[dragName];
+        });
         if (getDefault('resetOnSceneUnload')) {
             resetDragState(hypeDocument, element);
         }
@@ -1,21 +1,138 @@
 /*
- Hype Drag Controller v1.4.2
+ Hype Drag Controller v1.24.0
  Copyright (2024) Max Ziebell, MIT License
 */
-'use strict';"HypeDragController"in window===!1&&(window.HypeDragController=function(){function q(a){return a?t[a]:t}function E(){if(!document.getElementById("HypeDragControllerStyles")){var a=document.createElement("style");a.id="HypeDragControllerStyles";a.innerHTML=".hypeDragElementLocked, .hypeDragElementLocked * { pointer-events: none !important; }";document.head.appendChild(a)}}function r(a){a=a.documentId();u[a]||(u[a]={dragData:{},interactionMap:{},constraints:{},zCounter:1E4});return u[a]}
-function F(a,c){const b=c.getElementById(c.currentSceneId()).querySelectorAll("[data-drop-target]"),d=c.getElementProperty(a,"left"),e=c.getElementProperty(a,"top"),f=c.getElementProperty(a,"width"),g=c.getElementProperty(a,"height");let k=null,h=0;for(let n=0;n<b.length;n++){const m=b[n];if(m===a)continue;var l=c.getElementProperty(m,"left");const p=c.getElementProperty(m,"top"),x=c.getElementProperty(m,"width"),y=c.getElementProperty(m,"height");d<l+x&&d+f>l&&e<p+y&&e+g>p&&(l=Math.max(0,Math.min(d+
-f,l+x)-Math.max(d,l))*Math.max(0,Math.min(e+g,p+y)-Math.max(e,p)),l>h&&(h=l,k=m))}return k}function z(a,c,b){let d;if(c==="parent"){var e=b.getElementById(b.currentSceneId());d=a.parentElement.closest(".HYPE_element")||e}else if(typeof c==="string"){if(d=b.getElementById(b.currentSceneId()).querySelector(c),!d)return console.warn('HypeDragController: Within selector "'+c+'" not found.',a),null}else return console.warn('HypeDragController: Invalid within specification. Must be a CSS selector or "parent".',
-a),null;e=b.getElementProperty(d,"width");const f=b.getElementProperty(d,"height"),g=b.getElementProperty(a,"width");a=b.getElementProperty(a,"height");if(c==="parent")return{minX:0,maxX:e-g,minY:0,maxY:f-a};c=b.getElementProperty(d,"left");b=b.getElementProperty(d,"top");return{minX:c,maxX:c+e-g,minY:b,maxY:b+f-a}}function A(a,c,b,d,e,f,g){if(!b)return{left:d,top:e};b.minX!==void 0&&(d=Math.max(d,b.minX));b.maxX!==void 0&&(d=Math.min(d,b.maxX));b.minY!==void 0&&(e=Math.max(e,b.minY));b.maxY!==void 0&&
-(e=Math.min(e,b.maxY));b.axis==="x"&&(e=g);b.axis==="y"&&(d=f);b.within&&(a=z(c,b.within,a))&&(d=Math.max(a.minX,Math.min(d,a.maxX)),e=Math.max(a.minY,Math.min(e,a.maxY)));return{left:d,top:e}}function v(a,c,b,d,e){function f(n,m,p){if(typeof m!=="number"||typeof p!=="number"||!(p>m))return null;n=(n-m)/(p-m);return n<=0?0:n>=1?1:n}let g,k,h,l;if(b&&(typeof b.minX==="number"&&typeof b.maxX==="number"&&(g=b.minX,k=b.maxX),typeof b.minY==="number"&&typeof b.maxY==="number"&&(h=b.minY,l=b.maxY),(g===
-void 0||k===void 0||h===void 0||l===void 0)&&b.within&&(a=z(c,b.within,a)))){if(g===void 0||k===void 0)g=a.minX,k=a.maxX;if(h===void 0||l===void 0)h=a.minY,l=a.maxY}d=f(d,g,k);e=f(e,h,l);return{factorX:d,factorY:e,midpointX:d==null?null:(d-.5)*2,midpointY:e==null?null:(e-.5)*2,percentX:d==null?null:d*100,percentY:e==null?null:e*100}}function G(a,c,b){const d=r(a),e=c.dataset.dragName;if(e){var f=q();if(b.hypeGesturePhase==="start"){var g=a.getElementProperty(c,"left"),k=a.getElementProperty(c,"top");
-c.setAttribute("data-initial-left",g);c.setAttribute("data-initial-top",k);d.dragData[e]={initialLeft:g,initialTop:k,initialZ:a.getElementProperty(c,"z-index"),startX:b.hypeGestureXPosition,startY:b.hypeGestureYPosition,isActive:!0};f.bringToFront&&a.setElementProperty(c,"z-index",++d.zCounter);(f=d.interactionMap?.[e])&&typeof f.onStart==="function"&&(g=v(a,c,d.constraints?.[e],g,k),Object.assign(b,g),f.onStart(a,c,b))}if(b.hypeGesturePhase==="move"&&d.dragData[e]){var h=d.dragData[e];g=h.initialLeft+
-(b.hypeGestureXPosition-h.startX);f=h.initialTop+(b.hypeGestureYPosition-h.startY);if(k=d.constraints?.[e])f=A(a,c,k,g,f,h.initialLeft,h.initialTop),g=f.left,f=f.top;a.setElementProperty(c,"left",g);a.setElementProperty(c,"top",f);(h=d.interactionMap?.[e])&&typeof h.onProgress==="function"&&(g=v(a,c,k,g,f),Object.assign(b,g),h.onProgress(a,c,b))}(b.hypeGesturePhase==="end"||b.hypeGesturePhase==="cancel")&&d.dragData[e]&&d.dragData[e].isActive&&(d.dragData[e].isActive=!1,g=F(c,a),b.dropTarget=g,(g=
-d.interactionMap?.[e])&&typeof g.onDrop==="function"&&(k=d.constraints?.[e],f=a.getElementProperty(c,"left"),h=a.getElementProperty(c,"top"),k=v(a,c,k,f,h),Object.assign(b,k),g.onDrop(a,c,b)),setTimeout(()=>{delete d.dragData[e]},50))}else console.warn('HypeDragController: Draggable element is missing a "data-drag-name" attribute.',c)}function H(a,c){var b=r(a),d=c.dataset.dragName;d&&(b=b.dragData[d])&&(d=q(),a.setElementProperty(c,"left",b.initialLeft,d.snapBackDuration,d.snapBackTiming),a.setElementProperty(c,
-"top",b.initialTop,d.snapBackDuration,d.snapBackTiming),d.bringToFront&&a.setElementProperty(c,"z-index",b.initialZ,d.snapBackDuration,"easeinout"))}function I(a,c,b){if(c&&b){if(typeof b==="string"){var d=a.getElementById(a.currentSceneId()).querySelector(b);if(!d)return console.warn('HypeDragController: snapTo selector "'+b+'" did not find an element.')}else if(typeof b==="object"&&b.id)d=b;else return console.warn("HypeDragController: snapTo destination must be an element or selector string.");
-b=q();var e=a.getElementProperty(d,"left");d=a.getElementProperty(d,"top");a.setElementProperty(c,"left",e,b.snapToDuration,b.snapToTiming);a.setElementProperty(c,"top",d,b.snapToDuration,b.snapToTiming)}}function J(a,c){c.classList.add("hypeDragElementLocked")}function B(a,c){c.classList.remove("hypeDragElementLocked")}function K(a,c){r(a).interactionMap=c}function L(a,c,b){const d=r(a);Array.isArray(c)?c.forEach(e=>{C(a,d,e,b)}):C(a,d,c,b)}function C(a,c,b,d){let e,f;if(typeof b==="string"){if(e=
-b,f=a.getElementById(a.currentSceneId()).querySelector(`[data-drag-name="${e}"]`),!f){console.warn(`HypeDragController: No element found with data-drag-name="${e}".`,b);return}}else if(f=b,e=b.dataset.dragName,!e){console.warn('HypeDragController: Cannot set constraints on element without "data-drag-name" attribute.',b);return}c.constraints[e]=d||{};(d&&Object.prototype.hasOwnProperty.call(d,"autoSnap")?d.autoSnap:q("autoSnap"))&&setTimeout(()=>{w(a,f)},0)}function w(a,c){var b=r(a),d=c.dataset.dragName;
-if(d){var e=b.constraints?.[d];if(e){b=a.getElementProperty(c,"left");d=a.getElementProperty(c,"top");var f=A(a,c,e,b,d,b,d);e=f.left;f=f.top;if(e!==b||f!==d)a.setElementProperty(c,"left",e),a.setElementProperty(c,"top",f),c.setAttribute("data-initial-left",e),c.setAttribute("data-initial-top",f)}}}function M(a){const c=r(a),b=a.getElementById(a.currentSceneId()).querySelectorAll("[data-drag-name]"),d=q("autoSnap");b.forEach(e=>{var f=e.dataset.dragName;const g={};e.hasAttribute("data-drag-min-x")&&
-(g.minX=parseFloat(e.getAttribute("data-drag-min-x")));e.hasAttribute("data-drag-max-x")&&(g.maxX=parseFloat(e.getAttribute("data-drag-max-x")));e.hasAttribute("data-drag-min-y")&&(g.minY=parseFloat(e.getAttribute("data-drag-min-y")));e.hasAttribute("data-drag-max-y")&&(g.maxY=parseFloat(e.getAttribute("data-drag-max-y")));e.hasAttribute("data-drag-axis")&&(g.axis=e.getAttribute("data-drag-axis"));e.hasAttribute("data-drag-within")&&(g.within=e.getAttribute("data-drag-within"));Object.keys(g).length>
-0&&(c.constraints[f]=g);f=d;e.hasAttribute("data-drag-auto-snap")?f=e.getAttribute("data-drag-auto-snap")==="true":e.hasAttribute("data-drag-autosnap")&&(f=e.getAttribute("data-drag-autosnap")==="true");f&&Object.keys(g).length>0&&setTimeout(()=>{w(a,e)},0)})}function D(a,c){c||=a.getElementById(a.currentSceneId());c.querySelectorAll("[data-drag-name]").forEach(b=>{B(a,b);b.removeAttribute("data-initial-left");b.removeAttribute("data-initial-top")});r(a).interactionMap={};a.customData&&(a.customData.gameState=
-{})}let t={bringToFront:!0,snapBackDuration:.4,snapBackTiming:"easeinout",snapToDuration:.3,snapToTiming:"easeout",resetOnSceneUnload:!1,autoSnap:!1};const u={};"HYPE_eventListeners"in window===!1&&(window.HYPE_eventListeners=[]);window.HYPE_eventListeners.push({type:"HypeDocumentLoad",callback:function(a,c,b){E();a.drag={handler:G.bind(null,a),snapBack:H.bind(null,a),snapTo:I.bind(null,a),autoSnap:function(d){w(a,d)},lock:J.bind(null,a),unlock:B.bind(null,a),setInteractionMap:K.bind(null,a),setConstraints:L.bind(null,
-a),resetState:D.bind(null,a)};a.customData.gameState={}}});window.HYPE_eventListeners.push({type:"HypeScenePrepareForDisplay",callback:function(a,c,b){M(a)}});window.HYPE_eventListeners.push({type:"HypeSceneUnload",callback:function(a,c,b){q("resetOnSceneUnload")&&D(a,c)}});return{version:"1.4.2",setDefault:function(a,c){typeof a==="object"?t=Object.assign(t,a):t[a]=c},getDefault:q}}());
+"HypeDragController"in window===!1&&(window.HypeDragController=function(){function w(a){return a?R[a]:R}function kb(){if(!document.getElementById("HypeDragControllerStyles")){var a=document.createElement("style");a.id="HypeDragControllerStyles";a.innerHTML=".hypeDragElementLocked, .hypeDragElementLocked * { pointer-events: none !important; }.hypeDragLiveRegion { position: absolute !important; width: 1px; height: 1px; margin: -1px; padding: 0; border: 0; overflow: hidden; clip: rect(0 0 0 0); white-space: nowrap; }.hypeDragElementGrabbed { outline: 2px dashed currentColor; outline-offset: 2px; }.hypeDragConnectors { position: absolute; left: 0; top: 0; width: 100%; height: 100%; overflow: visible; pointer-events: none; z-index: 100000; }.hypeDragConnector { stroke: currentColor; stroke-width: 3; stroke-linecap: round; pointer-events: stroke; cursor: pointer; }.hypeDragConnectorActive { stroke-dasharray: 6 6; pointer-events: none; }";
+document.head.appendChild(a)}}function r(a){a=a.documentId();ja[a]||(ja[a]={dragData:{},interactionMap:{},targetMap:{},constraints:{},selection:[],snappedTo:{},snapOrigins:{},history:{undo:[],redo:[],open:null},answers:{},checkOptions:{},checkComplete:!1,cloneGestures:{},cloneCounter:0,connections:[],connecting:{},listeners:{},reporter:null,recording:null,replay:null,zCounter:1E4});return ja[a]}function S(a,b){a=a.getElementById(a.currentSceneId());return(b=b.parentElement?b.parentElement.closest(".HYPE_element"):
+null)&&b!==a&&a.contains(b)?b:null}function ba(a,b){if(!a)return b/2;if(a==="left"||a==="top")return 0;if(a==="right"||a==="bottom")return b;if(a==="center")return b/2;var c=parseFloat(a);return isNaN(c)?b/2:a.indexOf("%")!==-1?b*c/100:c}function T(a,b,c,d){var e=a.getElementProperty(b,"left")||0,f=a.getElementProperty(b,"top")||0,g=a.getElementProperty(b,"width")||0,h=a.getElementProperty(b,"height")||0,k=parseFloat(a.getElementProperty(b,"rotateZ"))||0,l=parseFloat(a.getElementProperty(b,"scaleX"));
+a=parseFloat(a.getElementProperty(b,"scaleY"));isNaN(l)&&(l=1);isNaN(a)&&(a=1);if(!k&&l===1&&a===1)return{x:e+c,y:f+d};b=(b.style.transformOrigin||"").split(" ");g=ba(b[0],g);h=ba(b[1],h);b=k*Math.PI/180;k=Math.cos(b);b=Math.sin(b);c=(c-g)*l;d=(d-h)*a;return{x:e+g+c*k-d*b,y:f+h+c*b+d*k}}function U(a,b,c,d){for(c={x:c,y:d};b;)if(c=T(a,b,c.x,c.y),b=S(a,b))c.x-=b.scrollLeft||0,c.y-=b.scrollTop||0;return c}function ca(a,b,c,d){var e=[];for(b=S(a,b);b;)e.unshift(b),b=S(a,b);var f={x:c,y:d};e.forEach(g=>
+{{var h=f.x,k=f.y;let p=a.getElementProperty(g,"left")||0,u=a.getElementProperty(g,"top")||0;var l=a.getElementProperty(g,"width")||0,m=a.getElementProperty(g,"height")||0,q=parseFloat(a.getElementProperty(g,"rotateZ"))||0;let t=parseFloat(a.getElementProperty(g,"scaleX")),v=parseFloat(a.getElementProperty(g,"scaleY"));isNaN(t)&&(t=1);isNaN(v)&&(v=1);if(q||t!==1||v!==1){var n=(g.style.transformOrigin||"").split(" ");l=ba(n[0],l);n=ba(n[1],m);m=q*Math.PI/180;q=Math.cos(m);m=Math.sin(m);h=h-p-l;k=k-
+u-n;f={x:l+(t?(h*q+k*m)/t:0),y:n+(v?(k*q-h*m)/v:0)}}else f={x:h-p,y:k-u}}f.x+=g.scrollLeft||0;f.y+=g.scrollTop||0});return f}function Aa(a,b,c){return B(D(a,c).map(d=>ca(a,b,d.x,d.y)))}function D(a,b){var c=a.getElementProperty(b,"width")||0,d=a.getElementProperty(b,"height")||0;return[U(a,b,0,0),U(a,b,c,0),U(a,b,c,d),U(a,b,0,d)]}function B(a){var b=a.map(e=>e.x);a=a.map(e=>e.y);var c=Math.min.apply(null,b),d=Math.min.apply(null,a);return{left:c,top:d,width:Math.max.apply(null,b)-c,height:Math.max.apply(null,
+a)-d}}function Ba(a,b){var c=a.getElementProperty(b,"width")||0,d=a.getElementProperty(b,"height")||0;c=B([T(a,b,0,0),T(a,b,c,0),T(a,b,c,d),T(a,b,0,d)]);return{x:c.left-(a.getElementProperty(b,"left")||0),y:c.top-(a.getElementProperty(b,"top")||0),width:c.width,height:c.height}}function I(a,b,c,d){var e=b.getElementById(b.currentSceneId()).querySelectorAll("[data-drop-target]"),f=r(b).interactionMap?.[a.dataset.dragName];f=f&&f.dropDetection!==void 0?f.dropDetection:void 0;f===void 0&&a.hasAttribute("data-drop-detection")&&
+(f={mode:a.getAttribute("data-drop-detection")},a.hasAttribute("data-drop-min-ratio")&&(f.minRatio=parseFloat(a.getAttribute("data-drop-min-ratio"))));f===void 0&&a.hasAttribute("data-drag-connect-source")&&(f="pointer");f===void 0&&(f=w("dropDetection"));typeof f==="string"&&(f={mode:f});var g=f&&["overlap","pointer","center"].indexOf(f.mode)!==-1?f.mode:"overlap";f=f&&typeof f.minRatio==="number"&&!isNaN(f.minRatio)?f.minRatio:0;d=B(D(b,d||a));var h=null;if(g==="pointer"&&c)h=c;else if(g==="center"||
+g==="pointer")h={x:d.left+d.width/2,y:d.top+d.height/2};c=null;g=0;for(let q=0;q<e.length;q++){let n=e[q];if(n===a)continue;var k=D(b,n),l=B(k);if(h){a:{let p=0;for(let u=0;u<k.length;u++){var m=k[u];let t=k[(u+1)%k.length];m=(t.x-m.x)*(h.y-m.y)-(t.y-m.y)*(h.x-m.x);if(m!==0)if(p===0)p=m>0?1:-1;else if((m>0?1:-1)!==p){k=!1;break a}}k=!0}k&&(l=1/Math.max(1,l.width*l.height),l>g&&(g=l,c=n))}else if(d.left<l.left+l.width&&d.left+d.width>l.left&&d.top<l.top+l.height&&d.top+d.height>l.top){k=Math.max(0,
+Math.min(d.left+d.width,l.left+l.width)-Math.max(d.left,l.left))*Math.max(0,Math.min(d.top+d.height,l.top+l.height)-Math.max(d.top,l.top));if(f>0&&(l=Math.min(d.width*d.height,l.width*l.height),!(l>0)||k/l<f))continue;k>g&&(g=k,c=n)}}return c}function Ca(a){a={"top-left":[0,0],top:[.5,0],"top-right":[1,0],left:[0,.5],center:[.5,.5],right:[1,.5],"bottom-left":[0,1],bottom:[.5,1],"bottom-right":[1,1]}[a]||C(a).map(parseFloat);return a.length!==2||isNaN(a[0])||isNaN(a[1])?{x:0,y:0}:{x:a[0],y:a[1]}}function Da(a,
+b,c){var d=Ca(c.getAttribute("data-drop-anchor")||w("dropAnchor"));c=B(D(a,c));var e=B(D(a,b));e=ca(a,b,e.left+d.x*e.width,e.top+d.y*e.height);d=ca(a,b,c.left+d.x*c.width,c.top+d.y*c.height);return{left:(a.getElementProperty(b,"left")||0)+d.x-e.x,top:(a.getElementProperty(b,"top")||0)+d.y-e.y}}function ka(a,b,c,d){var e=a.getElementById(a.currentSceneId()),f=d||c,g=B(D(a,f)),h=b.interactionMap?.[c.dataset.dragName],k=w("magnetRadius"),l=null;e.querySelectorAll("[data-drop-target]").forEach(m=>{if(m!==
+c&&m!==f){var q=m.hasAttribute("data-drop-magnet")?parseFloat(m.getAttribute("data-drop-magnet")):k;if(q>0&&V(a,c,m,h)!==!1){var n=B(D(a,m)),p=Math.max(0,n.left-(g.left+g.width),g.left-(n.left+n.width));n=Math.max(0,n.top-(g.top+g.height),g.top-(n.top+n.height));p=Math.sqrt(p*p+n*n);p>q||l&&p>=l.distance||(l={target:m,distance:p,radius:q})}}});if(!l)return null;b=l.target.hasAttribute("data-drop-magnet-strength")?parseFloat(l.target.getAttribute("data-drop-magnet-strength")):w("magnetStrength");d=
+Da(a,f,l.target);return Object.assign(l,{strength:Math.max(0,Math.min(1,b)),left:d.left,top:d.top})}function Ea(a,b,c){var d=a.getElementById(a.currentSceneId());a=d.getBoundingClientRect();d=d.offsetWidth?a.width/d.offsetWidth:1;return{x:(b-a.left)/d,y:(c-a.top)/d}}function da(a){return typeof a.hypeGestureXPosition!=="number"||typeof a.hypeGestureYPosition!=="number"?null:{x:a.hypeGestureXPosition,y:a.hypeGestureYPosition}}function C(a){return Array.isArray(a)?a.map(String):a===void 0||a===null?
+[]:String(a).split(",").map(b=>b.trim()).filter(b=>b.length>0)}function V(a,b,c,d){var e=d?d.accept:void 0;d=C(d&&d.group!==void 0?d.group:b.getAttribute("data-drag-group"));var f=c?c.getAttribute("data-drop-accept"):null;if(e===void 0&&!d.length&&f===null)return null;if(!c)return!1;if(e!==void 0){if(typeof e==="function")return!!e(a,b,c);a=C(e);return a.indexOf("*")!==-1||a.indexOf(c.dataset.dropTarget)!==-1}if(f===null)return!0;var g=C(f);return g.indexOf("*")!==-1?!0:d.some(h=>g.indexOf(h)!==-1)}
+function la(a,b,c,d,e,f){var g=b.interactionMap?.[d.dataset.dragName];b=b.targetMap?.[e.dataset.dropTarget];f.dropTarget=e;f.draggedElement=d;f.accepted=V(a,d,e,g);if(g&&typeof g[c]==="function")g[c](a,d,f);if(b&&typeof b[c]==="function")b[c](a,e,f);y(a,c.slice(6).toLowerCase(),d,f)}function J(a,b,c,d,e,f){var g=w("dropTargetActiveClass"),h=d.hoverTarget||null;h!==e&&(h&&(g&&h.classList.remove(g),la(a,b,"onDragLeave",c,h,f),E(a,b,c,"leave")),d.hoverTarget=e)&&(g&&e.classList.add(g),la(a,b,"onDragEnter",
+c,e,f),E(a,b,c,"enter"));e?la(a,b,"onDragOver",c,e,f):f.dropTarget=null}function lb(a,b,c,d,e,f){var g=d.collisions||[];d.collisions=e;var h=b.interactionMap?.[c.dataset.dragName];e.filter(k=>g.indexOf(k)===-1).forEach(k=>{f.obstacle=k;f.obstacles=e;if(h&&typeof h.onCollide==="function")h.onCollide(a,c,f);y(a,"collide",c,f)})}function Fa(a,b,c){if(b==="parent"){var d=c.getElementById(c.currentSceneId());var e=a.parentElement.closest(".HYPE_element")||d}else if(typeof b==="string"){if(e=c.getElementById(c.currentSceneId()).querySelector(b),
+!e)return console.warn('HypeDragController: Within selector "'+b+'" not found.',a),null}else return console.warn('HypeDragController: Invalid within specification. Must be a CSS selector or "parent".',a),null;d=Ba(c,a);if(b==="parent")return a=Math.max(c.getElementProperty(e,"width"),e.scrollWidth||0),c=Math.max(c.getElementProperty(e,"height"),e.scrollHeight||0),{minX:-d.x,maxX:a-d.x-d.width,minY:-d.y,maxY:c-d.y-d.height};c=Aa(c,a,e);return{minX:c.left-d.x,maxX:c.left+c.width-d.x-d.width,minY:c.top-
+d.y,maxY:c.top+c.height-d.y-d.height}}function ea(a){function b(g,h){return typeof g==="number"?{x:g,y:g}:Array.isArray(g)?{x:parseFloat(g[0]),y:parseFloat(g[1]!==void 0?g[1]:g[0])}:g&&typeof g==="object"?{x:g.x,y:g.y}:h}if(!a||typeof a!=="object")return null;var c=b(a.grid,null),d=b(a.origin,{x:0,y:0}),e=Array.isArray(a.points)?a.points.map(g=>b(g,null)).filter(g=>g&&typeof g.x==="number"&&typeof g.y==="number"):[],f=c&&c.x>0?c.x:null;c=c&&c.y>0?c.y:null;return f||c||e.length?{gridX:f,gridY:c,originX:d.x||
+0,originY:d.y||0,points:e,mode:a.mode==="live"?"live":"release"}:null}function Ga(a,b,c,d){var e={stepX:null,stepY:null,stepIndex:null};if(!a)return e;if(a.points.length){let f=Infinity;a.points.forEach((g,h)=>{var k=b.axis==="y"?0:g.x-c;g=b.axis==="x"?0:g.y-d;k=k*k+g*g;k<f&&(f=k,e.stepIndex=h)});return e}a.gridX&&(e.stepX=Math.round((c-a.originX)/a.gridX));a.gridY&&(e.stepY=Math.round((d-a.originY)/a.gridY));b.axis==="x"&&(e.stepIndex=e.stepX);b.axis==="y"&&(e.stepIndex=e.stepY);return e}function mb(a,
+b,c){if(!c)return null;var d=f=>Array.isArray(f)?{x:f[0],y:f[1]}:{x:f.x,y:f.y};if(typeof c==="object"&&typeof c.radius==="number")return b=d(c.center||[0,0]),a=typeof c.startAngle==="number"&&typeof c.endAngle==="number",{type:"circle",cx:b.x,cy:b.y,radius:c.radius,start:a?c.startAngle:0,sweep:(a?((c.endAngle-c.startAngle)%360+360)%360:360)||360};var e=!!c.closed;if(Array.isArray(c)||Array.isArray(c.points))c=(Array.isArray(c)?c:c.points).map(d);else{e=typeof c==="string"||c.nodeType?c:c.element;
+c=(d=typeof e==="string"?a.getElementById(a.currentSceneId()).querySelector(e):e)?nb(a,b,d,c.samples||64):null;if(!c)return console.warn('HypeDragController: Path element "'+e+'" was not found or has no SVG geometry.',b),null;e=!1}e&&c.length>2&&c.push(c[0]);if(!c.length)return null;b=[0];for(a=1;a<c.length;a++)b.push(b[a-1]+Math.hypot(c[a].x-c[a-1].x,c[a].y-c[a-1].y));return{type:"polyline",points:c,lengths:b,total:b[b.length-1]}}function Ha(a,b){var c=b.dataset.dragName;return c&&a.dragData[c]?
+a.dragData[c]:(c=Object.keys(a.dragData).find(d=>a.dragData[d].ghost===b))?a.dragData[c]:null}function Ia(a,b,c){if(!c)return null;var d=Ha(r(a),b);if(d&&d.pathSource===c)return d.path;a=mb(a,b,c);d&&(d.pathSource=c,d.path=a);return a}function nb(a,b,c,d){c=typeof c.getTotalLength==="function"?c:c.querySelector("path, polyline, polygon, line, circle, ellipse, rect");if(!c||typeof c.getTotalLength!=="function")return null;var e=c.closest(".HYPE_element"),f=typeof c.getCTM==="function"?c.getCTM():null,
+g=c.getTotalLength(),h=[];for(let l=0;l<=d;l++){var k=c.getPointAtLength(g*l/d);f&&(k=k.matrixTransform(f));k=e?U(a,e,k.x,k.y):k;h.push(ca(a,b,k.x,k.y))}return h}function Ja(a,b,c){if(a.type==="circle")return b=((Math.atan2(c-a.cy,b-a.cx)*180/Math.PI-a.start)%360+360)%360,b>a.sweep&&(b=b-a.sweep<360-b?a.sweep:0),c=(a.start+b)*Math.PI/180,{x:a.cx+Math.cos(c)*a.radius,y:a.cy+Math.sin(c)*a.radius,factor:b/a.sweep,angle:((a.start+b)%360+360)%360};var d=a.points,e=d[0].x,f=d[0].y,g=0,h=null,k=Infinity;
+for(let p=1;p<d.length;p++){var l=d[p-1],m=d[p],q=m.x-l.x,n=m.y-l.y;m=(m=q*q+n*n)?Math.max(0,Math.min(1,((b-l.x)*q+(c-l.y)*n)/m)):0;q=l.x+m*q;l=l.y+m*n;n=Math.hypot(b-q,c-l);n<k&&(g=a.lengths[p-1]+m*(a.lengths[p]-a.lengths[p-1]),e=q,f=l,g=a.total?g/a.total:0,h=null,k=n)}return{x:e,y:f,factor:g,angle:h}}function ob(a,b,c,d,e){var f=r(a),g=c&&c.collide!==void 0?c.collide:w("collideDraggables"),h=(c=Ha(f,b))&&c.obstacles&&c.obstacles.element===b&&c.obstacles.collide===g?c.obstacles.list:null;if(!h){h=
+a.getElementById(a.currentSceneId());let p=t=>{var v=t.dataset.dragName?f.dragData[t.dataset.dragName]:null;return v?v.groupLeader||t.dataset.dragName:null},u=Object.keys(f.dragData).find(t=>f.dragData[t].ghost===b)||p(b);h=Array.prototype.filter.call(h.querySelectorAll(g?"[data-drag-obstacle], [data-drag-name]":"[data-drag-obstacle]"),t=>t===b||t.contains(b)||b.contains(t)||t.getAttribute("data-drag-obstacle")==="false"?!1:!u||p(t)!==u);c&&(c.obstacles={element:b,collide:g,list:h})}if(!h.length)return{left:d,
+top:e,collisions:[]};var k=(g=c&&typeof c.placedLeft==="number")?c.placedLeft:a.getElementProperty(b,"left")||0,l=g?c.placedTop:a.getElementProperty(b,"top")||0,m=Ba(a,b);c=h.map(p=>{var u=Aa(a,b,p);return{element:p,minX:u.left-m.x-m.width,maxX:u.left+u.width-m.x,minY:u.top-m.y-m.height,maxY:u.top+u.height-m.y}});var q=d;c.forEach(p=>{l<=p.minY||l>=p.maxY||(q>k&&k<=p.minX+.5&&q>p.minX&&(q=p.minX),q<k&&k>=p.maxX-.5&&q<p.maxX&&(q=p.maxX))});var n=e;c.forEach(p=>{q<=p.minX||q>=p.maxX||(n>l&&l<=p.minY+
+.5&&n>p.minY&&(n=p.minY),n<l&&l>=p.maxY-.5&&n<p.maxY&&(n=p.maxY))});c=c.filter(p=>q!==d&&(q===p.minX||q===p.maxX)&&l>p.minY&&l<p.maxY||n!==e&&(n===p.minY||n===p.maxY)&&q>p.minX&&q<p.maxX).map(p=>p.element);return{left:q,top:n,collisions:c}}function K(a,b,c,d,e,f,g,h){d=c?pb(a,b,c,d,e,f,g,h):{left:d,top:e};return ob(a,b,c,d.left,d.top)}function pb(a,b,c,d,e,f,g,h){function k(t,v){c.minX!==void 0&&(t=Math.max(t,c.minX));c.maxX!==void 0&&(t=Math.min(t,c.maxX));c.minY!==void 0&&(v=Math.max(v,c.minY));
+c.maxY!==void 0&&(v=Math.min(v,c.maxY));c.axis==="x"&&(v=g);c.axis==="y"&&(t=f);m&&(t=Math.max(m.minX,Math.min(t,m.maxX)),v=Math.max(m.minY,Math.min(v,m.maxY)));q&&(v=Ja(q,t+n,v+p),t=v.x-n,v=v.y-p);if(typeof c.constrain==="function"){let x=c.constrain(t,v,{hypeDocument:a,element:b,constraints:c,baselineLeft:f,baselineTop:g});x&&typeof x.left==="number"&&typeof x.top==="number"&&(t=x.left,v=x.top)}return{left:t,top:v}}function l(t,v,x,A){if(!v)return t;x+=Math.round((t-x)/v)*v;t=A(x);if(Math.abs(t-
+x)<.5)return x;v=t>x?x+v:x-v;return Math.abs(A(v)-v)<.5?v:t}var m=c.within?Fa(b,c.within,a):null,q=Ia(a,b,c.path),n=(a.getElementProperty(b,"width")||0)/2,p=(a.getElementProperty(b,"height")||0)/2,u=k(d,e);d=h?ea(c.snap):null;if(!d)return u;if(d.points.length)return e=d.points.filter(t=>{var v=k(t.x,t.y);return(c.axis==="y"||Math.abs(v.left-t.x)<.5)&&(c.axis==="x"||Math.abs(v.top-t.y)<.5)}),d=e.length?e:d.points,d=d[Ga({points:d},c,u.left,u.top).stepIndex],k(d.x,d.y);e=c.axis==="y"?u.left:l(u.left,
+d.gridX,d.originX,t=>k(t,u.top).left);d=c.axis==="x"?u.top:l(u.top,d.gridY,d.originY,t=>k(u.left,t).top);return k(e,d)}function W(a,b,c,d,e){function f(q,n,p){if(typeof n!=="number"||typeof p!=="number"||!(p>n))return null;q=(q-n)/(p-n);return q<=0?0:q>=1?1:q}if(c){if(typeof c.minX==="number"&&typeof c.maxX==="number"){var g=c.minX;var h=c.maxX}if(typeof c.minY==="number"&&typeof c.maxY==="number"){var k=c.minY;var l=c.maxY}if((g===void 0||h===void 0||k===void 0||l===void 0)&&c.within){var m=Fa(b,
+c.within,a);if(m){if(g===void 0||h===void 0)g=m.minX,h=m.maxX;if(k===void 0||l===void 0)k=m.minY,l=m.maxY}}}g=(a=(m=c?Ia(a,b,c.path):null)?Ja(m,d+(a.getElementProperty(b,"width")||0)/2,e+(a.getElementProperty(b,"height")||0)/2):null)?a.factor:f(d,g,h);k=a?a.factor:f(e,k,l);l=g==null?null:(g-.5)*2;h=k==null?null:(k-.5)*2;b=g==null?null:g*100;m=k==null?null:k*100;c=Ga(c?ea(c.snap):null,c||{},d,e);return{factorX:g,factorY:k,midpointX:l,midpointY:h,percentX:b,percentY:m,stepX:c.stepX,stepY:c.stepY,stepIndex:c.stepIndex,
+pathFactor:a?a.factor:null,angle:a?a.angle:null}}function Ka(a,b){var c=a.getElementById(a.currentSceneId());return(Array.isArray(b)?b:b&&typeof b.length==="number"&&typeof b!=="string"?Array.prototype.slice.call(b):[b]).map(d=>typeof d==="string"?c.querySelector(`[data-drag-name="${d}"]`):d).filter(d=>d&&d.dataset&&d.dataset.dragName)}function qb(a,b,c){var d=a.getElementById(a.currentSceneId());a=[];if(b.selection.indexOf(c)!==-1)a=b.selection;else if(c.hasAttribute("data-drag-group-move")){let e=
+c.getAttribute("data-drag-group-move");a=Array.prototype.filter.call(d.querySelectorAll("[data-drag-group-move]"),f=>f.getAttribute("data-drag-group-move")===e)}return a.filter(e=>e!==c&&d.contains(e)&&e.dataset.dragName&&!e.classList.contains("hypeDragElementLocked"))}function rb(a,b,c,d,e){var f=d,g=e;c.forEach(h=>{var k=b.constraints?.[h.element.dataset.dragName],l=k?k.axis:void 0,m=K(a,h.element,k,h.initialLeft+d,h.initialTop+e,h.initialLeft,h.initialTop);k=m.left-h.initialLeft;h=m.top-h.initialTop;
+l!=="y"&&(f=d>=0?Math.max(0,Math.min(f,k)):Math.min(0,Math.max(f,k)));l!=="x"&&(g=e>=0?Math.max(0,Math.min(g,h)):Math.min(0,Math.max(g,h)))});return{x:f,y:g}}function ma(a,b,c,d,e,f,g){c.forEach(h=>{var k=K(a,h.element,b.constraints?.[h.element.dataset.dragName],h.initialLeft+d,h.initialTop+e,h.initialLeft,h.initialTop);a.setElementProperty(h.element,"left",k.left,f,g);a.setElementProperty(h.element,"top",k.top,f,g);h.placedLeft=k.left;h.placedTop=k.top;F(a,h.element,{left:k.left,top:k.top})})}function sb(a,
+b){var c=S(a,b);if(!c||!c.hasAttribute("data-drag-sortable"))return null;var d=c.getAttribute("data-drag-sortable")||"vertical",e=Array.prototype.filter.call(c.querySelectorAll("[data-drag-name]"),g=>S(a,g)===c).map(g=>({element:g,left:a.getElementProperty(g,"left"),top:a.getElementProperty(g,"top")}));e.sort((g,h)=>d==="horizontal"?g.left-h.left:d==="grid"&&g.top!==h.top?g.top-h.top:d==="grid"?g.left-h.left:g.top-h.top);var f=e.map(g=>g.element);return{container:c,mode:d,slots:e.map(g=>({left:g.left,
+top:g.top})),initialOrder:f.slice(),order:f,index:f.indexOf(b)}}function tb(a,b,c){var d=a.index,e=Infinity;a.slots.forEach((f,g)=>{var h=a.mode==="vertical"?0:f.left-b;f=a.mode==="horizontal"?0:f.top-c;h=h*h+f*f;h<e&&(e=h,d=g)});return d}function ub(a,b,c,d,e){d=tb(b,d,e);if(d!==b.index){b.order.splice(b.index,1);b.order.splice(d,0,c);b.index=d;var f=w();b.order.forEach((g,h)=>{g!==c&&(a.setElementProperty(g,"left",b.slots[h].left,f.sortDuration,f.sortTiming),a.setElementProperty(g,"top",b.slots[h].top,
+f.sortDuration,f.sortTiming))})}}function La(a,b,c){var d=w();c&&(b.order=b.initialOrder.slice());b.order.forEach((e,f)=>{f=b.slots[f];var g=b.slots[b.initialOrder.indexOf(e)];Ma(a,e,{left:g.left,top:g.top});a.setElementProperty(e,"left",f.left,d.snapToDuration,d.snapToTiming);a.setElementProperty(e,"top",f.top,d.snapToDuration,d.snapToTiming);F(a,e,{left:f.left,top:f.top})})}function vb(a,b,c){typeof c==="function"&&(a=r(a).listeners,(a[b]=a[b]||[]).push(c))}function wb(a,b,c){a=r(a).listeners;a[b]&&
+(a[b]=c?a[b].filter(d=>d!==c):[],a[b].length||delete a[b])}function xb(a,b){return a==="*"||a===b?!0:a.slice(-1)==="*"&&b.indexOf(a.slice(0,-1))===0}function y(a,b,c,d){var e=r(a),f=e.listeners,g=Object.assign({},d,{type:b,dragName:c.dataset.dragName||null,hypeDocument:a});Object.keys(f).forEach(h=>{xb(h,b)&&f[h].slice().forEach(k=>{try{k(a,c,g)}catch(l){console.warn('HypeDragController: Listener for "'+h+'" failed on "'+b+'".',l)}})});if(e.reporter)try{yb(a,e.reporter,c,g)}catch(h){console.warn('HypeDragController: Reporting failed on "'+
+b+'".',h)}c.dispatchEvent(new CustomEvent("hypedrag:"+b,{bubbles:!0,detail:g}))}function Na(a,b,c){b=c&&c.symbol?c.symbol:b.getAttribute("data-drag-symbol");if(!b)return a;c=typeof a.getSymbolInstanceById==="function"?a.getSymbolInstanceById(b):null;return c?c:(console.warn('HypeDragController: Symbol instance "'+b+'" was not found, using the document timelines.'),a)}function E(a,b,c,d){var e=(b=b.interactionMap?.[c.dataset.dragName])&&b.timelines&&b.timelines[d]!==void 0?b.timelines[d]:c.getAttribute("data-drag-on-"+
+d+"-timeline");if(e){let g=Na(a,c,b);(Array.isArray(e)?e:C(e)).forEach(h=>{var k=h.indexOf(":"),l=k!==-1?h.slice(0,k).trim():"start";h=k!==-1?h.slice(k+1).trim():h;switch(l){case "start":g.startTimelineNamed(h,a.kDirectionForward);break;case "continue":g.continueTimelineNamed(h,a.kDirectionForward);break;case "reverse":g.continueTimelineNamed(h,a.kDirectionReverse);break;case "pause":g.pauseTimelineNamed(h);break;default:console.warn('HypeDragController: Unknown timeline action "'+l+'" for "'+h+'".')}})}var f=
+b&&b.scenes&&b.scenes[d]!==void 0?b.scenes[d]:c.getAttribute("data-drag-on-"+d+"-scene");f&&setTimeout(()=>a.showSceneNamed(f),0)}function na(a,b,c,d,e){var f=c.dataset.dragName,g=b.interactionMap?.[f],h=g&&g.scrub!==void 0?g.scrub:c.getAttribute("data-drag-scrub-timeline");h&&(typeof h==="string"&&(h={timeline:h,axis:c.getAttribute("data-drag-scrub-axis")}),b=W(a,c,b.constraints?.[f],d,e),b=(h.axis||(b.factorX===null?"y":"x"))==="y"?b.factorY:b.factorX,b!==null&&(a=Na(a,c,g),a.goToTimeInTimelineNamed(b*
+a.durationForTimelineNamed(h.timeline),h.timeline)))}function zb(a,b){var c=a.getAttribute("data-drag-handle");if(!c||!b.target||typeof b.target.closest!=="function")return!0;b=b.target.closest(c);return!!b&&a.contains(b)}function Ab(a,b,c){var d=c.getAttribute("data-drag-ghost");if(d==="true"){var e=c.cloneNode(!0);[e].concat(Array.from(e.querySelectorAll("*"))).forEach(f=>{Array.from(f.attributes).forEach(g=>{g.name!=="id"&&g.name.indexOf("data-drag")!==0&&g.name.indexOf("data-drop")!==0||f.removeAttribute(g.name)})});
+["tabindex","role","aria-roledescription","aria-pressed"].forEach(f=>e.removeAttribute(f));e.style.pointerEvents="none";c.parentNode.insertBefore(e,c.nextSibling);a.setElementProperty(e,"opacity",w("ghostOpacity"))}else{e=a.getElementById(d);if(!e)return console.warn('HypeDragController: Ghost element "'+d+'" was not found.'),null;e.style.display="block"}e.classList.add("hypeDragGhost");a.setElementProperty(e,"left",a.getElementProperty(c,"left"));a.setElementProperty(e,"top",a.getElementProperty(c,
+"top"));a.setElementProperty(e,"z-index",++b.zCounter);return e}function oa(a){a.classList.remove("hypeDragGhost");a.id?a.style.display="none":a.remove()}function Oa(a,b,c){var d=c.ghost;c.ghost=null;c=a.getElementProperty(d,"left");var e=a.getElementProperty(d,"top");a.setElementProperty(b,"left",c);a.setElementProperty(b,"top",e);F(a,b,{left:c,top:e});oa(d)}function Pa(a,b,c,d){var e=b.ghost;b.ghost=null;a.setElementProperty(e,"left",b.initialLeft,c,d);a.setElementProperty(e,"top",b.initialTop,
+c,d);setTimeout(()=>oa(e),c*1E3)}function Bb(a,b,c,d){var e=c.dataset.dragName,f=d.pointerId!==void 0?e+":"+d.pointerId:e;if(d.hypeGesturePhase==="start"){delete b.cloneGestures[f];let g=parseInt(c.getAttribute("data-drag-clone-max"),10);if(!(g>=0)||Qa(a,e).length<g)b.cloneGestures[f]=Cb(a,b,c)}a=b.cloneGestures[f]||null;d.hypeGesturePhase!=="end"&&d.hypeGesturePhase!=="cancel"||delete b.cloneGestures[f];return a}function Cb(a,b,c){var d=c.dataset.dragName,e=a.getElementById(a.currentSceneId());do var f=
+d+"-"+ ++b.cloneCounter;while(e.querySelector('[data-drag-name="'+f+'"]'));var g=c.cloneNode(!0);g.removeAttribute("id");g.querySelectorAll("[id]").forEach(h=>h.removeAttribute("id"));["data-drag-clone","data-drag-clone-max","data-initial-left","data-initial-top","aria-pressed"].forEach(h=>g.removeAttribute(h));["hypeDragElementGrabbed",w("answerCorrectClass"),w("answerIncorrectClass")].forEach(h=>{h&&g.classList.remove(h)});g.setAttribute("data-drag-name",f);g.setAttribute("data-drag-clone-of",d);
+c.parentNode.insertBefore(g,c.nextSibling);b.constraints[d]&&(b.constraints[f]=b.constraints[d]);b.interactionMap&&b.interactionMap[d]&&!b.interactionMap[f]&&(b.interactionMap[f]=b.interactionMap[d]);Db(a,g);return g}function Db(a,b){b.style.touchAction="none";b.addEventListener("pointerdown",function(c){w("multiTouch")||Ra(a,b,c)})}function Ra(a,b,c){if(c.button===0){c.preventDefault();var d=(g,h)=>{var k=Ea(a,h.clientX,h.clientY);return{type:"pointer",target:h.target,pointerId:c.pointerId,pointerType:c.pointerType,
+hypeGesturePhase:g,hypeGestureXPosition:k.x,hypeGestureYPosition:k.y}},e=g=>{g.pointerId===c.pointerId&&H(a,b,d("move",g))},f=g=>{g.pointerId===c.pointerId&&(window.removeEventListener("pointermove",e),window.removeEventListener("pointerup",f),window.removeEventListener("pointercancel",f),b.removeEventListener("lostpointercapture",f),H(a,b,d(g.type==="pointerup"?"end":"cancel",g)))};window.addEventListener("pointermove",e);window.addEventListener("pointerup",f);window.addEventListener("pointercancel",
+f);if(typeof b.setPointerCapture==="function")try{b.setPointerCapture(c.pointerId),b.addEventListener("lostpointercapture",f)}catch(g){}H(a,b,d("start",c))}}function pa(a,b,c,d){var e=c.dataset.dragName,f=c.getAttribute("data-drag-clone-of");c.removeAttribute("data-drag-clone-of");Sa(a,c);delete b.constraints[e];delete b.snappedTo[e];delete b.snapOrigins[e];b.interactionMap&&b.interactionMap[e]===b.interactionMap[f]&&delete b.interactionMap[e];d?(b=w("cloneRemoveDuration"),c.style.pointerEvents="none",
+a.setElementProperty(c,"opacity",0,b,w("cloneRemoveTiming")),setTimeout(()=>c.remove(),b*1E3)):c.remove()}function Qa(a,b){b=typeof b==="string"?b:b.dataset.dragName;a=a.getElementById(a.currentSceneId());return Array.from(a.querySelectorAll('[data-drag-clone-of="'+b+'"]'))}function Eb(a,b){var c={"one-to-one":[1,1],"one-to-many":[Infinity,1],"many-to-one":[1,Infinity],many:[Infinity,Infinity]};b=(a=a.interactionMap?.[b.dataset.dragName])&&a.connect!==void 0?a.connect:b.getAttribute("data-drag-connect-source");
+c[b]||(b=w("connectRule"));c=c[b]||c["one-to-one"];return{sourceMax:c[0],targetMax:c[1]}}function Ta(a){a=a.getElementById(a.currentSceneId());var b=Array.from(a.children).find(c=>c.classList.contains("hypeDragConnectors"));b||(b=document.createElementNS("http://www.w3.org/2000/svg","svg"),b.setAttribute("class","hypeDragConnectors"),a.appendChild(b));return b}function L(a,b){var c=Ca(b.getAttribute("data-drag-connect-anchor")||"center");a=B(D(a,b));return{x:a.left+a.width*c.x,y:a.top+a.height*c.y}}
+function fa(a,b,c){a.setAttribute("x1",b.x);a.setAttribute("y1",b.y);a.setAttribute("x2",c.x);a.setAttribute("y2",c.y)}function G(a,b,c){if(b.connections.length&&(b.connections.forEach(e=>{fa(e.line,L(a,e.source),L(a,e.target))}),c>0&&(b.connectorUntil=Math.max(b.connectorUntil||0,performance.now()+c*1E3),!b.connectorFrame))){var d=()=>{b.connectorFrame=null;G(a,b);performance.now()<b.connectorUntil&&(b.connectorFrame=requestAnimationFrame(d))};b.connectorFrame=requestAnimationFrame(d)}}function qa(a,
+b,c,d){var e=b.connections.find(k=>k.source===c&&k.target===d);if(e)return{connection:e,disconnected:[]};e=Eb(b,c);var f=b.connections.filter(k=>k.source===c),g=b.connections.filter(k=>k.target===d);e=f.slice(0,Math.max(0,f.length-e.sourceMax+1)).concat(g.slice(0,Math.max(0,g.length-e.targetMax+1))).filter((k,l,m)=>m.indexOf(k)===l);e.forEach(k=>P(a,b,k));f=document.createElementNS("http://www.w3.org/2000/svg","line");f.setAttribute("class","hypeDragConnector");var h={source:c,target:d,line:f};fa(f,
+L(a,c),L(a,d));w("connectRemoveOnClick")?f.addEventListener("click",function(){P(a,b,h);X(a)}):f.style.pointerEvents="none";Ta(a).appendChild(f);b.connections.push(h);y(a,"connect",c,{source:c,target:d});return{connection:h,disconnected:e}}function P(a,b,c){var d=b.connections.indexOf(c);d!==-1&&(b.connections.splice(d,1),c.line.remove(),y(a,"disconnect",c.source,{source:c.source,target:c.target}))}function Fb(a,b,c,d){var e=c.dataset.dragName,f=b.interactionMap?.[e],g=da(d),h=b.connecting[e];if(d.hypeGesturePhase===
+"start"){if(!h||h.pointerId===d.pointerId){h&&(h.line.remove(),J(a,b,c,h,null,d));var k=document.createElementNS("http://www.w3.org/2000/svg","line");k.setAttribute("class","hypeDragConnector hypeDragConnectorActive");Ta(a).appendChild(k);h=b.connecting[e]={source:c,line:k,pointerId:d.pointerId,hoverTarget:null};fa(k,L(a,c),g||L(a,c));if(f&&typeof f.onStart==="function")f.onStart(a,c,d);E(a,b,c,"start");y(a,"start",c,d)}}else if(h&&h.pointerId===d.pointerId)if(d.hypeGesturePhase==="move"){g&&fa(h.line,
+L(a,c),g);if(f&&typeof f.onProgress==="function")f.onProgress(a,c,d);y(a,"move",c,d);J(a,b,c,h,I(c,a,g),d)}else if(d.hypeGesturePhase==="end"||d.hypeGesturePhase==="cancel")if(delete b.connecting[e],h.line.remove(),J(a,b,c,h,null,d),Ua(d))y(a,"cancel",c,d);else{var l=I(c,a,g);e=V(a,c,l,f);g=b.connections.some(m=>m.source===c&&m.target===l);(h=l&&e!==!1?qa(a,b,c,l):null)&&!g&&(Gb(b,c,l,[h.connection],h.disconnected),X(a));d.dropTarget=l;d.accepted=e;d.connection=h?{source:c,target:l}:null;d.disconnected=
+h?h.disconnected.map(m=>({source:m.source,target:m.target})):[];if(f&&typeof f.onDrop==="function")f.onDrop(a,c,d);y(a,"drop",c,d);E(a,b,c,"drop");h?E(a,b,c,"accept"):e===!1&&E(a,b,c,"reject");b.checkOptions.autoCheck&&ra(a)}}function Hb(a,b){var c=r(a),d=a.getElementById(a.currentSceneId());return c.connections.filter(e=>d.contains(e.source)&&(!b||e.source===b||e.source.dataset.dragName===b)).map(e=>({source:e.source,target:e.target,sourceName:e.source.dataset.dragName,targetName:e.target.dataset.dropTarget}))}
+function Ib(a,b,c){var d=r(a);d.connections.filter(e=>(e.source===b||e.source.dataset.dragName===b)&&(!c||e.target===c||e.target.dataset.dropTarget===c)).forEach(e=>P(a,d,e));X(a)}function Ua(a){return a.hypeGesturePhase==="cancel"&&["pointer","keyboard","replay"].indexOf(a.type)!==-1}function Va(a,b,c){a=(b=a.dragData[b])&&b.groupLeader?a.dragData[b.groupLeader]:b;return!(!a||!a.isActive||a.pointerId===c)}function H(a,b,c){var d=r(a),e=b.dataset.dragName;if(!e)console.warn('HypeDragController: Draggable element is missing a "data-drag-name" attribute.',
+b);else if(!w("multiTouch")||["pointer","keyboard","autoscroll","replay"].indexOf(c.type)!==-1){if(["pointer","keyboard","autoscroll","replay"].indexOf(c.type)===-1&&!c.hypeGestureInScene&&da(c)){var f=Ea(a,c.hypeGestureXPosition-window.pageXOffset,c.hypeGestureYPosition-window.pageYOffset);c.hypeGestureXPosition=f.x;c.hypeGestureYPosition=f.y;c.hypeGestureInScene=!0}if(c.hypeGesturePhase!=="start"||zb(b,c))if(Jb(d,e,c),b.hasAttribute("data-drag-connect-source"))Fb(a,d,b,c);else{if(b.getAttribute("data-drag-clone")===
+"true"){b=Bb(a,d,b,c);if(!b)return;e=b.dataset.dragName}var g=w();if(c.hypeGesturePhase==="start"?!Va(d,e,c.pointerId):!d.dragData[e]||d.dragData[e].pointerId===c.pointerId){if(c.hypeGesturePhase==="start"){(f=d.dragData[e])&&f.glideFrame&&(cancelAnimationFrame(f.glideFrame),f.glideFrame=null,sa(a,d,b,f,f.glideEvent));[g.answerCorrectClass,g.answerIncorrectClass].forEach(n=>{n&&b.classList.remove(n)});var h=d.snappedTo[e]||null;delete d.snappedTo[e];f=a.getElementProperty(b,"left");var k=a.getElementProperty(b,
+"top");b.setAttribute("data-initial-left",f);b.setAttribute("data-initial-top",k);d.dragData[e]={initialLeft:f,initialTop:k,placedLeft:f,placedTop:k,initialZ:a.getElementProperty(b,"z-index"),startX:c.hypeGestureXPosition,startY:c.hypeGestureYPosition,isActive:!0,samples:[],initialSnappedTo:h,pointerId:c.pointerId};g.bringToFront&&a.setElementProperty(b,"z-index",++d.zCounter);h=qb(a,d,b).filter(n=>!Va(d,n.dataset.dragName,c.pointerId));h.length&&(d.dragData[e].members=h.map(n=>{var p=a.getElementProperty(n,
+"left"),u=a.getElementProperty(n,"top");p={element:n,initialLeft:p,initialTop:u,placedLeft:p,placedTop:u,initialZ:a.getElementProperty(n,"z-index"),isActive:!1,groupLeader:e,initialSnappedTo:d.snappedTo[n.dataset.dragName]||null};d.dragData[n.dataset.dragName]=p;delete d.snappedTo[n.dataset.dragName];g.bringToFront&&a.setElementProperty(n,"z-index",++d.zCounter);return p}));h.length||(d.dragData[e].sort=sb(a,b));h.length||d.dragData[e].sort||!b.hasAttribute("data-drag-ghost")||(d.dragData[e].ghost=
+Ab(a,d,b));h=d.interactionMap?.[e];Object.assign(c,W(a,b,d.constraints?.[e],f,k));if(h&&typeof h.onStart==="function")h.onStart(a,b,c);E(a,d,b,"start");y(a,"start",b,c)}if(c.hypeGesturePhase==="move"&&d.dragData[e]){f=d.dragData[e];k=f.initialLeft+(c.hypeGestureXPosition-f.startX);h=f.initialTop+(c.hypeGestureYPosition-f.startY);let n=d.constraints?.[e];var l=K(a,f.ghost||b,n,k,h,f.initialLeft,f.initialTop,n?ea(n.snap)?.mode==="live":!1);k=l.left;h=l.top;var m=l.collisions;f.members&&(l=rb(a,d,f.members,
+k-f.initialLeft,h-f.initialTop),k=f.initialLeft+l.x,h=f.initialTop+l.y,ma(a,d,f.members,l.x,l.y));a.setElementProperty(f.ghost||b,"left",k);a.setElementProperty(f.ghost||b,"top",h);l=I(b,a,da(c),f.ghost);if(!l&&!f.sort&&!f.members){var q=ka(a,d,b,f.ghost);q&&(l=q.target,m=q.strength*(1-q.distance/q.radius),k+=(q.left-k)*m,h+=(q.top-h)*m,m=K(a,f.ghost||b,n,k,h,f.initialLeft,f.initialTop),k=m.left,h=m.top,m=m.collisions,a.setElementProperty(f.ghost||b,"left",k),a.setElementProperty(f.ghost||b,"top",
+h))}f.placedLeft=k;f.placedTop=h;f.sort&&ub(a,f.sort,b,k,h);G(a,d,f.sort?w("sortDuration"):0);n&&n.inertia&&Kb(f,k,h);na(a,d,b,k,h);q=d.interactionMap?.[e];Object.assign(c,W(a,b,n,k,h));if(q&&typeof q.onProgress==="function")q.onProgress(a,b,c);y(a,"move",b,c);lb(a,d,b,f,m,c);J(a,d,b,f,l,c);f.lastX=c.hypeGestureXPosition;f.lastY=c.hypeGestureYPosition;c.type!=="keyboard"&&Lb(a,d,b,f)}if((c.hypeGesturePhase==="end"||c.hypeGesturePhase==="cancel")&&d.dragData[e]&&d.dragData[e].isActive)if(f=d.dragData[e],
+f.isActive=!1,f.autoScrollFrame&&(cancelAnimationFrame(f.autoScrollFrame),f.autoScrollFrame=null),Ua(c))Mb(a,d,b,f,c);else{if((k=(k=d.constraints?.[e])?Nb(k.inertia):null)&&!f.members&&!f.sort&&!f.ghost&&(h=Ob(f),c.releaseVelocityX=h.x,c.releaseVelocityY=h.y,Math.sqrt(h.x*h.x+h.y*h.y)>k.minVelocity)){Pb(a,d,b,f,c,k,h);return}sa(a,d,b,f,c)}}}}}function Mb(a,b,c,d,e){var f=c.dataset.dragName,g=w(),h=d.members||[];J(a,b,c,d,null,e);d.collisions=[];d.sort?La(a,d.sort,!0):d.ghost&&(oa(d.ghost),d.ghost=
+null);[Object.assign({element:c},d)].concat(h).forEach(k=>{var l=k.element.dataset.dragName;d.sort||(a.setElementProperty(k.element,"left",k.initialLeft,g.snapBackDuration,g.snapBackTiming),a.setElementProperty(k.element,"top",k.initialTop,g.snapBackDuration,g.snapBackTiming));g.bringToFront&&a.setElementProperty(k.element,"z-index",k.initialZ);k.initialSnappedTo&&(b.snappedTo[l]=k.initialSnappedTo)});na(a,b,c,d.initialLeft,d.initialTop);G(a,b,d.sort?g.sortDuration:g.snapBackDuration);Object.assign(e,
+W(a,c,b.constraints?.[f],d.initialLeft,d.initialTop));y(a,"cancel",c,e);c.hasAttribute("data-drag-clone-of")&&pa(a,b,c,!0);setTimeout(()=>{b.dragData[f]===d&&delete b.dragData[f];h.forEach(k=>{var l=k.element.dataset.dragName;b.dragData[l]===k&&delete b.dragData[l]})},50)}function sa(a,b,c,d,e){var f=c.dataset.dragName,g=w(),h=b.constraints?.[f],k=d.ghost||c,l=a.getElementProperty(k,"left"),m=a.getElementProperty(k,"top"),q=I(c,a,d.glideEvent?null:da(e),d.ghost),n=b.interactionMap?.[f],p=d.sort||
+d.members?null:ka(a,b,c,d.ghost);if(p=!p||q&&p.target!==q?null:p)q=p.target;var u=d.members||[],t=u.map(z=>I(z.element,a));Qb(a,b,c,d);var v=d.sort;v&&(La(a,v,!1),l=v.slots[v.index].left,m=v.slots[v.index].top);var x=h&&!v?ea(h.snap):null;x&&x.mode==="release"&&(x=K(a,k,h,l,m,d.initialLeft,d.initialTop,!0),x.left!==l||x.top!==m)&&(a.setElementProperty(k,"left",x.left,d.ghost?0:g.snapToDuration,g.snapToTiming),a.setElementProperty(k,"top",x.top,d.ghost?0:g.snapToDuration,g.snapToTiming),d.ghost||F(a,
+c,{left:x.left,top:x.top}),ma(a,b,u,x.left-d.initialLeft,x.top-d.initialTop,g.snapToDuration,g.snapToTiming),l=x.left,m=x.top);J(a,b,c,d,null,e);e.dropTarget=q;u.length&&(e.members=[{element:c,dropTarget:q}].concat(u.map((z,Y)=>({element:z.element,dropTarget:t[Y],accepted:V(a,z.element,t[Y],b.interactionMap?.[z.element.dataset.dragName])}))));k=V(a,c,q,n);var A=q&&k!==!1?Rb(a,b,c,q):null;e.displaced=null;A&&(k=!(A.full&&!A.displaced),e.displaced=A.displaced);e.accepted=k;u.length&&(e.members[0].accepted=
+k);x=!v&&!u.length&&c.hasAttribute("data-drag-clone-of")&&(!q||k===!1);e.removed=x;var Sb=!v&&!x&&(n&&n.autoResolve!==void 0?n.autoResolve:g.autoResolveDrop);if((k!==null||p)&&Sb)if(k!==!1){if(A&&A.displaced&&(A.policy==="swap"?Wa(a,A.displaced,{left:d.initialLeft,top:d.initialTop,snappedTo:d.initialSnappedTo},g.snapToDuration,g.snapToTiming):Wa(a,A.displaced,Xa(a,b,A.displaced),g.snapBackDuration,g.snapBackTiming)),(p=Ya(a,c,q))&&ma(a,b,u,p.left-d.initialLeft,p.top-d.initialTop,g.snapToDuration,
+g.snapToTiming),n&&n.lockOnAccept!==void 0?n.lockOnAccept:g.lockOnAccept)Q(a,c),u.forEach(z=>Q(a,z.element))}else ta(a,c),u.forEach(z=>ta(a,z.element));if(v&&(p=v.initialOrder.map(z=>z.dataset.dragName),e.sortContainer=v.container,e.oldOrder=p,e.newOrder=v.order.map(z=>z.dataset.dragName),e.oldIndex=v.initialOrder.indexOf(c),e.newIndex=v.order.indexOf(c),e.indices=v.order.map(z=>v.initialOrder.indexOf(z)),e.oldIndex!==e.newIndex)){if(n&&typeof n.onSort==="function")n.onSort(a,c,e);y(a,"sort",c,e)}Object.assign(e,
+W(a,c,h,l,m));if(n&&typeof n.onDrop==="function")n.onDrop(a,c,e);y(a,"drop",c,e);E(a,b,c,"drop");q&&k!==!1&&!x?E(a,b,c,"accept"):k===!1&&E(a,b,c,"reject");d.ghost&&(q&&k!==!1&&!x?Oa(a,c,d):Pa(a,d,g.snapBackDuration,g.snapBackTiming));x&&(b.history.open=null,pa(a,b,c,!0));Tb(b,q);X(a);G(a,b,Math.max(g.snapToDuration,g.snapBackDuration,g.sortDuration));b.checkOptions.autoCheck&&ra(a);setTimeout(()=>{b.dragData[f]===d&&delete b.dragData[f];u.forEach(z=>{var Y=z.element.dataset.dragName;b.dragData[Y]===
+z&&delete b.dragData[Y]})},50)}function Ub(a){a===void 0&&(a=w("autoScroll"));if(!a)return null;a=typeof a==="object"?a:{};return{edge:typeof a.edge==="number"?a.edge:w("autoScrollEdge"),speed:typeof a.speed==="number"?a.speed:w("autoScrollSpeed")}}function Vb(a){for(a=a.parentElement;a&&a!==document.body&&a!==document.documentElement;){let b=window.getComputedStyle(a);if(/(auto|scroll)/.test(b.overflow+b.overflowX)&&a.scrollWidth>a.clientWidth||/(auto|scroll)/.test(b.overflow+b.overflowY)&&a.scrollHeight>
+a.clientHeight)return a;a=a.parentElement}return null}function Lb(a,b,c,d){var e=Ub(b.constraints?.[c.dataset.dragName]?.autoScroll);e&&!d.autoScrollFrame&&(d.autoScrollFrame=requestAnimationFrame(()=>{d.autoScrollFrame=null;if(d.isActive){var f=Vb(d.ghost||c),g=f||document.scrollingElement||document.documentElement,h=f?f.getBoundingClientRect():{left:0,top:0,right:window.innerWidth,bottom:window.innerHeight},k=(d.ghost||c).getBoundingClientRect(),l=(q,n)=>q>0?-e.speed*Math.min(1,q/e.edge):n>0?e.speed*
+Math.min(1,n/e.edge):0,m=l(h.left+e.edge-k.left,k.right-(h.right-e.edge));l=l(h.top+e.edge-k.top,k.bottom-(h.bottom-e.edge));if(m||l)if(k=g.scrollLeft,h=g.scrollTop,g.scrollLeft+=m,g.scrollTop+=l,m=a.getElementById(a.currentSceneId()),m=m.offsetWidth?m.getBoundingClientRect().width/m.offsetWidth:1,k=(g.scrollLeft-k)/m,g=(g.scrollTop-h)/m,k||g)f?(d.startX-=k,d.startY-=g):(d.lastX+=k,d.lastY+=g),H(a,c,{type:"autoscroll",autoScroll:!0,pointerId:d.pointerId,hypeGesturePhase:"move",hypeGestureXPosition:d.lastX,
+hypeGestureYPosition:d.lastY})}}))}function Nb(a){if(!a)return null;a=typeof a==="object"?a:{};return{friction:typeof a.friction==="number"?a.friction:w("inertiaFriction"),bounce:typeof a.bounce==="number"?a.bounce:w("inertiaBounce"),minVelocity:typeof a.minVelocity==="number"?a.minVelocity:w("inertiaMinVelocity")}}function Kb(a,b,c){var d=performance.now();for(a.samples.push({t:d,left:b,top:c});a.samples.length>2&&d-a.samples[0].t>100;)a.samples.shift()}function Ob(a){var b=a.samples||[];if(b.length<
+2)return{x:0,y:0};a=b[0];b=b[b.length-1];var c=b.t-a.t;return!(c>0)||performance.now()-b.t>100?{x:0,y:0}:{x:(b.left-a.left)/c,y:(b.top-a.top)/c}}function Pb(a,b,c,d,e,f,g){function h(){var n=performance.now(),p=Math.min(64,n-q);q=n;n=a.getElementProperty(c,"left");var u=a.getElementProperty(c,"top");n+=l*p;u+=m*p;var t=K(a,c,k,n,u,d.initialLeft,d.initialTop);t.left!==n&&(l=-l*f.bounce);t.top!==u&&(m=-m*f.bounce);a.setElementProperty(c,"left",t.left);a.setElementProperty(c,"top",t.top);d.placedLeft=
+t.left;d.placedTop=t.top;na(a,b,c,t.left,t.top);G(a,b);n=I(c,a);!n&&(u=ka(a,b,c))&&(n=u.target);J(a,b,c,d,n,e);p=Math.pow(f.friction,p/(1E3/60));l*=p;m*=p;Math.sqrt(l*l+m*m)>f.minVelocity?d.glideFrame=requestAnimationFrame(h):(d.glideFrame=null,e.velocityX=l,e.velocityY=m,sa(a,b,c,d,e))}var k=b.constraints?.[c.dataset.dragName],l=g.x,m=g.y,q=performance.now();d.glideEvent=e;d.glideFrame=requestAnimationFrame(h)}function ta(a,b){var c=r(a),d=b.dataset.dragName;if(d){var e=c.dragData[d];if(e){var f=
+w();delete c.snappedTo[d];e.ghost&&Pa(a,e,f.snapBackDuration,f.snapBackTiming);a.setElementProperty(b,"left",e.initialLeft,f.snapBackDuration,f.snapBackTiming);a.setElementProperty(b,"top",e.initialTop,f.snapBackDuration,f.snapBackTiming);f.bringToFront&&a.setElementProperty(b,"z-index",e.initialZ,f.snapBackDuration,"easeinout");F(a,b,{left:e.initialLeft,top:e.initialTop,zIndex:f.bringToFront?e.initialZ:a.getElementProperty(b,"z-index"),snappedTo:null});G(a,c,f.snapBackDuration);y(a,"snapback",b,
+{left:e.initialLeft,top:e.initialTop})}}}function Ya(a,b,c){if(b&&c){if(typeof c==="string"){var d=a.getElementById(a.currentSceneId()).querySelector(c);if(!d)return console.warn('HypeDragController: snapTo selector "'+c+'" did not find an element.')}else if(typeof c==="object"&&c.id)d=c;else return console.warn("HypeDragController: snapTo destination must be an element or selector string.");(c=b.dataset.dragName?r(a).dragData[b.dataset.dragName]:null)&&c.ghost&&Oa(a,b,c);c=w();var e=Da(a,b,d),f=
+e.left;e=e.top;var g=b.dataset.dragName;if(g){let h=r(a),k=h.dragData[g];k?h.snapOrigins[g]={left:k.initialLeft,top:k.initialTop,snappedTo:k.initialSnappedTo}:h.snappedTo[g]!==d&&(h.snapOrigins[g]={left:a.getElementProperty(b,"left"),top:a.getElementProperty(b,"top"),snappedTo:h.snappedTo[g]||null});h.snappedTo[g]=d}a.setElementProperty(b,"left",f,c.snapToDuration,c.snapToTiming);a.setElementProperty(b,"top",e,c.snapToDuration,c.snapToTiming);F(a,b,{left:f,top:e,snappedTo:d});G(a,r(a),c.snapToDuration);
+y(a,"snap",b,{left:f,top:e,destination:d});return{left:f,top:e}}}function Q(a,b){var c=!b.classList.contains("hypeDragElementLocked");b.classList.add("hypeDragElementLocked");F(a,b,{locked:!0});c&&y(a,"lock",b)}function ha(a,b){var c=b.classList.contains("hypeDragElementLocked");b.classList.remove("hypeDragElementLocked");F(a,b,{locked:!1});c&&y(a,"unlock",b)}function Wb(a,b,c){var d=r(a);c||ua(a);Ka(a,b).forEach(e=>{d.selection.indexOf(e)===-1&&(d.selection.push(e),e.classList.add("hypeDragElementSelected"))})}
+function Sa(a,b){var c=r(a);Ka(a,b).forEach(d=>{var e=c.selection.indexOf(d);e!==-1&&(c.selection.splice(e,1),d.classList.remove("hypeDragElementSelected"))})}function ua(a){a=r(a);a.selection.forEach(b=>b.classList.remove("hypeDragElementSelected"));a.selection=[]}function Xb(a){return r(a).selection.slice()}function Yb(a,b){return b?typeof b!=="string"?b:a.getElementById(a.currentSceneId()).querySelector(`[data-drop-target="${b}"]`):null}function Za(a,b){var c=r(a),d=Yb(a,b);if(!d)return[];var e=
+a.getElementById(a.currentSceneId());return Object.keys(c.snappedTo).filter(f=>c.snappedTo[f]===d).map(f=>e.querySelector(`[data-drag-name="${f}"]`)).filter(f=>!!f)}function $a(a,b){return(b=typeof b==="string"?b:b&&b.dataset.dragName)&&r(a).snappedTo[b]||null}function Rb(a,b,c,d){var e=b.targetMap?.[d.dataset.dropTarget]||{},f=e.capacity;f===void 0&&d.hasAttribute("data-drop-capacity")&&(f=parseInt(d.getAttribute("data-drop-capacity"),10));if(typeof f!=="number"||isNaN(f))return null;e=e.policy||
+d.getAttribute("data-drop-policy")||"reject";d=Za(a,d).filter(g=>g!==c);f=d.length>=f;d=e==="replace"?d.filter(g=>Xa(a,b,g)):d;return{full:f,policy:e,displaced:!f||e!=="replace"&&e!=="swap"?null:d[0]||null}}function Xa(a,b,c){if(b=b.snapOrigins[c.dataset.dragName])return b;b=parseFloat(c.getAttribute("data-initial-left"));var d=parseFloat(c.getAttribute("data-initial-top"));return isNaN(b)||isNaN(d)||b===a.getElementProperty(c,"left")&&d===a.getElementProperty(c,"top")?null:{left:b,top:d,snappedTo:null}}
+function Wa(a,b,c,d,e){var f=r(a),g=b.dataset.dragName;Ma(a,b);a.setElementProperty(b,"left",c.left,d,e);a.setElementProperty(b,"top",c.top,d,e);b.setAttribute("data-initial-left",c.left);b.setAttribute("data-initial-top",c.top);c.snappedTo?f.snappedTo[g]=c.snappedTo:delete f.snappedTo[g];F(a,b,{left:c.left,top:c.top,snappedTo:c.snappedTo||null})}function Zb(a,b,c){a=r(a);a.answers=b||{};a.checkOptions=c||{};a.checkComplete=!1}function ra(a,b){var c=r(a),d=Object.assign({},c.checkOptions,b);b=a.getElementById(a.currentSceneId());
+var e=w("answerCorrectClass"),f=w("answerIncorrectClass"),g=[];b.querySelectorAll("[data-drag-name]").forEach(q=>{var n=q.dataset.dragName,p=ab(c,q);if(p){var u=c.connections.find(x=>x.source===q),t=(u=$a(a,q)||(u?u.target:null)||I(q,a))?u.dataset.dropTarget:null,v=t!==null&&p.indexOf(t)!==-1;g.push({dragName:n,element:q,target:u,targetName:t,expected:p,correct:v});d.mark&&(e&&q.classList.toggle(e,v),f&&q.classList.toggle(f,!v));d.lockCorrect&&v&&Q(a,q)}});var h=g.filter(q=>q.correct).length,k=g.length,
+l=k?h/k:0,m={items:g,correct:h,total:k,score:l,percent:l*100,complete:k>0&&h===k};a.customData&&a.customData.gameState&&(a.customData.gameState.check={correct:h,total:k,score:l,complete:m.complete});if(m.complete&&!c.checkComplete){if(typeof d.onComplete==="function")d.onComplete(a,m);y(a,"complete",b,m)}c.checkComplete=m.complete;y(a,"check",b,m);return m}function $b(a){var b=a.getElementById(a.currentSceneId());[w("answerCorrectClass"),w("answerIncorrectClass")].forEach(c=>{c&&b.querySelectorAll("."+
+c).forEach(d=>d.classList.remove(c))})}function ab(a,b){var c=b.dataset.dragName;a=a.answers[c]!==void 0?a.answers[c]:b.getAttribute("data-drag-answer");return a===null||a===void 0?null:C(a)}function ac(a,b){bb(a);var c=Object.assign({format:"xapi"},b);if(["xapi","scorm12","scorm2004"].indexOf(c.format)===-1)return console.warn('HypeDragController: Unknown reporting format "'+c.format+'".'),!1;b={options:c,attempts:{},startTimes:{},attempted:{},interactionIndex:0,transport:c.transport,api:null};if(c.format!==
+"xapi"){let d=b.api=c.api||bc(c.format==="scorm12"?"API":"API_1484_11");if(d){let e=parseInt(c.format==="scorm12"?d.LMSGetValue("cmi.interactions._count"):d.GetValue("cmi.interactions._count"),10);b.interactionIndex=e>0?e:0}!b.transport&&d&&(b.transport=e=>cc(d,c.format,e))}else!b.transport&&c.endpoint&&(b.transport=d=>dc(c,d));if(typeof b.transport!=="function")return console.warn("HypeDragController: Reporting needs a transport, an xAPI endpoint or a SCORM API."),!1;r(a).reporter=b;return!0}function bb(a){r(a).reporter=
+null}function bc(a){var b=[window,window.opener];for(let c=0;c<b.length;c++){let d=b[c];for(let e=0;d&&e<8;e++){try{if(d[a])return d[a]}catch(f){break}if(d.parent===d)break;d=d.parent}}return null}function cc(a,b,c){c.forEach(d=>{b==="scorm12"?a.LMSSetValue(d[0],String(d[1])):a.SetValue(d[0],String(d[1]))});b==="scorm12"?a.LMSCommit(""):a.Commit("")}function dc(a,b){var c={"Content-Type":"application/json","X-Experience-API-Version":"1.0.3"};a.auth&&(c.Authorization=a.auth);return fetch(a.endpoint.replace(/\/?$/,
+"/")+"statements",{method:"POST",headers:c,body:JSON.stringify(b)}).catch(d=>console.warn("HypeDragController: Sending the xAPI statement failed.",d))}function M(a,b){var c=d=>console.warn("HypeDragController: The reporting transport failed.",d);try{let d=a.transport(b,a.options.format);d&&typeof d.then==="function"&&d.then(null,c)}catch(d){c(d)}}function cb(a,b){a=Math.max(0,a)/1E3;if(b!=="scorm12")return"PT"+Math.round(a*100)/100+"S";b=c=>(c<10?"0":"")+c;return b(Math.floor(a/3600))+":"+b(Math.floor(a%
+3600/60))+":"+b((a%60).toFixed(2))}function Z(a){return String(a).replace(/[^\w.\-]/g,"_")}function yb(a,b,c,d){var e=b.options,f=e.format,g=r(a),h=a.currentSceneName(),k=d.dragName,l=(e.activityId||window.location.href.split("#")[0]).replace(/\/$/,"")+"/"+encodeURIComponent(h),m=n=>({actor:e.actor||{objectType:"Agent",account:{homePage:window.location.origin,name:"anonymous"}},verb:{id:"http://adlnet.gov/expapi/verbs/"+n,display:{"en-US":n}},object:{objectType:"Activity",id:l,definition:{name:{"en-US":h}}},
+context:e.registration?{registration:e.registration}:{},timestamp:(new Date).toISOString()});if(d.type==="start")b.startTimes[k]=Date.now(),b.attempted[h]||(b.attempted[h]=!0,f==="xapi"?M(b,m("attempted")):(c=f==="scorm12"?"cmi.core.lesson_status":"cmi.completion_status",f=b.api?f==="scorm12"?b.api.LMSGetValue(c):b.api.GetValue(c):"",["passed","completed","failed"].indexOf(f)===-1&&M(b,[[c,"incomplete"]])));else if(d.type==="drop"&&d.dropTarget&&!d.removed){d=d.dropTarget.dataset.dropTarget;a=(g=
+ab(g,c))?g.indexOf(d)!==-1:null;let n=b.attempts[k]=(b.attempts[k]||0)+1,p=Date.now()-(b.startTimes[k]||Date.now());if(f==="xapi")m=m("answered"),m.object={objectType:"Activity",id:l+"/"+encodeURIComponent(k),definition:{type:"http://adlnet.gov/expapi/activities/cmi.interaction",name:{"en-US":N(c)},interactionType:"matching",source:[{id:k,description:{"en-US":N(c)}}],target:(g||[]).concat(g&&g.indexOf(d)!==-1?[]:[d]).map(u=>({id:u,description:{"en-US":u}}))}},g&&(m.object.definition.correctResponsesPattern=
+g.map(u=>k+"[.]"+u)),m.result={response:k+"[.]"+d,duration:cb(p,f),extensions:{"http://id.tincanapi.com/extension/attempt-id":n}},a!==null&&(m.result.success=a),m.context.contextActivities={parent:[{id:l}]},M(b,m);else{c="cmi.interactions."+b.interactionIndex++ +".";var q=(m=f==="scorm12")?".":"[.]";f=[[c+"id",Z(k)],[c+"type","matching"],[c+(m?"student_response":"learner_response"),Z(k)+q+Z(d)],[c+"result",a===null?"neutral":a?"correct":m?"wrong":"incorrect"],[c+(m?"time":"timestamp"),m?(new Date).toTimeString().slice(0,
+8):(new Date).toISOString().slice(0,19)],[c+"latency",cb(p,f)]];g&&f.push([c+"correct_responses.0.pattern",g.map(u=>Z(k)+q+Z(u)).join(m?",":"[,]")]);M(b,f)}}else d.type==="check"&&d.total>0&&(f==="xapi"?(f=m(d.complete?"completed":"scored"),f.result={score:{scaled:d.score,raw:d.correct,min:0,max:d.total},success:d.complete,completion:d.complete},M(b,f)):f==="scorm12"?M(b,[["cmi.core.score.raw",d.correct],["cmi.core.score.min",0],["cmi.core.score.max",d.total],["cmi.core.lesson_status",d.complete?
+"passed":"incomplete"]]):M(b,[["cmi.score.scaled",d.score],["cmi.score.raw",d.correct],["cmi.score.min",0],["cmi.score.max",d.total],["cmi.completion_status",d.complete?"completed":"incomplete"],["cmi.success_status",d.complete?"passed":"unknown"]]))}function ec(a,b){var c=r(a);c.history.enabled=b!==!1;c.history.enabled||ia(a)}function db(a){return a.history.enabled===void 0?!!w("history"):a.history.enabled}function Qb(a,b,c,d){db(b)&&(d=[Object.assign({element:c},d)].concat(d.members||[]),b.history.open=
+{dragName:c.dataset.dragName,dropTarget:null,items:d.map(e=>({element:e.element,from:{left:e.initialLeft,top:e.initialTop,zIndex:e.initialZ,locked:!1,snappedTo:e.initialSnappedTo||null},to:{left:a.getElementProperty(e.element,"left"),top:a.getElementProperty(e.element,"top"),zIndex:a.getElementProperty(e.element,"z-index"),locked:e.element.classList.contains("hypeDragElementLocked"),snappedTo:null}}))})}function Ma(a,b,c){var d=r(a),e=d.history.open;e&&!e.items.some(f=>f.element===b)&&(a={left:a.getElementProperty(b,
+"left"),top:a.getElementProperty(b,"top"),zIndex:a.getElementProperty(b,"z-index"),locked:b.classList.contains("hypeDragElementLocked"),snappedTo:d.snappedTo[b.dataset.dragName]||null},e.items.push({element:b,from:Object.assign({},a,c),to:a}))}function F(a,b,c){(a=r(a).history.open)&&(a=a.items.find(d=>d.element===b))&&Object.assign(a.to,c)}function Tb(a,b){var c=a.history.open;c&&(a.history.open=null,c.dropTarget=b,c.items.some(d=>d.from.left!==d.to.left||d.from.top!==d.to.top||d.from.locked!==d.to.locked||
+d.from.snappedTo!==d.to.snappedTo)&&eb(a,c))}function eb(a,b){a.history.undo.push(b);a.history.redo=[];b=w("historyLimit");b>0&&a.history.undo.length>b&&a.history.undo.shift()}function Gb(a,b,c,d,e){if(db(a)){var f=g=>({source:g.source,target:g.target});eb(a,{dragName:b.dataset.dragName,dropTarget:c,items:[],connections:{added:d.map(f),removed:e.map(f)}})}}function fb(a,b,c,d,e){var f=r(a);b.items.forEach(g=>{if(g.element.isConnected){var h=g[c],k=g.element.dataset.dragName;a.setElementProperty(g.element,
+"left",h.left,d,e);a.setElementProperty(g.element,"top",h.top,d,e);a.setElementProperty(g.element,"z-index",h.zIndex);g.element.setAttribute("data-initial-left",h.left);g.element.setAttribute("data-initial-top",h.top);h.locked?Q(a,g.element):ha(a,g.element);h.snappedTo?f.snappedTo[k]=h.snappedTo:delete f.snappedTo[k]}});if(b.connections){let g=c==="from"?b.connections.removed:b.connections.added;(c==="from"?b.connections.added:b.connections.removed).forEach(h=>{var k=f.connections.find(l=>l.source===
+h.source&&l.target===h.target);k&&P(a,f,k)});g.forEach(h=>{h.source.isConnected&&h.target.isConnected&&qa(a,f,h.source,h.target)})}G(a,f,d);X(a)}function fc(a){var b=r(a),c=b.history.undo.pop();if(!c)return!1;var d=w();fb(a,c,"from",d.snapBackDuration,d.snapBackTiming);b.history.redo.push(c);return!0}function hc(a){var b=r(a),c=b.history.redo.pop();if(!c)return!1;var d=w();fb(a,c,"to",d.snapToDuration,d.snapToTiming);b.history.undo.push(c);return!0}function ia(a){a=r(a).history;a.undo=[];a.redo=[];
+a.open=null}function ic(a){r(a).recording={version:1,scene:a.currentSceneName(),startTime:Date.now(),events:[]}}function jc(a){a=r(a);var b=a.recording;if(!b)return null;a.recording=null;return{version:b.version,scene:b.scene,duration:Date.now()-b.startTime,events:b.events}}function Jb(a,b,c){a=a.recording;!a||c.replay||c.autoScroll||a.events.push({t:Date.now()-a.startTime,dragName:b,phase:c.hypeGesturePhase,x:c.hypeGestureXPosition,y:c.hypeGestureYPosition})}function kc(a,b,c){function d(){for(var l=
+Date.now()-k.startTime;k.index<h.length&&h[k.index].t/g<=l;){{var m=a,q=k,n=h[k.index++];let p=m.getElementById(m.currentSceneId()).querySelector('[data-drag-name="'+n.dragName+'"]');p&&(n.phase==="start"&&(q.active[n.dragName]=p),n.phase!=="end"&&n.phase!=="cancel"||delete q.active[n.dragName],H(m,p,{type:"replay",replay:!0,hypeGesturePhase:n.phase,hypeGestureXPosition:n.x,hypeGestureYPosition:n.y}))}}if(k.index<h.length)k.timer=setTimeout(d,h[k.index].t/g-l);else if(e.replay=null,typeof f.onComplete===
+"function")f.onComplete(a)}va(a);if(!b||!Array.isArray(b.events))return console.warn("HypeDragController: replay needs a recording returned by stopRecording.");b.scene&&b.scene!==a.currentSceneName()&&console.warn('HypeDragController: Replaying a recording of scene "'+b.scene+'" in scene "'+a.currentSceneName()+'".');var e=r(a),f=Object.assign({speed:1},c),g=f.speed>0?f.speed:1,h=b.events,k={index:0,timer:null,active:{},startTime:Date.now()};e.replay=k;d()}function va(a){var b=r(a),c=b.replay;c&&
+(b.replay=null,clearTimeout(c.timer),Object.keys(c.active).forEach(d=>{H(a,c.active[d],{type:"replay",replay:!0,hypeGesturePhase:"cancel"})}))}function gb(a){var b=r(a),c=a.getElementById(a.currentSceneId()),d={},e=g=>g&&c.contains(g)?g.dataset.dropTarget?{dropTarget:g.dataset.dropTarget}:{id:g.id}:null;c.querySelectorAll("[data-drag-name]").forEach(g=>{var h=g.dataset.dragName,k=b.snapOrigins[h];d[h]={left:a.getElementProperty(g,"left"),top:a.getElementProperty(g,"top"),zIndex:a.getElementProperty(g,
+"z-index"),locked:g.classList.contains("hypeDragElementLocked"),snappedTo:e(b.snappedTo[h]),snapOrigin:k?{left:k.left,top:k.top,snappedTo:e(k.snappedTo)}:null}});var f=b.connections.filter(g=>c.contains(g.source)).map(g=>({source:g.source.dataset.dragName,target:e(g.target)}));return{version:1,scene:a.currentSceneName(),items:d,connections:f}}function hb(a,b){if(b&&b.items){var c=r(a),d=a.getElementById(a.currentSceneId()),e=f=>f&&f.dropTarget?d.querySelector(`[data-drop-target="${f.dropTarget}"]`):
+f&&f.id?document.getElementById(f.id):null;Object.keys(b.items).forEach(f=>{var g=d.querySelector(`[data-drag-name="${f}"]`);if(g){var h=b.items[f];typeof h.left==="number"&&a.setElementProperty(g,"left",h.left);typeof h.top==="number"&&a.setElementProperty(g,"top",h.top);typeof h.zIndex==="number"&&(a.setElementProperty(g,"z-index",h.zIndex),c.zCounter=Math.max(c.zCounter,h.zIndex));g.setAttribute("data-initial-left",a.getElementProperty(g,"left"));g.setAttribute("data-initial-top",a.getElementProperty(g,
+"top"));h.locked?Q(a,g):ha(a,g);(g=e(h.snappedTo))?c.snappedTo[f]=g:delete c.snappedTo[f];h.snapOrigin?c.snapOrigins[f]={left:h.snapOrigin.left,top:h.snapOrigin.top,snappedTo:e(h.snapOrigin.snappedTo)}:delete c.snapOrigins[f]}});Array.isArray(b.connections)&&(c.connections.filter(f=>d.contains(f.source)).forEach(f=>P(a,c,f)),b.connections.forEach(f=>{var g=d.querySelector(`[data-drag-name="${f.source}"]`);f=e(f.target);g&&f&&qa(a,c,g,f)}));G(a,c)}}function wa(a,b){return"HypeDragController:"+a.documentId()+
+":"+(b||a.currentSceneName())}function X(a){if(w("persist")){var b=r(a),c=a.currentSceneName(),d=Math.max(w("snapToDuration"),w("snapBackDuration"))*1E3+50;clearTimeout(b.persistTimeout);b.persistTimeout=setTimeout(()=>{if(a.currentSceneName()===c)try{localStorage.setItem(wa(a,c),JSON.stringify(gb(a)))}catch(e){console.warn("HypeDragController: Could not persist drag state.",e)}},d)}}function lc(a,b){var c=r(a);clearTimeout(c.persistTimeout);try{localStorage.removeItem(wa(a,b))}catch(d){console.warn("HypeDragController: Could not clear persisted drag state.",
+d)}}function mc(a,b){r(a).interactionMap=b}function nc(a,b){r(a).targetMap=b}function oc(a,b,c){var d=r(a);Array.isArray(b)?b.forEach(e=>{ib(a,d,e,c)}):ib(a,d,b,c)}function ib(a,b,c,d){if(typeof c==="string"){var e=c;var f=a.getElementById(a.currentSceneId()).querySelector(`[data-drag-name="${e}"]`);if(!f){console.warn(`HypeDragController: No element found with data-drag-name="${e}".`,c);return}}else if(f=c,e=c.dataset.dragName,!e){console.warn('HypeDragController: Cannot set constraints on element without "data-drag-name" attribute.',
+c);return}b.constraints[e]=d||{};(d&&Object.prototype.hasOwnProperty.call(d,"autoSnap")?d.autoSnap:w("autoSnap"))&&setTimeout(()=>{xa(a,f)},0)}function xa(a,b){var c=r(a),d=b.dataset.dragName;if(d){var e=c.constraints?.[d];if(e){c=a.getElementProperty(b,"left");d=a.getElementProperty(b,"top");var f=K(a,b,e,c,d,c,d,!0);e=f.left;f=f.top;if(e!==c||f!==d)a.setElementProperty(b,"left",e),a.setElementProperty(b,"top",f),b.setAttribute("data-initial-left",e),b.setAttribute("data-initial-top",f)}}}function pc(a){var b=
+r(a),c=a.getElementById(a.currentSceneId()).querySelectorAll("[data-drag-name]"),d=w("autoSnap");c.forEach(e=>{var f=e.dataset.dragName,g={};e.hasAttribute("data-drag-min-x")&&(g.minX=parseFloat(e.getAttribute("data-drag-min-x")));e.hasAttribute("data-drag-max-x")&&(g.maxX=parseFloat(e.getAttribute("data-drag-max-x")));e.hasAttribute("data-drag-min-y")&&(g.minY=parseFloat(e.getAttribute("data-drag-min-y")));e.hasAttribute("data-drag-max-y")&&(g.maxY=parseFloat(e.getAttribute("data-drag-max-y")));
+e.hasAttribute("data-drag-axis")&&(g.axis=e.getAttribute("data-drag-axis"));e.hasAttribute("data-drag-within")&&(g.within=e.getAttribute("data-drag-within"));var h={};e.hasAttribute("data-drag-snap-grid")&&(h.grid=C(e.getAttribute("data-drag-snap-grid")).map(parseFloat));e.hasAttribute("data-drag-snap-origin")&&(h.origin=C(e.getAttribute("data-drag-snap-origin")).map(parseFloat));e.hasAttribute("data-drag-snap-points")&&(h.points=e.getAttribute("data-drag-snap-points").split(";").map(k=>C(k).map(parseFloat)));
+e.hasAttribute("data-drag-snap-mode")&&(h.mode=e.getAttribute("data-drag-snap-mode"));if(h.grid||h.points)g.snap=h;e.hasAttribute("data-drag-path-radius")?(g.path={center:C(e.getAttribute("data-drag-path-center")||"0,0").map(parseFloat),radius:parseFloat(e.getAttribute("data-drag-path-radius"))},e.hasAttribute("data-drag-path-arc")&&(h=C(e.getAttribute("data-drag-path-arc")).map(parseFloat),g.path.startAngle=h[0],g.path.endAngle=h[1])):e.hasAttribute("data-drag-path")&&(h=e.getAttribute("data-drag-path"),
+g.path=/^[\s\d.,;+-]+$/.test(h)?{points:h.split(";").map(k=>C(k).map(parseFloat)),closed:e.getAttribute("data-drag-path-closed")==="true"}:h.trim());e.hasAttribute("data-drag-auto-scroll")&&(g.autoScroll=e.getAttribute("data-drag-auto-scroll")!=="false");e.hasAttribute("data-drag-collide")&&(g.collide=e.getAttribute("data-drag-collide")!=="false");e.hasAttribute("data-drag-inertia")&&e.getAttribute("data-drag-inertia")!=="false"&&(g.inertia={},e.hasAttribute("data-drag-inertia-friction")&&(g.inertia.friction=
+parseFloat(e.getAttribute("data-drag-inertia-friction"))),e.hasAttribute("data-drag-inertia-bounce")&&(g.inertia.bounce=parseFloat(e.getAttribute("data-drag-inertia-bounce"))));Object.keys(g).length>0&&(b.constraints[f]=g);f=d;e.hasAttribute("data-drag-auto-snap")?f=e.getAttribute("data-drag-auto-snap")==="true":e.hasAttribute("data-drag-autosnap")&&(f=e.getAttribute("data-drag-autosnap")==="true");f&&Object.keys(g).length>0&&setTimeout(()=>{xa(a,e)},0)})}function N(a){return a?a.getAttribute("aria-label")||
+a.dataset.dragName||a.dataset.dropTarget||"":""}function O(a,b,c){if(b=(w("ariaMessages")||{})[b]){a="HypeDragControllerLive-"+a.documentId();var d=document.getElementById(a);d||(d=document.createElement("div"),d.id=a,d.className="hypeDragLiveRegion",d.setAttribute("aria-live","assertive"),d.setAttribute("aria-atomic","true"),document.body.appendChild(d));d.textContent=b.replace(/\{(\w+)\}/g,(e,f)=>c[f]!==void 0?c[f]:"")}}function qc(a){w("keyboard")&&a.getElementById(a.currentSceneId()).querySelectorAll("[data-drag-name]").forEach(b=>
+{b.hasAttribute("tabindex")||b.setAttribute("tabindex","0");b.hasAttribute("role")||b.setAttribute("role","button");b.hasAttribute("aria-roledescription")||b.setAttribute("aria-roledescription","draggable")})}function rc(a){w("multiTouch")&&a.getElementById(a.currentSceneId()).querySelectorAll("[data-drag-name]").forEach(b=>{b.style.touchAction="none"})}function ya(a,b,c){c={type:"keyboard",hypeGesturePhase:c,hypeGestureXPosition:b.x,hypeGestureYPosition:b.y};H(a,b.element,c);return c}function aa(a,
+b,c){var d=r(a).keyboard;d.x+=b;d.y+=c;b=ya(a,d,"move").dropTarget||null;b!==d.hoverTarget&&(d.hoverTarget=b,d=N(d.element),b?O(a,"over",{item:d,target:N(b)}):O(a,"leave",{item:d}))}function sc(a,b){var c=r(a),d=c.keyboard,e=a.getElementById(a.currentSceneId());e=Array.prototype.filter.call(e.querySelectorAll("[data-drop-target]"),f=>f!==d.element);e.length&&(d.targetIndex=(d.targetIndex+b+e.length)%e.length,b=B(D(a,e[d.targetIndex])),e=c.cloneGestures[d.element.dataset.dragName]||d.element,c=c.dragData[e.dataset.dragName],
+c=B(D(a,c&&c.ghost||e)),aa(a,b.left+b.width/2-(c.left+c.width/2),b.top+b.height/2-(c.top+c.height/2)))}function za(a,b){var c=r(a),d=c.keyboard;if(d){c.keyboard=null;var e=d.element;if(c=c.dragData[e.dataset.dragName])c.samples=[];d=ya(a,d,b?"cancel":"end");e.classList.remove("hypeDragElementGrabbed");e.setAttribute("aria-pressed","false");e=N(e);c=N(d.dropTarget);b?O(a,"cancel",{item:e}):d.accepted===!1?O(a,"reject",{item:e,target:c}):d.dropTarget?O(a,"drop",{item:e,target:c}):O(a,"dropNone",{item:e})}}
+function jb(a,b){b||=a.getElementById(a.currentSceneId());b.querySelectorAll("[data-drag-clone-of]").forEach(e=>pa(a,r(a),e));r(a).cloneGestures={};r(a).connections.filter(e=>b.contains(e.source)).forEach(e=>P(a,r(a),e));var c=r(a).connecting;Object.keys(c).filter(e=>b.contains(c[e].source)).forEach(e=>{c[e].line.remove();delete c[e]});b.querySelectorAll("[data-drag-name]").forEach(e=>{ha(a,e);e.removeAttribute("data-initial-left");e.removeAttribute("data-initial-top");[w("answerCorrectClass"),w("answerIncorrectClass")].forEach(f=>
+{f&&e.classList.remove(f)})});var d=w("dropTargetActiveClass");d&&b.querySelectorAll("."+d).forEach(e=>e.classList.remove(d));r(a).interactionMap={};r(a).targetMap={};ua(a);ia(a);r(a).snappedTo={};r(a).snapOrigins={};r(a).answers={};r(a).checkOptions={};r(a).checkComplete=!1;a.customData&&(a.customData.gameState={})}var R={bringToFront:!0,snapBackDuration:.4,snapBackTiming:"easeinout",snapToDuration:.3,snapToTiming:"easeout",resetOnSceneUnload:!1,autoSnap:!1,autoResolveDrop:!0,lockOnAccept:!1,dropTargetActiveClass:"hypeDropTargetActive",
+dropDetection:"overlap",dropAnchor:"top-left",magnetRadius:0,magnetStrength:.5,autoScroll:!1,autoScrollEdge:40,autoScrollSpeed:10,collideDraggables:!1,inertiaFriction:.95,inertiaBounce:0,inertiaMinVelocity:.02,sortDuration:.2,sortTiming:"easeinout",ghostOpacity:.5,connectRule:"one-to-one",connectRemoveOnClick:!0,cloneRemoveDuration:.2,cloneRemoveTiming:"easeout",answerCorrectClass:"hypeDragCorrect",answerIncorrectClass:"hypeDragIncorrect",persist:!1,history:!1,historyLimit:50,multiTouch:!1,keyboard:!0,
+keyboardStep:10,ariaMessages:{pickUp:"Picked up {item}. Use the arrow keys to move, Tab to cycle drop targets, Space to drop, Escape to cancel.",over:"{item} is over {target}.",leave:"{item} is not over a drop target.",drop:"Dropped {item} on {target}.",reject:"{target} does not accept {item}. {item} returned.",dropNone:"Dropped {item}.",cancel:"Cancelled. {item} returned to its starting position."}},ja={};"HYPE_eventListeners"in window===!1&&(window.HYPE_eventListeners=[]);window.HYPE_eventListeners.push({type:"HypeDocumentLoad",
+callback:function(a,b,c){kb();a.drag={handler:H.bind(null,a),on:vb.bind(null,a),off:wb.bind(null,a),snapBack:ta.bind(null,a),snapTo:Ya.bind(null,a),autoSnap:function(d){xa(a,d)},lock:Q.bind(null,a),unlock:ha.bind(null,a),select:Wb.bind(null,a),deselect:Sa.bind(null,a),clearSelection:ua.bind(null,a),getSelection:Xb.bind(null,a),startRecording:ic.bind(null,a),stopRecording:jc.bind(null,a),replay:kc.bind(null,a),stopReplay:va.bind(null,a),saveState:gb.bind(null,a),restoreState:hb.bind(null,a),clearPersistedState:lc.bind(null,
+a),getOccupants:Za.bind(null,a),getConnections:Hb.bind(null,a),disconnect:Ib.bind(null,a),setAnswers:Zb.bind(null,a),check:ra.bind(null,a),clearMarks:$b.bind(null,a),enableReporting:ac.bind(null,a),disableReporting:bb.bind(null,a),getClones:Qa.bind(null,a),getTargetOf:$a.bind(null,a),enableHistory:ec.bind(null,a),undo:fc.bind(null,a),redo:hc.bind(null,a),clearHistory:ia.bind(null,a),canUndo:function(){return r(a).history.undo.length>0},canRedo:function(){return r(a).history.redo.length>0},setInteractionMap:mc.bind(null,
+a),setTargetMap:nc.bind(null,a),setConstraints:oc.bind(null,a),resetState:jb.bind(null,a)};a.customData.gameState={};b=document.getElementById(a.documentId())||document;b.addEventListener("keydown",function(d){a:if(w("keyboard")){var e=r(a).keyboard,f=d.target&&d.target.closest?d.target.closest("[data-drag-name]"):null,g=a.getElementById(a.currentSceneId());if(e){f=w("keyboardStep")*(d.shiftKey?5:1);switch(d.key){case "ArrowLeft":aa(a,-f,0);break;case "ArrowRight":aa(a,f,0);break;case "ArrowUp":aa(a,
+0,-f);break;case "ArrowDown":aa(a,0,f);break;case "Tab":sc(a,d.shiftKey?-1:1);break;case " ":case "Enter":za(a,!1);break;case "Escape":za(a,!0);break;default:break a}d.preventDefault()}else!f||!g.contains(f)||f.classList.contains("hypeDragElementLocked")||d.key!==" "&&d.key!=="Enter"||(d.preventDefault(),d=r(a),e=B(D(a,f)),e={element:f,x:e.left+e.width/2,y:e.top+e.height/2,targetIndex:-1,hoverTarget:null},e.startX=e.x,e.startY=e.y,d.keyboard=e,ya(a,e,"start"),f.classList.add("hypeDragElementGrabbed"),
+f.setAttribute("aria-pressed","true"),O(a,"pickUp",{item:N(f)}))}});b.addEventListener("focusout",function(d){var e=r(a).keyboard;e&&d.target===e.element&&za(a,!0)});b.addEventListener("pointerdown",function(d){if(w("multiTouch")&&d.target.closest){var e=a.getElementById(a.currentSceneId()),f=d.target.closest("[data-drag-name]");f&&e&&e.contains(f)&&Ra(a,f,d)}})}});window.HYPE_eventListeners.push({type:"HypeScenePrepareForDisplay",callback:function(a,b,c){pc(a);qc(a);rc(a);if(w("persist")){b=null;
+try{b=JSON.parse(localStorage.getItem(wa(a)))}catch(d){console.warn("HypeDragController: Could not read persisted drag state.",d)}b&&hb(a,b)}}});window.HYPE_eventListeners.push({type:"HypeSceneUnload",callback:function(a,b,c){va(a);ia(a);var d=r(a);Object.keys(d.dragData).forEach(e=>{var f=d.dragData[e];f.glideFrame&&(cancelAnimationFrame(f.glideFrame),f.glideFrame=null,delete d.dragData[e])});w("resetOnSceneUnload")&&jb(a,b)}});return{version:"1.24.0",setDefault:function(a,b){typeof a==="object"?
+R=Object.assign(R,a):R[a]=b},getDefault:w}}());
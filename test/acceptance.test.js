@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createDocument } = require('./hype-document');
+
+const scene = `
+    <div id="apple" class="HYPE_element" data-drag-name="apple" data-drag-group="fruit" data-left="0" data-top="0" data-width="50" data-height="50"></div>
+    <div id="carrot" class="HYPE_element" data-drag-name="carrot" data-drag-group="vegetable" data-left="0" data-top="100" data-width="50" data-height="50"></div>
+    <div id="stone" class="HYPE_element" data-drag-name="stone" data-left="0" data-top="200" data-width="50" data-height="50"></div>
+    <div id="basket" class="HYPE_element" data-drop-target="basket" data-drop-accept="fruit" data-left="300" data-top="0" data-width="100" data-height="100"></div>`;
+
+test('an accepted drop snaps onto the target and a rejected one snaps back', () => {
+    const page = createDocument(scene);
+    const results = {};
+    const record = (hypeDocument, element, event) => { results[element.id] = event.accepted; };
+    page.hypeDocument.drag.setInteractionMap({ apple: { onDrop: record }, carrot: { onDrop: record } });
+
+    page.drag(page.$('#apple'), [[0, 0], [320, 20], [320, 20]]);
+    assert.strictEqual(results.apple, true);
+    assert.deepStrictEqual(page.position(page.$('#apple')), [300, 0]);
+    assert.strictEqual(page.hypeDocument.drag.getTargetOf(page.$('#apple')), page.$('#basket'));
+
+    page.drag(page.$('#carrot'), [[0, 0], [320, -80], [320, -80]]);
+    assert.strictEqual(results.carrot, false);
+    assert.deepStrictEqual(page.position(page.$('#carrot')), [0, 100]);
+    page.close();
+});
+
+test('drops without any rule are left alone and interaction map rules can lock on accept', () => {
+    const page = createDocument(scene);
+    let stone = 'unset';
+    page.hypeDocument.drag.setInteractionMap({
+        stone: { onDrop: (hypeDocument, element, event) => { stone = event.accepted; } },
+        apple: { accept: (hypeDocument, element, target) => target.id === 'basket', lockOnAccept: true }
+    });
+
+    page.drag(page.$('#stone'), [[0, 0], [150, 0], [150, 0]]);
+    assert.strictEqual(stone, null);
+    assert.deepStrictEqual(page.position(page.$('#stone')), [150, 200]);
+
+    page.drag(page.$('#apple'), [[0, 0], [310, 10], [310, 10]]);
+    assert.deepStrictEqual(page.position(page.$('#apple')), [300, 0]);
+    assert.ok(page.$('#apple').classList.contains('hypeDragElementLocked'));
+    page.close();
+});
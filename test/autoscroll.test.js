@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createDocument } = require('./hype-document');
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Animation frames run at the pace of the machine, so wait for the outcome instead of a fixed time
+async function waitFor(condition) {
+    for (let i = 0; i < 100 && !condition(); i++) await wait(20);
+}
+
+// jsdom has no layout: the pane shows 300x300 of its content and scrolls up to 40px to the right
+function createScrollDocument() {
+    const page = createDocument(`
+        <div id="pane" class="HYPE_element" style="overflow: auto" data-left="0" data-top="0" data-width="300" data-height="300">
+            <div id="card" class="HYPE_element" data-drag-name="card" data-left="0" data-top="0" data-width="50" data-height="50"></div>
+        </div>`);
+    const pane = page.$('#pane');
+    const card = page.$('#card');
+    let scrollLeft = 0;
+    Object.defineProperty(pane, 'scrollWidth', { value: 340 });
+    Object.defineProperty(pane, 'clientWidth', { value: 300 });
+    Object.defineProperty(pane, 'scrollLeft', { get: () => scrollLeft, set: value => { scrollLeft = Math.max(0, Math.min(40, value)); } });
+    Object.defineProperty(pane, 'scrollTop', { get: () => 0, set: () => {} });
+    pane.getBoundingClientRect = () => ({ left: 0, top: 0, right: 300, bottom: 300, width: 300, height: 300 });
+    card.getBoundingClientRect = () => {
+        const [left, top] = page.position(card);
+        return { left: left - scrollLeft, top: top, right: left - scrollLeft + 50, bottom: top + 50, width: 50, height: 50 };
+    };
+    return page;
+}
+
+test('dragging toward the edge scrolls the container and keeps the element under the pointer', async () => {
+    const page = createScrollDocument();
+    const pane = page.$('#pane');
+    const card = page.$('#card');
+    page.hypeDocument.drag.setConstraints('card', { autoScroll: { edge: 40, speed: 10 } });
+
+    const handler = page.hypeDocument.drag.handler;
+    handler(card, { hypeGesturePhase: 'start', hypeGestureXPosition: 0, hypeGestureYPosition: 0 });
+    handler(card, { hypeGesturePhase: 'move', hypeGestureXPosition: 260, hypeGestureYPosition: 0 });
+    await waitFor(() => pane.scrollLeft === 40);
+    assert.strictEqual(pane.scrollLeft, 40);
+    assert.deepStrictEqual(page.position(card), [300, 0]);
+
+    handler(card, { hypeGesturePhase: 'end', hypeGestureXPosition: 260, hypeGestureYPosition: 0 });
+    assert.deepStrictEqual(page.position(card), [300, 0]);
+    page.close();
+});
+
+test('containers do not scroll unless autoScroll is enabled', async () => {
+    const page = createScrollDocument();
+    const card = page.$('#card');
+    const handler = page.hypeDocument.drag.handler;
+    handler(card, { hypeGesturePhase: 'start', hypeGestureXPosition: 0, hypeGestureYPosition: 0 });
+    handler(card, { hypeGesturePhase: 'move', hypeGestureXPosition: 260, hypeGestureYPosition: 0 });
+    await wait(100);
+    assert.strictEqual(page.$('#pane').scrollLeft, 0);
+    handler(card, { hypeGesturePhase: 'end', hypeGestureXPosition: 260, hypeGestureYPosition: 0 });
+    assert.deepStrictEqual(page.position(card), [260, 0]);
+    page.close();
+});
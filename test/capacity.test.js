@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createDocument } = require('./hype-document');
+
+function createScene(policy) {
+    return createDocument(`
+        <div id="a" class="HYPE_element" data-drag-name="a" data-drag-group="cards" data-left="0" data-top="0" data-width="50" data-height="50"></div>
+        <div id="b" class="HYPE_element" data-drag-name="b" data-drag-group="cards" data-left="0" data-top="200" data-width="50" data-height="50"></div>
+        <div id="slot" class="HYPE_element" data-drop-target="slot" data-drop-capacity="1" data-drop-policy="${policy}" data-left="300" data-top="100" data-width="50" data-height="50"></div>
+        <div id="home" class="HYPE_element" data-drop-target="home" data-left="300" data-top="300" data-width="50" data-height="50"></div>`);
+}
+
+test('reject keeps the occupant and sends the new element back', () => {
+    const page = createScene('reject');
+    const a = page.$('#a');
+    const b = page.$('#b');
+    let event = null;
+    page.hypeDocument.drag.setInteractionMap({ b: { onDrop: (hypeDocument, element, dropEvent) => { event = dropEvent; } } });
+
+    page.drag(a, [[0, 0], [310, 110], [310, 110]]);
+    page.drag(b, [[0, 0], [310, -90], [310, -90]]);
+    assert.strictEqual(event.accepted, false);
+    assert.strictEqual(event.displaced, null);
+    assert.deepStrictEqual(page.position(a), [300, 100]);
+    assert.deepStrictEqual(page.position(b), [0, 200]);
+    assert.deepStrictEqual(Array.from(page.hypeDocument.drag.getOccupants('slot')), [a]);
+    page.close();
+});
+
+test('replace sends the occupant back to where it was snapped from', () => {
+    const page = createScene('replace');
+    const a = page.$('#a');
+    const b = page.$('#b');
+    const slot = page.$('#slot');
+
+    page.drag(a, [[0, 0], [310, 110], [310, 110]]);
+    page.drag(b, [[0, 0], [310, -90], [310, -90]]);
+    assert.deepStrictEqual(page.position(a), [0, 0]);
+    assert.deepStrictEqual(page.position(b), [300, 100]);
+    assert.strictEqual(page.hypeDocument.drag.getTargetOf(a), null);
+    assert.strictEqual(page.hypeDocument.drag.getTargetOf(b), slot);
+    page.close();
+});
+
+test('replace works after restoring a snapshot', () => {
+    const page = createScene('replace');
+    const a = page.$('#a');
+    const b = page.$('#b');
+
+    page.drag(a, [[0, 0], [310, 110], [310, 110]]);
+    const snapshot = JSON.parse(JSON.stringify(page.hypeDocument.drag.saveState()));
+    assert.deepStrictEqual(snapshot.items.a.snapOrigin, { left: 0, top: 0, snappedTo: null });
+
+    page.hypeDocument.drag.resetState();
+    page.hypeDocument.drag.restoreState(snapshot);
+    page.drag(b, [[0, 0], [310, -90], [310, -90]]);
+    assert.deepStrictEqual(page.position(a), [0, 0]);
+    assert.deepStrictEqual(page.position(b), [300, 100]);
+    page.close();
+});
+
+test('replace rejects the drop if the occupant has nowhere to return to', () => {
+    const page = createScene('replace');
+    const a = page.$('#a');
+    const b = page.$('#b');
+
+    page.drag(a, [[0, 0], [310, 110], [310, 110]]);
+    const snapshot = page.hypeDocument.drag.saveState();
+    delete snapshot.items.a.snapOrigin;
+    page.hypeDocument.drag.resetState();
+    page.hypeDocument.drag.restoreState(snapshot);
+
+    page.drag(b, [[0, 0], [310, -90], [310, -90]]);
+    assert.deepStrictEqual(page.position(a), [300, 100]);
+    assert.deepStrictEqual(page.position(b), [0, 200]);
+    page.close();
+});
+
+test('swap moves the occupant to the target the element came from', () => {
+    const page = createScene('swap');
+    const a = page.$('#a');
+    const b = page.$('#b');
+    const slot = page.$('#slot');
+    const home = page.$('#home');
+
+    page.drag(a, [[0, 0], [310, 110], [310, 110]]);
+    page.drag(b, [[0, 0], [310, 110], [310, 110]]);
+    assert.strictEqual(page.hypeDocument.drag.getTargetOf(b), home);
+
+    page.drag(b, [[0, 0], [10, -190], [10, -190]]);
+    assert.deepStrictEqual(page.position(b), [300, 100]);
+    assert.deepStrictEqual(page.position(a), [300, 300]);
+    assert.strictEqual(page.hypeDocument.drag.getTargetOf(b), slot);
+    assert.strictEqual(page.hypeDocument.drag.getTargetOf(a), home);
+    page.close();
+});
@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createDocument } = require('./hype-document');
+
+const scene = `
+    <div id="cat" class="HYPE_element" data-drag-name="cat" data-drag-answer="animals" data-left="0" data-top="0" data-width="50" data-height="50"></div>
+    <div id="rose" class="HYPE_element" data-drag-name="rose" data-drag-answer="plants" data-left="0" data-top="100" data-width="50" data-height="50"></div>
+    <div id="oak" class="HYPE_element" data-drag-name="oak" data-drag-answer="plants, trees" data-left="0" data-top="200" data-width="50" data-height="50"></div>
+    <div id="animals" class="HYPE_element" data-drop-target="animals" data-left="300" data-top="0" data-width="100" data-height="100"></div>
+    <div id="plants" class="HYPE_element" data-drop-target="plants" data-left="300" data-top="200" data-width="100" data-height="100"></div>`;
+
+test('check scores the drop target of every item with an answer', () => {
+    const page = createDocument(scene);
+    const hypeDocument = page.hypeDocument;
+
+    let result = hypeDocument.drag.check();
+    assert.strictEqual(result.total, 3);
+    assert.strictEqual(result.correct, 0);
+    assert.strictEqual(result.complete, false);
+
+    page.drag(page.$('#cat'), [[0, 0], [320, 20], [320, 20]]);
+    page.drag(page.$('#rose'), [[0, 0], [320, -80], [320, -80]]);
+    page.drag(page.$('#oak'), [[0, 0], [320, 20], [320, 20]]);
+    result = hypeDocument.drag.check({ mark: true });
+    assert.strictEqual(result.correct, 2);
+    assert.strictEqual(result.score, 2 / 3);
+    assert.deepStrictEqual(Array.from(result.items, item => [item.dragName, item.targetName, item.correct]), [
+        ['cat', 'animals', true],
+        ['rose', 'animals', false],
+        ['oak', 'plants', true]
+    ]);
+    assert.ok(page.$('#cat').classList.contains(page.controller.getDefault('answerCorrectClass')));
+    assert.ok(page.$('#rose').classList.contains(page.controller.getDefault('answerIncorrectClass')));
+    page.close();
+});
+
+test('setAnswers overrides attributes and onComplete fires once when everything is correct', () => {
+    const page = createDocument(scene);
+    const hypeDocument = page.hypeDocument;
+    let completed = 0;
+    hypeDocument.drag.setAnswers({ cat: 'animals', rose: 'animals', oak: 'plants' }, {
+        autoCheck: true,
+        lockCorrect: true,
+        onComplete: () => completed++
+    });
+
+    page.drag(page.$('#cat'), [[0, 0], [320, 20], [320, 20]]);
+    page.drag(page.$('#rose'), [[0, 0], [320, -80], [320, -80]]);
+    assert.strictEqual(completed, 0);
+    assert.ok(page.$('#cat').classList.contains('hypeDragElementLocked'));
+
+    page.drag(page.$('#oak'), [[0, 0], [320, 20], [320, 20]]);
+    assert.strictEqual(completed, 1);
+    assert.strictEqual(hypeDocument.drag.check().percent, 100);
+    assert.strictEqual(completed, 1);
+    page.close();
+});
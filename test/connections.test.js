@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createDocument } = require('./hype-document');
+
+const scene = `
+    <div id="cat" class="HYPE_element" data-drag-name="cat" data-drag-connect-source="one-to-one" data-left="0" data-top="0" data-width="50" data-height="50"></div>
+    <div id="dog" class="HYPE_element" data-drag-name="dog" data-drag-connect-source="one-to-one" data-left="0" data-top="100" data-width="50" data-height="50"></div>
+    <div id="meow" class="HYPE_element" data-drag-name="meow" data-drop-target="meow" data-left="300" data-top="0" data-width="50" data-height="50"></div>
+    <div id="bark" class="HYPE_element" data-drop-target="bark" data-left="300" data-top="100" data-width="50" data-height="50"></div>`;
+
+function pairs(page) {
+    return Array.from(page.hypeDocument.drag.getConnections(), connection => [connection.sourceName, connection.targetName]);
+}
+
+function lines(page, selector) {
+    return Array.from(page.window.document.querySelectorAll(selector), line => ['x1', 'y1', 'x2', 'y2'].map(name => Number(line.getAttribute(name))));
+}
+
+test('a new line lists every replaced connection once and can be undone', () => {
+    const page = createDocument(scene);
+    let event = null;
+    page.hypeDocument.drag.enableHistory();
+    page.hypeDocument.drag.setInteractionMap({ dog: { onDrop: (hypeDocument, element, dropEvent) => { event = dropEvent; } } });
+
+    page.drag(page.$('#cat'), [[25, 25], [325, 25], [325, 25]]);
+    page.drag(page.$('#dog'), [[25, 125], [325, 125], [325, 125]]);
+    page.drag(page.$('#dog'), [[25, 125], [325, 25], [325, 25]]);
+    assert.deepStrictEqual(pairs(page), [['dog', 'meow']]);
+    assert.deepStrictEqual(Array.from(event.disconnected, connection => [connection.source.id, connection.target.id]), [['dog', 'bark'], ['cat', 'meow']]);
+
+    assert.strictEqual(page.hypeDocument.drag.undo(), true);
+    assert.deepStrictEqual(pairs(page).sort(), [['cat', 'meow'], ['dog', 'bark']]);
+    assert.strictEqual(page.hypeDocument.drag.redo(), true);
+    assert.deepStrictEqual(pairs(page), [['dog', 'meow']]);
+    assert.strictEqual(lines(page, '.hypeDragConnector').length, 1);
+    page.close();
+});
+
+test('lines follow a target that moves', () => {
+    const page = createDocument(scene);
+    page.drag(page.$('#cat'), [[25, 25], [325, 25], [325, 25]]);
+    assert.deepStrictEqual(lines(page, '.hypeDragConnector'), [[25, 25, 325, 25]]);
+
+    page.drag(page.$('#meow'), [[0, 0], [0, 200], [0, 200]]);
+    assert.deepStrictEqual(lines(page, '.hypeDragConnector'), [[25, 25, 325, 225]]);
+    page.close();
+});
+
+test('connections are saved and restored with the scene state', () => {
+    const page = createDocument(scene);
+    page.drag(page.$('#cat'), [[25, 25], [325, 125], [325, 125]]);
+    const snapshot = JSON.parse(JSON.stringify(page.hypeDocument.drag.saveState()));
+    assert.deepStrictEqual(snapshot.connections, [{ source: 'cat', target: { dropTarget: 'bark' } }]);
+
+    page.hypeDocument.drag.resetState();
+    assert.deepStrictEqual(pairs(page), []);
+    page.hypeDocument.drag.restoreState(snapshot);
+    assert.deepStrictEqual(pairs(page), [['cat', 'bark']]);
+    assert.deepStrictEqual(lines(page, '.hypeDragConnector'), [[25, 25, 325, 125]]);
+    page.close();
+});
+
+test('live lines do not outlive a restarted gesture or a reset', () => {
+    const page = createDocument(scene);
+    const handler = page.hypeDocument.drag.handler;
+    handler(page.$('#cat'), { hypeGesturePhase: 'start', hypeGestureXPosition: 25, hypeGestureYPosition: 25 });
+    handler(page.$('#cat'), { hypeGesturePhase: 'start', hypeGestureXPosition: 25, hypeGestureYPosition: 25 });
+    assert.strictEqual(lines(page, '.hypeDragConnectorActive').length, 1);
+
+    page.hypeDocument.drag.resetState();
+    assert.strictEqual(lines(page, '.hypeDragConnectorActive').length, 0);
+    page.close();
+});
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createDocument } = require('./hype-document');
+
+// After the drag the card covers 170..270 x 0..100 and the pointer is at 265,5
+const scene = `
+    <div id="card" class="HYPE_element" data-drag-name="card" data-left="0" data-top="0" data-width="100" data-height="100"></div>
+    <div id="wide" class="HYPE_element" data-drop-target="wide" data-left="150" data-top="0" data-width="60" data-height="100"></div>
+    <div id="corner" class="HYPE_element" data-drop-target="corner" data-left="240" data-top="0" data-width="30" data-height="30"></div>
+    <div id="middle" class="HYPE_element" data-drop-target="middle" data-left="215" data-top="40" data-width="10" data-height="20"></div>`;
+
+function dropTargetFor(detection, attributes) {
+    const page = createDocument(scene);
+    const card = page.$('#card');
+    Object.keys(attributes || {}).forEach(name => card.setAttribute(name, attributes[name]));
+    let target = 'none';
+    page.hypeDocument.drag.setInteractionMap({
+        card: Object.assign(detection ? { dropDetection: detection } : {}, { onDrop: (hypeDocument, element, event) => { target = event.dropTarget && event.dropTarget.id; } })
+    });
+    page.drag(card, [[95, 5], [265, 5], [265, 5]]);
+    page.close();
+    return target;
+}
+
+test('each strategy picks its own drop target for the same release', () => {
+    assert.strictEqual(dropTargetFor(null), 'wide');
+    assert.strictEqual(dropTargetFor('pointer'), 'corner');
+    assert.strictEqual(dropTargetFor('center'), 'middle');
+    assert.strictEqual(dropTargetFor({ mode: 'overlap', minRatio: 0.7 }), 'corner');
+});
+
+test('attributes choose a strategy and the interaction map overrides them', () => {
+    assert.strictEqual(dropTargetFor(null, { 'data-drop-detection': 'center' }), 'middle');
+    assert.strictEqual(dropTargetFor(null, { 'data-drop-detection': 'overlap', 'data-drop-min-ratio': '0.7' }), 'corner');
+    assert.strictEqual(dropTargetFor('pointer', { 'data-drop-detection': 'center' }), 'corner');
+});
+
+test('pointer detection works with Hype\'s page coordinates on an offset, scaled scene', () => {
+    const page = createDocument(scene);
+    const sceneEl = page.$('#scene');
+    sceneEl.getBoundingClientRect = () => ({ left: 100, top: 50, width: 1000, height: 800, right: 1100, bottom: 850 });
+    Object.defineProperty(sceneEl, 'offsetWidth', { value: 500 });
+    let target = null;
+    page.hypeDocument.drag.setInteractionMap({ card: { dropDetection: 'pointer', onDrop: (hypeDocument, element, event) => { target = event.dropTarget; } } });
+
+    // Scene points 95,5 and 265,5 at twice the size, 100,50 into the page
+    page.drag(page.$('#card'), [[290, 60], [630, 60], [630, 60]]);
+    assert.deepStrictEqual(page.position(page.$('#card')), [170, 0]);
+    assert.strictEqual(target, page.$('#corner'));
+    page.close();
+});
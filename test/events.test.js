@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createDocument } = require('./hype-document');
+
+const scene = `
+    <div id="card" class="HYPE_element" data-drag-name="card" data-left="0" data-top="0" data-width="50" data-height="50"></div>
+    <div id="slot" class="HYPE_element" data-drop-target="slot" data-left="200" data-top="0" data-width="50" data-height="50"></div>`;
+
+test('listeners and DOM events follow the drag lifecycle, a failing listener does not stop the others', () => {
+    const page = createDocument(scene);
+    const types = [];
+    const drops = [];
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+        page.hypeDocument.drag.on('*', (hypeDocument, element, detail) => types.push(detail.type));
+        page.hypeDocument.drag.on('drop', () => { throw new Error('broken'); });
+        page.hypeDocument.drag.on('drop', (hypeDocument, element, detail) => drops.push(detail.dropTarget));
+        page.window.document.addEventListener('hypedrag:drop', event => drops.push(event.detail.dragName));
+
+        page.drag(page.$('#card'), [[0, 0], [210, 10], [210, 10]]);
+    } finally {
+        console.warn = warn;
+    }
+    assert.deepStrictEqual(types, ['start', 'move', 'enter', 'over', 'leave', 'drop']);
+    assert.deepStrictEqual(drops, [page.$('#slot'), 'card']);
+    page.close();
+});
+
+test('off removes a listener, and lock and unlock fire only when the state changes', () => {
+    const page = createDocument(scene);
+    const card = page.$('#card');
+    const types = [];
+    const listener = (hypeDocument, element, detail) => types.push(detail.type);
+    page.hypeDocument.drag.on('lock', listener);
+    page.hypeDocument.drag.on('unlock', listener);
+
+    page.hypeDocument.drag.lock(card);
+    page.hypeDocument.drag.lock(card);
+    page.hypeDocument.drag.unlock(card);
+    page.hypeDocument.drag.unlock(card);
+    assert.deepStrictEqual(types, ['lock', 'unlock']);
+
+    page.hypeDocument.drag.off('lock', listener);
+    page.hypeDocument.drag.lock(card);
+    assert.deepStrictEqual(types, ['lock', 'unlock']);
+    page.close();
+});
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createDocument } = require('./hype-document');
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Records the timeline calls made on a Hype document or symbol instance
+function timelineApi(calls, prefix) {
+    return {
+        startTimelineNamed: name => calls.push(prefix + 'start:' + name),
+        continueTimelineNamed: (name, direction) => calls.push(prefix + (direction === 'reverse' ? 'reverse:' : 'continue:') + name),
+        pauseTimelineNamed: name => calls.push(prefix + 'pause:' + name),
+        goToTimeInTimelineNamed: (time, name) => calls.push(prefix + 'goto:' + name + '@' + time),
+        durationForTimelineNamed: () => 10
+    };
+}
+
+test('data attributes run timelines at drag moments and show a scene after an accepted drop', async () => {
+    const page = createDocument(`
+        <div id="card" class="HYPE_element" data-drag-name="card" data-left="0" data-top="0" data-width="50" data-height="50"
+            data-drag-on-start-timeline="Lift" data-drag-on-accept-timeline="pause:Idle, Correct" data-drag-on-accept-scene="Next Scene"></div>
+        <div id="slot" class="HYPE_element" data-drop-target="slot" data-left="200" data-top="0" data-width="50" data-height="50"></div>`);
+    const calls = [];
+    Object.assign(page.hypeDocument, timelineApi(calls, ''), {
+        kDirectionForward: 'forward',
+        kDirectionReverse: 'reverse',
+        showSceneNamed: name => calls.push('scene:' + name)
+    });
+
+    page.drag(page.$('#card'), [[0, 0], [200, 0], [200, 0]]);
+    assert.deepStrictEqual(calls, ['start:Lift', 'pause:Idle', 'start:Correct']);
+    await wait(10);
+    assert.deepStrictEqual(calls.slice(3), ['scene:Next Scene']);
+    page.close();
+});
+
+test('the interaction map takes precedence and runs reject timelines on a symbol instance', () => {
+    const page = createDocument(`
+        <div id="card" class="HYPE_element" data-drag-name="card" data-left="0" data-top="0" data-width="50" data-height="50" data-drag-on-reject-timeline="Ignored"></div>
+        <div id="basket" class="HYPE_element" data-drop-target="basket" data-drop-accept="fruit" data-left="200" data-top="0" data-width="50" data-height="50"></div>`);
+    const calls = [];
+    const symbol = timelineApi(calls, 'symbol:');
+    Object.assign(page.hypeDocument, timelineApi(calls, ''), {
+        kDirectionForward: 'forward',
+        kDirectionReverse: 'reverse',
+        getSymbolInstanceById: id => (id === 'mascot' ? symbol : null)
+    });
+    page.hypeDocument.drag.setInteractionMap({ card: { symbol: 'mascot', timelines: { reject: ['reverse:Smile', 'Wrong'] } } });
+
+    page.drag(page.$('#card'), [[0, 0], [200, 0], [200, 0]]);
+    assert.deepStrictEqual(calls, ['symbol:reverse:Smile', 'symbol:start:Wrong']);
+    page.close();
+});
+
+test('a scrub timeline follows the normalized drag position', () => {
+    const page = createDocument(`
+        <div id="knob" class="HYPE_element" data-drag-name="knob" data-left="0" data-top="0" data-width="20" data-height="20"
+            data-drag-min-x="0" data-drag-max-x="200" data-drag-scrub-timeline="Sunrise"></div>`);
+    const calls = [];
+    Object.assign(page.hypeDocument, timelineApi(calls, ''));
+
+    page.drag(page.$('#knob'), [[0, 0], [50, 0], [150, 30], [150, 30]]);
+    assert.ok(calls.includes('goto:Sunrise@2.5'));
+    assert.strictEqual(calls[calls.length - 1], 'goto:Sunrise@7.5');
+    page.close();
+});
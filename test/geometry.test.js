@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createDocument } = require('./hype-document');
+
+test('drop detection uses the visual box of a rotated element', () => {
+    const page = createDocument(`
+        <div id="bar" class="HYPE_element" data-drag-name="bar" data-rotateZ="90" data-left="0" data-top="0" data-width="100" data-height="20"></div>
+        <div id="slot" class="HYPE_element" data-drop-target="slot" data-left="40" data-top="50" data-width="20" data-height="20"></div>`);
+    let target = null;
+    page.hypeDocument.drag.setInteractionMap({ bar: { onDrop: (hypeDocument, element, event) => { target = event.dropTarget; } } });
+
+    // Rotated around its center, the bar covers 40..60 x -40..60
+    page.drag(page.$('#bar'), [[0, 0], [0, 0]]);
+    assert.strictEqual(target, page.$('#slot'));
+    page.close();
+});
+
+test('snapTo converts into the left/top space of a rotated parent group', () => {
+    const page = createDocument(`
+        <div id="group" class="HYPE_element" data-left="100" data-top="100" data-width="100" data-height="100" data-rotateZ="180">
+            <div id="card" class="HYPE_element" data-drag-name="card" data-left="0" data-top="0" data-width="20" data-height="20"></div>
+        </div>
+        <div id="slot" class="HYPE_element" data-left="300" data-top="300" data-width="20" data-height="20"></div>`);
+    const card = page.$('#card');
+
+    // Turned around the group's center, a local x maps to the scene x 200 - x
+    const position = page.hypeDocument.drag.snapTo(card, page.$('#slot'));
+    assert.deepStrictEqual([Math.round(position.left), Math.round(position.top)], [-120, -120]);
+    page.close();
+});
+
+test('within a selector region keeps the visual box of a scaled element inside', () => {
+    const page = createDocument(`
+        <div id="area" class="HYPE_element gameArea" data-left="0" data-top="0" data-width="300" data-height="300"></div>
+        <div id="card" class="HYPE_element" data-drag-name="card" data-scaleX="2" data-scaleY="2" data-left="50" data-top="50" data-width="50" data-height="50"></div>`);
+    page.hypeDocument.drag.setConstraints('card', { within: '.gameArea' });
+
+    // Scaled around its center the card is 100 wide and reaches 25px beyond its left/top
+    page.drag(page.$('#card'), [[0, 0], [-200, 500], [-200, 500]]);
+    assert.deepStrictEqual(page.position(page.$('#card')), [25, 225]);
+    page.close();
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createDocument } = require('./hype-document');
+
+const scene = `
+    <div id="card" class="HYPE_element" data-drag-name="card" data-drag-group="cards" data-left="0" data-top="0" data-width="50" data-height="50"></div>
+    <div id="slot" class="HYPE_element" data-drop-target="slot" data-left="200" data-top="100" data-width="50" data-height="50"></div>`;
+
+test('undo and redo revert and re-apply a snapped drop', () => {
+    const page = createDocument(scene);
+    const hypeDocument = page.hypeDocument;
+    const card = page.$('#card');
+    const slot = page.$('#slot');
+    hypeDocument.drag.enableHistory();
+
+    page.drag(card, [[0, 0], [210, 110], [210, 110]]);
+    assert.deepStrictEqual(page.position(card), [200, 100]);
+    assert.strictEqual(hypeDocument.drag.getTargetOf(card), slot);
+    assert.strictEqual(hypeDocument.drag.canUndo(), true);
+
+    assert.strictEqual(hypeDocument.drag.undo(), true);
+    assert.deepStrictEqual(page.position(card), [0, 0]);
+    assert.strictEqual(hypeDocument.drag.getTargetOf(card), null);
+    assert.strictEqual(hypeDocument.drag.canUndo(), false);
+    assert.strictEqual(hypeDocument.drag.canRedo(), true);
+
+    assert.strictEqual(hypeDocument.drag.redo(), true);
+    assert.deepStrictEqual(page.position(card), [200, 100]);
+    assert.strictEqual(hypeDocument.drag.getTargetOf(card), slot);
+    assert.strictEqual(hypeDocument.drag.canRedo(), false);
+    page.close();
+});
+
+test('a new drag clears the redo stack and drags without changes are not recorded', () => {
+    const page = createDocument(scene);
+    const hypeDocument = page.hypeDocument;
+    const card = page.$('#card');
+    page.controller.setDefault('autoResolveDrop', false);
+    hypeDocument.drag.enableHistory();
+
+    page.drag(card, [[0, 0], [0, 0]]);
+    assert.strictEqual(hypeDocument.drag.canUndo(), false);
+
+    page.drag(card, [[0, 0], [30, 40], [30, 40]]);
+    page.drag(card, [[0, 0], [10, 0], [10, 0]]);
+    assert.deepStrictEqual(page.position(card), [40, 40]);
+
+    hypeDocument.drag.undo();
+    assert.deepStrictEqual(page.position(card), [30, 40]);
+    page.drag(card, [[0, 0], [0, 10], [0, 10]]);
+    assert.strictEqual(hypeDocument.drag.canRedo(), false);
+
+    hypeDocument.drag.undo();
+    hypeDocument.drag.undo();
+    assert.deepStrictEqual(page.position(card), [0, 0]);
+    assert.strictEqual(hypeDocument.drag.undo(), false);
+    page.close();
+});
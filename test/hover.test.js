@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createDocument } = require('./hype-document');
+
+const scene = `
+    <div id="card" class="HYPE_element" data-drag-name="card" data-drag-group="cards" data-left="0" data-top="0" data-width="50" data-height="50"></div>
+    <div id="slot1" class="HYPE_element" data-drop-target="slot1" data-left="200" data-top="0" data-width="50" data-height="50"></div>
+    <div id="slot2" class="HYPE_element" data-drop-target="slot2" data-drop-accept="shapes" data-left="400" data-top="0" data-width="50" data-height="50"></div>`;
+
+test('enter, over and leave fire for the draggable and the target while the active class follows the hover', () => {
+    const page = createDocument(scene);
+    const calls = [];
+    const log = name => (hypeDocument, element, event) => calls.push([name, element.id, event.dropTarget && event.dropTarget.id, event.accepted]);
+    page.hypeDocument.drag.setInteractionMap({ card: { onDragEnter: log('enter'), onDragOver: log('over'), onDragLeave: log('leave') } });
+    page.hypeDocument.drag.setTargetMap({ slot2: { onDragEnter: log('target enter') } });
+
+    const handler = page.hypeDocument.drag.handler;
+    const card = page.$('#card');
+    handler(card, { hypeGesturePhase: 'start', hypeGestureXPosition: 0, hypeGestureYPosition: 0 });
+    handler(card, { hypeGesturePhase: 'move', hypeGestureXPosition: 200, hypeGestureYPosition: 0 });
+    assert.ok(page.$('#slot1').classList.contains('hypeDropTargetActive'));
+    handler(card, { hypeGesturePhase: 'move', hypeGestureXPosition: 400, hypeGestureYPosition: 0 });
+    assert.ok(!page.$('#slot1').classList.contains('hypeDropTargetActive'));
+    assert.ok(page.$('#slot2').classList.contains('hypeDropTargetActive'));
+    handler(card, { hypeGesturePhase: 'end', hypeGestureXPosition: 400, hypeGestureYPosition: 0 });
+    assert.ok(!page.$('#slot2').classList.contains('hypeDropTargetActive'));
+
+    assert.deepStrictEqual(calls, [
+        ['enter', 'card', 'slot1', true],
+        ['over', 'card', 'slot1', true],
+        ['leave', 'card', 'slot1', true],
+        ['enter', 'card', 'slot2', false],
+        ['target enter', 'slot2', 'slot2', false],
+        ['over', 'card', 'slot2', false],
+        ['leave', 'card', 'slot2', false]
+    ]);
+    page.close();
+});
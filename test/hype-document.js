@@ -0,0 +1,74 @@
+/*
+ * Minimal Hype runtime for the tests: a jsdom window with HypeDragController loaded
+ * and a hypeDocument whose element properties are read from data-left, data-top, ...
+ * attributes and set immediately, ignoring animation durations.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+const source = fs.readFileSync(path.join(__dirname, '..', 'HypeDragController.js'), 'utf8');
+const defaults = { scaleX: 1, scaleY: 1, opacity: 1 };
+
+function createDocument(html) {
+    const dom = new JSDOM('<!doctype html><html><head></head><body><div id="document"><div id="scene" class="HYPE_scene">' + html + '</div></div></body></html>', {
+        url: 'http://localhost/',
+        runScripts: 'outside-only',
+        pretendToBeVisual: true
+    });
+    const window = dom.window;
+    window.eval(source);
+
+    const properties = new Map();
+    function props(element) {
+        if (!properties.has(element)) {
+            const values = {};
+            ['left', 'top', 'width', 'height', 'z-index', 'rotateZ', 'scaleX', 'scaleY', 'opacity'].forEach(name => {
+                const value = element.getAttribute('data-' + name);
+                values[name] = value === null ? (defaults[name] || 0) : parseFloat(value);
+            });
+            properties.set(element, values);
+        }
+        return properties.get(element);
+    }
+
+    const hypeDocument = {
+        documentId: () => 'document',
+        currentSceneId: () => 'scene',
+        currentSceneName: () => 'Scene 1',
+        getElementById: id => window.document.getElementById(id),
+        getElementProperty: (element, name) => props(element)[name],
+        setElementProperty: (element, name, value) => { props(element)[name] = value; },
+        customData: {}
+    };
+
+    function fire(type) {
+        const sceneEl = window.document.getElementById('scene');
+        window.HYPE_eventListeners.filter(listener => listener.type === type).forEach(listener => listener.callback(hypeDocument, sceneEl, {}));
+    }
+    fire('HypeDocumentLoad');
+    fire('HypeScenePrepareForDisplay');
+
+    // Runs a Hype gesture through the handler: the first point starts, the last one ends
+    function drag(element, points) {
+        points.forEach((point, index) => hypeDocument.drag.handler(element, {
+            hypeGesturePhase: index === 0 ? 'start' : (index === points.length - 1 ? 'end' : 'move'),
+            hypeGestureXPosition: point[0],
+            hypeGestureYPosition: point[1]
+        }));
+    }
+
+    return {
+        window: window,
+        hypeDocument: hypeDocument,
+        controller: window.HypeDragController,
+        $: selector => window.document.querySelector(selector),
+        position: element => [props(element).left, props(element).top],
+        fire: fire,
+        drag: drag,
+        close: () => window.close()
+    };
+}
+
+module.exports = { createDocument };
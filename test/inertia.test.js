@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createDocument } = require('./hype-document');
+
+const scene = `
+    <div id="card" class="HYPE_element" data-drag-name="card" data-left="0" data-top="0" data-width="50" data-height="50"></div>`;
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Moves 40px to the right every 10ms, so the release velocity is about 4px/ms
+async function flick(page, element) {
+    const handler = page.hypeDocument.drag.handler;
+    handler(element, { hypeGesturePhase: 'start', hypeGestureXPosition: 0, hypeGestureYPosition: 0 });
+    for (let x = 40; x <= 120; x += 40) {
+        await wait(10);
+        handler(element, { hypeGesturePhase: 'move', hypeGestureXPosition: x, hypeGestureYPosition: 0 });
+    }
+    handler(element, { hypeGesturePhase: 'end', hypeGestureXPosition: 120, hypeGestureYPosition: 0 });
+}
+
+test('a thrown element glides on, bounded by its constraints, and drops once at rest', async () => {
+    const page = createDocument(scene);
+    const card = page.$('#card');
+    let drop = null;
+    page.hypeDocument.drag.setConstraints('card', { inertia: { friction: 0.8 }, maxX: 300 });
+    page.hypeDocument.drag.setInteractionMap({ card: { onDrop: (hypeDocument, element, event) => { drop = event; } } });
+
+    await flick(page, card);
+    assert.strictEqual(drop, null);
+    await wait(600);
+    assert.ok(drop, 'the drop resolves when the element comes to rest');
+    assert.ok(drop.releaseVelocityX > 1);
+    assert.ok(page.position(card)[0] > 120 && page.position(card)[0] <= 300);
+    page.close();
+});
+
+test('the inertiaMinVelocity default decides what counts as a throw', async () => {
+    const page = createDocument(scene);
+    const card = page.$('#card');
+    page.controller.setDefault('inertiaMinVelocity', 100);
+    page.hypeDocument.drag.setConstraints('card', { inertia: true });
+
+    await flick(page, card);
+    assert.deepStrictEqual(page.position(card), [120, 0]);
+    await wait(50);
+    assert.deepStrictEqual(page.position(card), [120, 0]);
+    page.close();
+});
+
+test('a throw still gliding stops when the scene unloads', async () => {
+    const page = createDocument(scene);
+    const card = page.$('#card');
+    let dropped = 0;
+    page.hypeDocument.drag.setConstraints('card', { inertia: { friction: 0.99 } });
+    page.hypeDocument.drag.setInteractionMap({ card: { onDrop: () => dropped++ } });
+
+    await flick(page, card);
+    await wait(50);
+    page.fire('HypeSceneUnload');
+    const position = page.position(card);
+    assert.ok(position[0] > 120);
+    await wait(100);
+    assert.deepStrictEqual(page.position(card), position);
+    assert.strictEqual(dropped, 0);
+    page.close();
+});
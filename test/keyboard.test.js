@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createDocument } = require('./hype-document');
+
+function press(page, element, key, shiftKey) {
+    element.dispatchEvent(new page.window.KeyboardEvent('keydown', { key: key, shiftKey: !!shiftKey, bubbles: true, cancelable: true }));
+}
+
+function announcement(page) {
+    return page.$('.hypeDragLiveRegion').textContent;
+}
+
+const targets = `
+    <div id="t1" class="HYPE_element" data-drop-target="t1" data-left="200" data-top="0" data-width="50" data-height="50"></div>
+    <div id="t2" class="HYPE_element" data-drop-target="t2" data-left="400" data-top="0" data-width="50" data-height="50"></div>`;
+
+test('arrow keys move the element and Space drops it on the hovered target', () => {
+    const page = createDocument(`
+        <div id="card" class="HYPE_element" data-drag-name="card" aria-label="Card" data-left="0" data-top="0" data-width="50" data-height="50"></div>` + targets);
+    const card = page.$('#card');
+    let dropped = null;
+    page.hypeDocument.drag.setInteractionMap({ card: { onDrop: (hypeDocument, element, event) => { dropped = event.dropTarget; } } });
+
+    press(page, card, 'Enter');
+    assert.strictEqual(card.getAttribute('aria-pressed'), 'true');
+    assert.match(announcement(page), /^Picked up Card\./);
+
+    press(page, card, 'ArrowRight', true);
+    press(page, card, 'ArrowRight', true);
+    press(page, card, 'ArrowRight', true);
+    press(page, card, 'ArrowRight', true);
+    assert.deepStrictEqual(page.position(card), [200, 0]);
+    assert.strictEqual(announcement(page), 'Card is over t1.');
+
+    press(page, card, ' ');
+    assert.strictEqual(dropped, page.$('#t1'));
+    assert.strictEqual(announcement(page), 'Dropped Card on t1.');
+    assert.strictEqual(card.getAttribute('aria-pressed'), 'false');
+    page.close();
+});
+
+test('Escape cancels a keyboard drag and Tab is kept from leaving the element', () => {
+    const page = createDocument(`
+        <div id="card" class="HYPE_element" data-drag-name="card" data-left="0" data-top="0" data-width="50" data-height="50"></div>` + targets);
+    const card = page.$('#card');
+    let dropped = 0;
+    page.hypeDocument.drag.setInteractionMap({ card: { onDrop: () => dropped++ } });
+    assert.strictEqual(card.getAttribute('tabindex'), '0');
+    assert.strictEqual(card.getAttribute('role'), 'button');
+
+    press(page, card, ' ');
+    const tab = new page.window.KeyboardEvent('keydown', { key: 'Tab', bubbles: true, cancelable: true });
+    card.dispatchEvent(tab);
+    assert.strictEqual(tab.defaultPrevented, true);
+    assert.deepStrictEqual(page.position(card), [200, 0]);
+
+    press(page, card, 'Escape');
+    assert.deepStrictEqual(page.position(card), [0, 0]);
+    assert.strictEqual(dropped, 0);
+    assert.strictEqual(announcement(page), 'Cancelled. card returned to its starting position.');
+    page.close();
+});
+
+test('Tab moves a ghost preview onto each drop target in turn', () => {
+    const page = createDocument(`
+        <div id="src" class="HYPE_element" data-drag-name="src" data-drag-ghost="true" data-left="0" data-top="0" data-width="50" data-height="50"></div>` + targets);
+    const src = page.$('#src');
+
+    press(page, src, ' ');
+    press(page, src, 'Tab');
+    press(page, src, 'Tab');
+    assert.deepStrictEqual(page.position(page.$('.hypeDragGhost')), [400, 0]);
+    assert.deepStrictEqual(page.position(src), [0, 0]);
+    assert.strictEqual(announcement(page), 'src is over t2.');
+
+    press(page, src, 'Tab', true);
+    assert.deepStrictEqual(page.position(page.$('.hypeDragGhost')), [200, 0]);
+
+    press(page, src, ' ');
+    assert.strictEqual(announcement(page), 'Dropped src on t1.');
+    assert.deepStrictEqual(page.position(src), [200, 0]);
+    page.close();
+});
+
+test('Tab moves the copy of a palette source, which stays in place', () => {
+    const page = createDocument(`
+        <div id="src" class="HYPE_element" data-drag-name="src" data-drag-clone="true" data-left="0" data-top="0" data-width="50" data-height="50"></div>` + targets);
+    const src = page.$('#src');
+
+    press(page, src, 'Enter');
+    press(page, src, 'Tab');
+    press(page, src, 'Tab');
+    const copy = page.$('[data-drag-clone-of="src"]');
+    assert.deepStrictEqual(page.position(copy), [400, 0]);
+    assert.deepStrictEqual(page.position(src), [0, 0]);
+
+    press(page, src, 'Enter');
+    assert.strictEqual(announcement(page), 'Dropped src on t2.');
+    assert.deepStrictEqual(page.position(copy), [400, 0]);
+    page.close();
+});
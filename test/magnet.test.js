@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createDocument } = require('./hype-document');
+
+const scene = `
+    <div id="card" class="HYPE_element" data-drag-name="card" data-left="0" data-top="0" data-width="50" data-height="50"></div>
+    <div id="slot" class="HYPE_element" data-drop-target="slot" data-drop-magnet="40" data-drop-anchor="center" data-left="200" data-top="0" data-width="100" data-height="100"></div>`;
+
+test('a magnetic target pulls a nearby element and catches its release at the anchor', () => {
+    const page = createDocument(scene);
+    const card = page.$('#card');
+    const slot = page.$('#slot');
+    let target = null;
+    page.hypeDocument.drag.setInteractionMap({ card: { onDrop: (hypeDocument, element, event) => { target = event.dropTarget; } } });
+
+    // 20px from the slot's edge: half the radius, so a quarter of the way with the 0.5 default strength
+    const handler = page.hypeDocument.drag.handler;
+    handler(card, { hypeGesturePhase: 'start', hypeGestureXPosition: 0, hypeGestureYPosition: 0 });
+    handler(card, { hypeGesturePhase: 'move', hypeGestureXPosition: 130, hypeGestureYPosition: 0 });
+    assert.deepStrictEqual(page.position(card), [153.75, 6.25]);
+    assert.ok(slot.classList.contains(page.controller.getDefault('dropTargetActiveClass')));
+
+    handler(card, { hypeGesturePhase: 'end', hypeGestureXPosition: 130, hypeGestureYPosition: 0 });
+    assert.strictEqual(target, slot);
+    assert.deepStrictEqual(page.position(card), [225, 25]);
+    assert.strictEqual(page.hypeDocument.drag.getTargetOf(card), slot);
+    page.close();
+});
+
+test('elements outside the radius or rejected by the target are not attracted', () => {
+    const page = createDocument(scene);
+    const card = page.$('#card');
+    page.drag(card, [[0, 0], [100, 0], [100, 0]]);
+    assert.deepStrictEqual(page.position(card), [100, 0]);
+
+    page.controller.setDefault('magnetRadius', 100);
+    page.$('#slot').removeAttribute('data-drop-magnet');
+    page.$('#slot').setAttribute('data-drop-accept', 'fruit');
+    page.drag(card, [[0, 0], [30, 0], [30, 0]]);
+    assert.deepStrictEqual(page.position(card), [130, 0]);
+    page.close();
+});
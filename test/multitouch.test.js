@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createDocument } = require('./hype-document');
+
+const scene = `
+    <div id="a" class="HYPE_element" data-drag-name="a" data-drag-group="pieces" data-left="0" data-top="0" data-width="50" data-height="50"></div>
+    <div id="b" class="HYPE_element" data-drag-name="b" data-drag-group="pieces" data-left="100" data-top="0" data-width="50" data-height="50"></div>
+    <div id="slot" class="HYPE_element" data-drop-target="slot" data-left="0" data-top="200" data-width="50" data-height="50"></div>
+    <div id="wall" class="HYPE_element" data-drag-obstacle="true" data-left="0" data-top="100" data-width="300" data-height="20"></div>`;
+
+// jsdom has neither PointerEvent nor pointer capture
+function createPointerDocument() {
+    const page = createDocument(scene);
+    const window = page.window;
+    window.PointerEvent = class PointerEvent extends window.MouseEvent {
+        constructor(type, init) {
+            super(type, init);
+            this.pointerId = init.pointerId;
+            this.pointerType = 'touch';
+        }
+    };
+    window.Element.prototype.setPointerCapture = function() {};
+    page.controller.setDefault('multiTouch', true);
+    page.pointer = (target, type, pointerId, x, y) => target.dispatchEvent(new window.PointerEvent(type, { bubbles: true, cancelable: true, pointerId: pointerId, clientX: x, clientY: y }));
+    return page;
+}
+
+test('two pointers drag two elements at the same time', () => {
+    const page = createPointerDocument();
+    const a = page.$('#a');
+    const b = page.$('#b');
+    const drops = [];
+    page.hypeDocument.drag.on('drop', (hypeDocument, element, detail) => drops.push([detail.dragName, detail.pointerId]));
+
+    page.pointer(a, 'pointerdown', 1, 10, 10);
+    page.pointer(b, 'pointerdown', 2, 110, 10);
+    page.pointer(page.window, 'pointermove', 1, 30, 20);
+    page.pointer(page.window, 'pointermove', 2, 150, 40);
+    assert.deepStrictEqual(page.position(a), [20, 10]);
+    assert.deepStrictEqual(page.position(b), [140, 30]);
+
+    // A second pointer cannot take over an element that is already being dragged
+    page.pointer(a, 'pointerdown', 3, 30, 20);
+    page.pointer(page.window, 'pointermove', 3, 90, 90);
+    assert.deepStrictEqual(page.position(a), [20, 10]);
+
+    page.pointer(page.window, 'pointerup', 2, 150, 40);
+    page.pointer(page.window, 'pointerup', 1, 30, 20);
+    assert.deepStrictEqual(drops, [['b', 2], ['a', 1]]);
+    page.close();
+});
+
+test('pointercancel puts the element back without dropping it', () => {
+    const page = createPointerDocument();
+    const a = page.$('#a');
+    let dropped = 0;
+    let cancelled = 0;
+    page.hypeDocument.drag.enableHistory();
+    page.hypeDocument.drag.on('drop', () => dropped++);
+    page.hypeDocument.drag.on('cancel', () => cancelled++);
+
+    page.pointer(a, 'pointerdown', 1, 10, 10);
+    // The wall stops the element above the slot
+    page.pointer(page.window, 'pointermove', 1, 10, 210);
+    assert.deepStrictEqual(page.position(a), [0, 50]);
+    page.pointer(page.window, 'pointercancel', 1, 10, 210);
+
+    assert.deepStrictEqual(page.position(a), [0, 0]);
+    assert.strictEqual(dropped, 0);
+    assert.strictEqual(cancelled, 1);
+    assert.strictEqual(page.hypeDocument.drag.getTargetOf(a), null);
+    assert.strictEqual(page.hypeDocument.drag.canUndo(), false);
+    page.close();
+});
+
+test('losing pointer capture cancels the drag and returns the element to its target', () => {
+    const page = createPointerDocument();
+    const b = page.$('#b');
+    const slot = page.$('#slot');
+    page.hypeDocument.drag.snapTo(b, slot);
+    assert.deepStrictEqual(page.position(b), [0, 200]);
+
+    page.pointer(b, 'pointerdown', 4, 10, 210);
+    page.pointer(page.window, 'pointermove', 4, 60, 230);
+    assert.deepStrictEqual(page.position(b), [50, 220]);
+    b.dispatchEvent(new page.window.PointerEvent('lostpointercapture', { pointerId: 4 }));
+
+    assert.deepStrictEqual(page.position(b), [0, 200]);
+    assert.strictEqual(page.hypeDocument.drag.getTargetOf(b), slot);
+
+    // The pointer is no longer tracked
+    page.pointer(page.window, 'pointermove', 4, 200, 300);
+    assert.deepStrictEqual(page.position(b), [0, 200]);
+    page.close();
+});
+
+test('Hype\'s own cancel phase still resolves like a release', () => {
+    const page = createDocument(`
+        <div id="card" class="HYPE_element" data-drag-name="card" data-drag-group="cards" data-left="0" data-top="0" data-width="50" data-height="50"></div>
+        <div id="slot" class="HYPE_element" data-drop-target="slot" data-left="200" data-top="0" data-width="50" data-height="50"></div>`);
+    const card = page.$('#card');
+    const drops = [];
+    page.hypeDocument.drag.setInteractionMap({ card: { onDrop: (hypeDocument, element, event) => drops.push(event.dropTarget) } });
+
+    const handler = page.hypeDocument.drag.handler;
+    handler(card, { hypeGesturePhase: 'start', hypeGestureXPosition: 10, hypeGestureYPosition: 10 });
+    handler(card, { hypeGesturePhase: 'move', hypeGestureXPosition: 215, hypeGestureYPosition: 15 });
+    handler(card, { hypeGesturePhase: 'cancel', hypeGestureXPosition: 215, hypeGestureYPosition: 15 });
+    assert.deepStrictEqual(drops, [page.$('#slot')]);
+    assert.deepStrictEqual(page.position(card), [200, 0]);
+    page.close();
+});
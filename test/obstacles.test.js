@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createDocument } = require('./hype-document');
+
+test('an obstacle stops the dragged element at its edge and lets it slide along', () => {
+    const page = createDocument(`
+        <div id="a" class="HYPE_element" data-drag-name="a" data-left="0" data-top="0" data-width="50" data-height="50"></div>
+        <div id="wall" class="HYPE_element" data-drag-obstacle="true" data-left="100" data-top="0" data-width="20" data-height="200"></div>`);
+    const a = page.$('#a');
+    const collisions = [];
+    page.hypeDocument.drag.on('collide', (hypeDocument, element, detail) => collisions.push(detail.obstacle.id));
+
+    page.drag(a, [[0, 0], [200, 0], [200, 40], [200, 40]]);
+    assert.deepStrictEqual(page.position(a), [50, 40]);
+    assert.deepStrictEqual(collisions, ['wall']);
+
+    // Around the end of the wall and back over to the other side
+    page.drag(a, [[0, 0], [0, 200], [200, 200], [200, 0], [200, 0]]);
+    assert.deepStrictEqual(page.position(a), [250, 40]);
+    page.close();
+});
+
+test('group members without constraints stop the whole group at an obstacle', () => {
+    const page = createDocument(`
+        <div id="a" class="HYPE_element" data-drag-name="a" data-left="0" data-top="0" data-width="50" data-height="50"></div>
+        <div id="b" class="HYPE_element" data-drag-name="b" data-left="0" data-top="100" data-width="50" data-height="50"></div>
+        <div id="wall" class="HYPE_element" data-drag-obstacle="true" data-left="100" data-top="100" data-width="20" data-height="50"></div>`);
+    const a = page.$('#a');
+    const b = page.$('#b');
+    page.hypeDocument.drag.setConstraints('a', { maxX: 500 });
+    page.hypeDocument.drag.select([a, b]);
+
+    page.drag(a, [[0, 0], [200, 0], [200, 0]]);
+    assert.deepStrictEqual(page.position(b), [50, 100]);
+    assert.deepStrictEqual(page.position(a), [50, 0]);
+    page.close();
+});
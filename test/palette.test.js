@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createDocument } = require('./hype-document');
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+const scene = `
+    <div id="star" class="HYPE_element" data-drag-name="star" data-drag-clone="true" data-drag-clone-max="1" data-drag-group="stars" data-left="0" data-top="0" data-width="50" data-height="50"></div>
+    <div id="sky" class="HYPE_element" data-drop-target="sky" data-drop-accept="stars" data-left="200" data-top="0" data-width="50" data-height="50"></div>`;
+
+test('dragging a palette source drags a new copy up to the maximum', () => {
+    const page = createDocument(scene);
+    const star = page.$('#star');
+    const drops = [];
+    page.hypeDocument.drag.setInteractionMap({ star: { onDrop: (hypeDocument, element, event) => drops.push([element.dataset.dragName, event.removed]) } });
+
+    page.drag(star, [[0, 0], [210, 10], [210, 10]]);
+    const copy = page.$('[data-drag-clone-of="star"]');
+    assert.strictEqual(copy.dataset.dragName, 'star-1');
+    assert.strictEqual(copy.id, '');
+    assert.deepStrictEqual(page.position(copy), [200, 0]);
+    assert.deepStrictEqual(page.position(star), [0, 0]);
+    assert.deepStrictEqual(drops, [['star-1', false]]);
+
+    // The maximum is reached, the source stays put and nothing is dropped
+    page.drag(star, [[0, 0], [100, 100], [100, 100]]);
+    assert.deepStrictEqual(Array.from(page.hypeDocument.drag.getClones('star')), [copy]);
+    assert.deepStrictEqual(page.position(star), [0, 0]);
+    assert.strictEqual(drops.length, 1);
+    page.close();
+});
+
+test('a copy dropped outside any target fades out and frees its place in the palette', async () => {
+    const page = createDocument(scene);
+    const star = page.$('#star');
+    let removed = null;
+    page.controller.setDefault('cloneRemoveDuration', 0.01);
+    page.hypeDocument.drag.setInteractionMap({ star: { onDrop: (hypeDocument, element, event) => { removed = event.removed; } } });
+
+    page.drag(star, [[0, 0], [100, 100], [100, 100]]);
+    const copy = page.$('[data-drag-name="star-1"]');
+    assert.strictEqual(removed, true);
+    assert.strictEqual(page.hypeDocument.drag.getClones('star').length, 0);
+    await wait(50);
+    assert.ok(!copy.isConnected);
+
+    page.drag(star, [[0, 0], [210, 10], [210, 10]]);
+    assert.strictEqual(page.hypeDocument.drag.getClones('star')[0].dataset.dragName, 'star-2');
+    page.close();
+});
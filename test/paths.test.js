@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createDocument } = require('./hype-document');
+
+const round = values => values.map(value => Math.round(value * 1000) / 1000);
+
+test('a polyline from data-drag-path keeps the center on the track and reports the progress along it', () => {
+    const page = createDocument(`
+        <div id="train" class="HYPE_element" data-drag-name="train" data-drag-path="10,10;210,10;210,160" data-left="0" data-top="0" data-width="20" data-height="20"></div>`);
+    const train = page.$('#train');
+    const progress = [];
+    page.hypeDocument.drag.setInteractionMap({ train: { onProgress: (hypeDocument, element, event) => progress.push([event.pathFactor, event.factorX, event.factorY]) } });
+
+    page.drag(train, [[0, 0], [100, 40], [300, 100], [300, 100]]);
+    assert.deepStrictEqual(page.position(train), [200, 100]);
+    assert.deepStrictEqual(progress.map(round), [[0.286, 0.286, 0.286], [0.857, 0.857, 0.857]]);
+    page.close();
+});
+
+test('an arc clamps to its closer end and reports the angle', () => {
+    const page = createDocument(`
+        <div id="knob" class="HYPE_element" data-drag-name="knob" data-left="90" data-top="40" data-width="20" data-height="20"></div>`);
+    const knob = page.$('#knob');
+    let metrics = null;
+    page.hypeDocument.drag.setConstraints('knob', { path: { center: [100, 100], radius: 50, startAngle: -90, endAngle: 90 } });
+    page.hypeDocument.drag.setInteractionMap({ knob: { onProgress: (hypeDocument, element, event) => { metrics = event; } } });
+
+    const handler = page.hypeDocument.drag.handler;
+    handler(knob, { hypeGesturePhase: 'start', hypeGestureXPosition: 0, hypeGestureYPosition: 0 });
+    handler(knob, { hypeGesturePhase: 'move', hypeGestureXPosition: 60, hypeGestureYPosition: 50 });
+    assert.deepStrictEqual(round(page.position(knob)), [140, 90]);
+    assert.deepStrictEqual(round([metrics.pathFactor, metrics.angle]), [0.5, 0]);
+
+    // Left of the center is outside the arc, closer to its bottom end
+    handler(knob, { hypeGesturePhase: 'move', hypeGestureXPosition: -80, hypeGestureYPosition: 80 });
+    assert.deepStrictEqual(round(page.position(knob)), [90, 140]);
+    assert.deepStrictEqual(round([metrics.pathFactor, metrics.angle]), [1, 90]);
+    handler(knob, { hypeGesturePhase: 'end', hypeGestureXPosition: -80, hypeGestureYPosition: 80 });
+    page.close();
+});
+
+test('a constrain function gets the last word with the drag context', () => {
+    const page = createDocument(`
+        <div id="piece" class="HYPE_element" data-drag-name="piece" data-left="0" data-top="50" data-width="20" data-height="20"></div>`);
+    const piece = page.$('#piece');
+    let context = null;
+    page.hypeDocument.drag.setConstraints('piece', {
+        maxX: 100,
+        constrain: (left, top, ctx) => {
+            context = ctx;
+            return { left: Math.round(left / 25) * 25, top: Math.max(top, ctx.baselineTop) };
+        }
+    });
+
+    page.drag(piece, [[0, 0], [90, -30], [90, -30]]);
+    assert.deepStrictEqual(page.position(piece), [100, 50]);
+    assert.strictEqual(context.element, piece);
+    assert.strictEqual(context.hypeDocument, page.hypeDocument);
+    page.close();
+});
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createDocument } = require('./hype-document');
+
+const scene = `
+    <div id="card" class="HYPE_element" data-drag-name="card" data-left="0" data-top="0" data-width="50" data-height="50"></div>
+    <div id="slot" class="HYPE_element" data-drop-target="slot" data-left="200" data-top="0" data-width="50" data-height="50"></div>`;
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('saveState and restoreState round-trip positions, locks and snap targets', () => {
+    const page = createDocument(scene);
+    const card = page.$('#card');
+    const slot = page.$('#slot');
+    page.hypeDocument.drag.snapTo(card, slot);
+    page.hypeDocument.drag.lock(card);
+    const snapshot = JSON.parse(JSON.stringify(page.hypeDocument.drag.saveState()));
+    assert.strictEqual(snapshot.scene, 'Scene 1');
+    assert.deepStrictEqual(snapshot.items.card.snappedTo, { dropTarget: 'slot' });
+
+    page.hypeDocument.drag.resetState();
+    page.hypeDocument.setElementProperty(card, 'left', 0);
+    assert.strictEqual(page.hypeDocument.drag.getTargetOf(card), null);
+
+    // Drag names missing in the scene are ignored
+    snapshot.items.missing = { left: 1, top: 1 };
+    page.hypeDocument.drag.restoreState(snapshot);
+    assert.deepStrictEqual(page.position(card), [200, 0]);
+    assert.ok(card.classList.contains('hypeDragElementLocked'));
+    assert.strictEqual(page.hypeDocument.drag.getTargetOf(card), slot);
+    page.close();
+});
+
+test('the persist default stores the state after a drop and restores it when the scene is shown again', async () => {
+    const page = createDocument(scene);
+    const card = page.$('#card');
+    page.controller.setDefault('persist', true);
+
+    page.drag(card, [[0, 0], [60, 70], [60, 70]]);
+    await wait(500);
+    const key = 'HypeDragController:document:Scene 1';
+    assert.strictEqual(JSON.parse(page.window.localStorage.getItem(key)).items.card.left, 60);
+
+    page.hypeDocument.setElementProperty(card, 'left', 0);
+    page.hypeDocument.setElementProperty(card, 'top', 0);
+    page.fire('HypeScenePrepareForDisplay');
+    assert.deepStrictEqual(page.position(card), [60, 70]);
+
+    page.hypeDocument.drag.clearPersistedState();
+    assert.strictEqual(page.window.localStorage.getItem(key), null);
+    page.close();
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createDocument } = require('./hype-document');
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+const slot = `
+    <div id="slot" class="HYPE_element" data-drop-target="slot" data-left="200" data-top="0" data-width="50" data-height="50"></div>`;
+
+test('a ghost copy moves instead of the original, which follows it onto a target', () => {
+    const page = createDocument(`
+        <div id="card" class="HYPE_element" data-drag-name="card" data-drag-ghost="true" data-left="0" data-top="0" data-width="50" data-height="50"></div>` + slot);
+    const card = page.$('#card');
+
+    const handler = page.hypeDocument.drag.handler;
+    handler(card, { hypeGesturePhase: 'start', hypeGestureXPosition: 0, hypeGestureYPosition: 0 });
+    handler(card, { hypeGesturePhase: 'move', hypeGestureXPosition: 190, hypeGestureYPosition: 10 });
+    const ghost = page.$('.hypeDragGhost');
+    assert.ok(!ghost.hasAttribute('data-drag-name') && !ghost.id);
+    assert.strictEqual(page.hypeDocument.getElementProperty(ghost, 'opacity'), page.controller.getDefault('ghostOpacity'));
+    assert.deepStrictEqual(page.position(ghost), [190, 10]);
+    assert.deepStrictEqual(page.position(card), [0, 0]);
+
+    handler(card, { hypeGesturePhase: 'end', hypeGestureXPosition: 190, hypeGestureYPosition: 10 });
+    assert.deepStrictEqual(page.position(card), [190, 10]);
+    assert.strictEqual(page.$('.hypeDragGhost'), null);
+    assert.ok(!ghost.isConnected);
+    page.close();
+});
+
+test('a named ghost dropped outside any target returns and is hidden again', async () => {
+    const page = createDocument(`
+        <div id="card" class="HYPE_element" data-drag-name="card" data-drag-ghost="cardPreview" data-left="0" data-top="0" data-width="50" data-height="50"></div>
+        <div id="cardPreview" class="HYPE_element" style="display: none" data-left="500" data-top="500" data-width="50" data-height="50"></div>` + slot);
+    const card = page.$('#card');
+    const preview = page.$('#cardPreview');
+    page.controller.setDefault('snapBackDuration', 0.01);
+
+    const handler = page.hypeDocument.drag.handler;
+    handler(card, { hypeGesturePhase: 'start', hypeGestureXPosition: 0, hypeGestureYPosition: 0 });
+    handler(card, { hypeGesturePhase: 'move', hypeGestureXPosition: 60, hypeGestureYPosition: 100 });
+    assert.strictEqual(preview.style.display, 'block');
+    assert.deepStrictEqual(page.position(preview), [60, 100]);
+
+    handler(card, { hypeGesturePhase: 'end', hypeGestureXPosition: 60, hypeGestureYPosition: 100 });
+    assert.deepStrictEqual(page.position(preview), [0, 0]);
+    assert.deepStrictEqual(page.position(card), [0, 0]);
+    await wait(50);
+    assert.strictEqual(preview.style.display, 'none');
+    assert.ok(!preview.classList.contains('hypeDragGhost'));
+    page.close();
+});
+
+test('a drag handle only lets gestures start on the matching child', () => {
+    const page = createDocument(`
+        <div id="window" class="HYPE_element" data-drag-name="window" data-drag-handle=".grip" data-left="0" data-top="0" data-width="100" data-height="100">
+            <div id="grip" class="HYPE_element grip" data-left="0" data-top="0" data-width="100" data-height="20"></div>
+            <div id="body" class="HYPE_element" data-left="0" data-top="20" data-width="100" data-height="80"></div>
+        </div>`);
+    const element = page.$('#window');
+    const drag = target => [['start', 0], ['move', 30], ['end', 30]].forEach(([phase, x]) => {
+        page.hypeDocument.drag.handler(element, { target: target, hypeGesturePhase: phase, hypeGestureXPosition: x, hypeGestureYPosition: 0 });
+    });
+
+    drag(page.$('#body'));
+    assert.deepStrictEqual(page.position(element), [0, 0]);
+
+    drag(page.$('#grip'));
+    assert.deepStrictEqual(page.position(element), [30, 0]);
+    page.close();
+});
@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createDocument } = require('./hype-document');
+
+const scene = `
+    <div id="card" class="HYPE_element" data-drag-name="card" data-left="0" data-top="0" data-width="50" data-height="50"></div>
+    <div id="slot" class="HYPE_element" data-drop-target="slot" data-left="200" data-top="0" data-width="50" data-height="50"></div>`;
+
+test('a recording survives JSON and replays through the handler like the live drag', async () => {
+    const page = createDocument(scene);
+    const card = page.$('#card');
+    const drops = [];
+    page.hypeDocument.drag.setConstraints('card', { maxX: 150 });
+    page.hypeDocument.drag.on('drop', (hypeDocument, element) => drops.push(page.position(element)));
+
+    page.hypeDocument.drag.startRecording();
+    page.drag(card, [[0, 0], [100, 20], [300, 40], [300, 40]]);
+    const recording = JSON.parse(JSON.stringify(page.hypeDocument.drag.stopRecording()));
+    assert.strictEqual(page.hypeDocument.drag.stopRecording(), null);
+    assert.strictEqual(recording.scene, 'Scene 1');
+    assert.deepStrictEqual(recording.events.map(event => [event.dragName, event.phase, event.x, event.y]), [
+        ['card', 'start', 0, 0], ['card', 'move', 100, 20], ['card', 'move', 300, 40], ['card', 'end', 300, 40]
+    ]);
+
+    page.hypeDocument.setElementProperty(card, 'left', 0);
+    page.hypeDocument.setElementProperty(card, 'top', 0);
+    page.hypeDocument.drag.startRecording();
+    await new Promise(resolve => page.hypeDocument.drag.replay(recording, { speed: 4, onComplete: resolve }));
+
+    // Constraints applied again, and replayed gestures are not recorded
+    assert.deepStrictEqual(page.position(card), [150, 40]);
+    assert.deepStrictEqual(drops, [[150, 40], [150, 40]]);
+    assert.strictEqual(page.hypeDocument.drag.stopRecording().events.length, 0);
+    page.close();
+});
+
+test('stopReplay cancels a replayed drag in progress', () => {
+    const page = createDocument(scene);
+    const card = page.$('#card');
+    let dropped = 0;
+    let cancelled = 0;
+    page.hypeDocument.drag.on('drop', () => dropped++);
+    page.hypeDocument.drag.on('cancel', () => cancelled++);
+
+    page.hypeDocument.drag.replay({ scene: 'Scene 1', events: [
+        { t: 0, dragName: 'card', phase: 'start', x: 0, y: 0 },
+        { t: 0, dragName: 'card', phase: 'move', x: 200, y: 0 },
+        { t: 60000, dragName: 'card', phase: 'end', x: 200, y: 0 }
+    ] });
+    assert.deepStrictEqual(page.position(card), [200, 0]);
+    page.hypeDocument.drag.stopReplay();
+
+    assert.deepStrictEqual(page.position(card), [0, 0]);
+    assert.strictEqual(dropped, 0);
+    assert.strictEqual(cancelled, 1);
+    page.close();
+});
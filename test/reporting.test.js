@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createDocument } = require('./hype-document');
+
+const scene = `
+    <div id="cat" class="HYPE_element" data-drag-name="cat" data-drag-answer="animals" data-left="0" data-top="0" data-width="50" data-height="50"></div>
+    <div id="animals" class="HYPE_element" data-drop-target="animals" data-left="300" data-top="0" data-width="100" data-height="100"></div>
+    <div id="plants" class="HYPE_element" data-drop-target="plants" data-left="300" data-top="200" data-width="100" data-height="100"></div>`;
+
+test('drops are reported as xAPI matching interactions and off(\'*\') does not stop reporting', () => {
+    const page = createDocument(scene);
+    const sent = [];
+    page.hypeDocument.drag.enableReporting({ format: 'xapi', transport: (payload, format) => sent.push([format, payload]) });
+    page.hypeDocument.drag.on('*', () => {});
+    page.hypeDocument.drag.off('*');
+
+    page.drag(page.$('#cat'), [[0, 0], [320, 220], [320, 220]]);
+    const answered = sent.map(entry => entry[1]).filter(statement => statement.verb.id === 'http://adlnet.gov/expapi/verbs/answered');
+    assert.strictEqual(answered.length, 1);
+    assert.strictEqual(sent[0][0], 'xapi');
+    assert.strictEqual(answered[0].result.response, 'cat[.]plants');
+    assert.strictEqual(answered[0].result.success, false);
+    assert.deepStrictEqual(Array.from(answered[0].object.definition.correctResponsesPattern), ['cat[.]animals']);
+    assert.deepStrictEqual(Array.from(answered[0].object.definition.target, target => target.id).sort(), ['animals', 'plants']);
+
+    page.hypeDocument.drag.disableReporting();
+    const count = sent.length;
+    page.drag(page.$('#cat'), [[0, 0], [0, -200], [0, -200]]);
+    assert.strictEqual(sent.length, count);
+    page.close();
+});
+
+test('SCORM 1.2 reporting writes cmi.interactions entries with increasing indexes', () => {
+    const page = createDocument(scene);
+    const pairs = [];
+    page.hypeDocument.drag.enableReporting({ format: 'scorm12', transport: payload => pairs.push(...payload) });
+
+    page.drag(page.$('#cat'), [[0, 0], [320, 20], [320, 20]]);
+    page.drag(page.$('#cat'), [[0, 0], [0, 200], [0, 200]]);
+    const values = Object.fromEntries(pairs);
+    assert.strictEqual(values['cmi.interactions.0.student_response'], 'cat.animals');
+    assert.strictEqual(values['cmi.interactions.0.result'], 'correct');
+    assert.strictEqual(values['cmi.interactions.1.student_response'], 'cat.plants');
+    assert.strictEqual(values['cmi.interactions.1.result'], 'wrong');
+    page.close();
+});
+
+test('a throwing transport does not break the drop', () => {
+    const page = createDocument(scene);
+    const warn = console.warn;
+    const warnings = [];
+    console.warn = message => warnings.push(message);
+    try {
+        page.hypeDocument.drag.enableReporting({ format: 'xapi', transport: () => { throw new Error('offline'); } });
+        let dropped = null;
+        page.hypeDocument.drag.setInteractionMap({ cat: { onDrop: (hypeDocument, element, event) => { dropped = event.dropTarget; } } });
+        page.drag(page.$('#cat'), [[0, 0], [320, 20], [320, 20]]);
+        assert.strictEqual(dropped, page.$('#animals'));
+        assert.ok(warnings.length > 0);
+    } finally {
+        console.warn = warn;
+    }
+    page.close();
+});
@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createDocument } = require('./hype-document');
+
+const scene = `
+    <div id="a" class="HYPE_element" data-drag-name="a" data-left="0" data-top="0" data-width="50" data-height="50"></div>
+    <div id="b" class="HYPE_element" data-drag-name="b" data-left="0" data-top="100" data-width="50" data-height="50"></div>
+    <div id="c" class="HYPE_element" data-drag-name="c" data-left="0" data-top="200" data-width="50" data-height="50"></div>`;
+
+test('selected elements move together and a bound of one member stops the whole group', () => {
+    const page = createDocument(scene);
+    const a = page.$('#a');
+    const b = page.$('#b');
+    const c = page.$('#c');
+    let members = null;
+    page.hypeDocument.drag.select(['a', 'b']);
+    page.hypeDocument.drag.select(c, true);
+    page.hypeDocument.drag.deselect('c');
+    assert.deepStrictEqual(Array.from(page.hypeDocument.drag.getSelection()), [a, b]);
+    assert.ok(a.classList.contains('hypeDragElementSelected'));
+    assert.ok(!c.classList.contains('hypeDragElementSelected'));
+
+    page.hypeDocument.drag.setConstraints('b', { maxX: 80 });
+    page.hypeDocument.drag.setInteractionMap({ b: { onDrop: (hypeDocument, element, event) => { members = event.members; } } });
+    page.drag(b, [[0, 0], [200, 30], [200, 30]]);
+    assert.deepStrictEqual(page.position(a), [80, 30]);
+    assert.deepStrictEqual(page.position(b), [80, 130]);
+    assert.deepStrictEqual(page.position(c), [0, 200]);
+    assert.deepStrictEqual(Array.from(members, member => member.element.id), ['b', 'a']);
+    page.close();
+});
+
+test('data-drag-group-move links elements without a selection and locked members stay put', () => {
+    const page = createDocument(scene);
+    ['a', 'b', 'c'].forEach(id => page.$('#' + id).setAttribute('data-drag-group-move', 'train'));
+    page.hypeDocument.drag.lock(page.$('#c'));
+
+    page.drag(page.$('#a'), [[0, 0], [40, 10], [40, 10]]);
+    assert.deepStrictEqual(page.position(page.$('#a')), [40, 10]);
+    assert.deepStrictEqual(page.position(page.$('#b')), [40, 110]);
+    assert.deepStrictEqual(page.position(page.$('#c')), [0, 200]);
+    page.close();
+});
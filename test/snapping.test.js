@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createDocument } = require('./hype-document');
+
+const scene = `
+    <div id="piece" class="HYPE_element" data-drag-name="piece" data-left="20" data-top="20" data-width="50" data-height="50"></div>`;
+
+test('a release grid snaps to the nearest stop from its origin when the drag ends', () => {
+    const page = createDocument(scene);
+    const piece = page.$('#piece');
+    let progress = null;
+    page.hypeDocument.drag.setConstraints('piece', { snap: { grid: 50, origin: { x: 20, y: 20 } } });
+    page.hypeDocument.drag.setInteractionMap({ piece: { onDrop: (hypeDocument, element, event) => { progress = event; } } });
+
+    const handler = page.hypeDocument.drag.handler;
+    handler(piece, { hypeGesturePhase: 'start', hypeGestureXPosition: 0, hypeGestureYPosition: 0 });
+    handler(piece, { hypeGesturePhase: 'move', hypeGestureXPosition: 68, hypeGestureYPosition: 110 });
+    assert.deepStrictEqual(page.position(piece), [88, 130]);
+    handler(piece, { hypeGesturePhase: 'end', hypeGestureXPosition: 68, hypeGestureYPosition: 110 });
+    assert.deepStrictEqual(page.position(piece), [70, 120]);
+    assert.strictEqual(progress.stepX, 1);
+    assert.strictEqual(progress.stepY, 2);
+    page.close();
+});
+
+test('live snapping on a locked axis reports the step index while moving', () => {
+    const page = createDocument(scene);
+    const piece = page.$('#piece');
+    const steps = [];
+    page.hypeDocument.drag.setConstraints('piece', { axis: 'x', minX: 0, maxX: 400, snap: { grid: { x: 100, y: 0 }, mode: 'live' } });
+    page.hypeDocument.drag.setInteractionMap({ piece: { onProgress: (hypeDocument, element, event) => steps.push(event.stepIndex) } });
+
+    page.drag(piece, [[0, 0], [60, 40], [190, 40], [900, 40], [900, 40]]);
+    assert.deepStrictEqual(steps, [1, 2, 4]);
+    assert.deepStrictEqual(page.position(piece), [400, 20]);
+    page.close();
+});
+
+test('snap points take precedence over the grid and skip stops outside the bounds', () => {
+    const page = createDocument(scene);
+    const piece = page.$('#piece');
+    page.hypeDocument.drag.setConstraints('piece', { maxX: 150, snap: { grid: 10, points: [[0, 0], [100, 50], [200, 0]] } });
+
+    page.drag(piece, [[0, 0], [170, -10], [170, -10]]);
+    assert.deepStrictEqual(page.position(piece), [100, 50]);
+    page.close();
+});
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createDocument } = require('./hype-document');
+
+const scene = `
+    <div id="list" class="HYPE_element" data-drag-sortable="vertical" data-left="0" data-top="0" data-width="100" data-height="150">
+        <div id="step1" class="HYPE_element" data-drag-name="step1" data-left="0" data-top="0" data-width="100" data-height="50"></div>
+        <div id="step2" class="HYPE_element" data-drag-name="step2" data-left="0" data-top="50" data-width="100" data-height="50"></div>
+        <div id="step3" class="HYPE_element" data-drag-name="step3" data-left="0" data-top="100" data-width="100" data-height="50"></div>
+    </div>`;
+
+test('dragging an item reflows its siblings and onSort reports the committed order', () => {
+    const page = createDocument(scene);
+    const step1 = page.$('#step1');
+    let sorted = null;
+    page.hypeDocument.drag.setInteractionMap({ step1: { onSort: (hypeDocument, element, event) => { sorted = event; } } });
+
+    const handler = page.hypeDocument.drag.handler;
+    handler(step1, { hypeGesturePhase: 'start', hypeGestureXPosition: 0, hypeGestureYPosition: 0 });
+    handler(step1, { hypeGesturePhase: 'move', hypeGestureXPosition: 5, hypeGestureYPosition: 90 });
+    assert.deepStrictEqual(page.position(page.$('#step2')), [0, 0]);
+    assert.deepStrictEqual(page.position(page.$('#step3')), [0, 50]);
+    handler(step1, { hypeGesturePhase: 'end', hypeGestureXPosition: 5, hypeGestureYPosition: 110 });
+
+    assert.deepStrictEqual(page.position(step1), [0, 100]);
+    assert.deepStrictEqual(Array.from(sorted.oldOrder), ['step1', 'step2', 'step3']);
+    assert.deepStrictEqual(Array.from(sorted.newOrder), ['step2', 'step3', 'step1']);
+    assert.deepStrictEqual(Array.from(sorted.indices), [1, 2, 0]);
+    assert.deepStrictEqual([sorted.oldIndex, sorted.newIndex], [0, 2]);
+    assert.strictEqual(sorted.sortContainer, page.$('#list'));
+    page.close();
+});
+
+test('Escape during a keyboard drag restores the original order without onSort', () => {
+    const page = createDocument(scene);
+    const step1 = page.$('#step1');
+    let sorted = 0;
+    page.hypeDocument.drag.on('sort', () => sorted++);
+    const press = key => step1.dispatchEvent(new page.window.KeyboardEvent('keydown', { key: key, bubbles: true, cancelable: true }));
+
+    press(' ');
+    for (let i = 0; i < 8; i++) press('ArrowDown');
+    assert.deepStrictEqual(page.position(page.$('#step2')), [0, 0]);
+    press('Escape');
+
+    assert.deepStrictEqual(['step1', 'step2', 'step3'].map(id => page.position(page.$('#' + id))), [[0, 0], [0, 50], [0, 100]]);
+    assert.strictEqual(sorted, 0);
+    page.close();
+});